@@ -0,0 +1,191 @@
+/*
+  Binaural Pathfinding — Propagation Models
+  - Pluggable models behind intensityAtPoint: each turns a source distance (and optionally the
+    listener's heading) into a relative intensity, where 1 means "power 1 heard at 1 unit".
+  - World units are treated as metres; levels are dB SPL relative to `referenceLevel`.
+  - GLSL mirrors the same formulas so the ground shader matches fitness and path coloring.
+
+  Usage (browser):  <script src="./acoustics.js"></script> -> window.BinauralAcoustics
+  Usage (Node):     const acoustics = require('./acoustics.js');
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BinauralAcoustics = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const MIN_DISTANCE = 0.1; // physical models clamp here instead of adding an offset
+  const HEAD_RADIUS = 0.0875; // m, for Woodworth's ITD
+  const SPEED_OF_SOUND = 343; // m/s
+  const REAR_SHADOW_DB = 2; // pinna attenuation for sources directly behind
+
+  // Atmospheric absorption in dB/m per octave band, 20 °C / 50 % RH (after ISO 9613-1)
+  const AIR_BANDS = { 125: 0.00044, 250: 0.00131, 500: 0.00273, 1000: 0.00466, 2000: 0.00987, 4000: 0.0297, 8000: 0.105 };
+
+  const DEFAULT_OPTIONS = {
+    falloffOffset: 0.2, // toy model only
+    referenceLevel: 94, // dB SPL of a power-1 source at 1 m
+    airBand: 'broadband', // 'broadband' (energy mean of all bands) or a band in Hz
+    headShadowDb: 6, // per-ear gain towards a source at 90°; ILD peaks at twice this
+  };
+
+  const freeField = (d, power) => {
+    const r = Math.max(d, MIN_DISTANCE);
+    return power / (r * r);
+  };
+
+  function airAlphas(band) {
+    return band === 'broadband' || !AIR_BANDS[band] ? Object.values(AIR_BANDS) : [AIR_BANDS[band]];
+  }
+
+  // Signed azimuth helpers for a source direction relative to a heading (both unit XZ vectors).
+  // sin > 0 means the source is to the listener's right (three.js: right of (0,-1) is (1,0)).
+  function azimuth(toSource, heading) {
+    return {
+      sin: toSource.x * -heading.z + toSource.z * heading.x,
+      cos: toSource.x * heading.x + toSource.z * heading.z,
+    };
+  }
+
+  // Per-ear intensities and cues for the spherical-head approximation
+  function earCues(I, az, o) {
+    const rear = REAR_SHADOW_DB * Math.max(0, -az.cos);
+    const right = I * Math.pow(10, (o.headShadowDb * az.sin - rear) / 10);
+    const left = I * Math.pow(10, (-o.headShadowDb * az.sin - rear) / 10);
+    const lateral = Math.asin(Math.max(-1, Math.min(1, az.sin)));
+    return {
+      left, right,
+      ild: 2 * o.headShadowDb * az.sin, // dB, right minus left
+      itd: HEAD_RADIUS / SPEED_OF_SOUND * (lateral + Math.sin(lateral)), // s, positive when the right ear leads
+    };
+  }
+
+  // ---------- Models ----------
+  // intensity(d, power, options, az?) -> relative intensity; `az` is only passed when a heading is known
+  const MODELS = {
+    toy: {
+      id: 'toy', index: 0, label: 'Toy (1/(d+0.2)²)',
+      intensity: (d, power, o) => { const r = d + o.falloffOffset; return power / (r * r); },
+    },
+    freeField: {
+      id: 'freeField', index: 1, label: 'Free field (dB SPL)',
+      intensity: (d, power) => freeField(d, power),
+    },
+    airAbsorption: {
+      id: 'airAbsorption', index: 2, label: 'Free field + air absorption',
+      intensity: (d, power, o) => {
+        const alphas = airAlphas(o.airBand);
+        const loss = alphas.reduce((sum, a) => sum + Math.pow(10, -a * d / 10), 0) / alphas.length;
+        return freeField(d, power) * loss;
+      },
+    },
+    headShadow: {
+      id: 'headShadow', index: 3, label: 'Free field + head shadow (ILD/ITD)',
+      intensity: (d, power, o, az) => {
+        const I = freeField(d, power);
+        if (!az) return I;
+        const ears = earCues(I, az, o);
+        return (ears.left + ears.right) / 2;
+      },
+    },
+  };
+
+  function getModel(id) {
+    return MODELS[id] || MODELS.toy;
+  }
+
+  // Models without an `index` are drawn by the shader as plain free field
+  function registerModel(model) {
+    if (!model || !model.id || typeof model.intensity !== 'function') throw new Error('A propagation model needs an id and an intensity() function');
+    MODELS[model.id] = model;
+    return model;
+  }
+
+  function resolveOptions(options) {
+    return Object.assign({}, DEFAULT_OPTIONS, options);
+  }
+
+  // Relative intensity of a source at `distance`; `heading`/`toSource` (unit XZ) enable head effects.
+  // `options` must be complete (see resolveOptions); it is not merged here because this runs per sample.
+  function propagate(modelId, distance, power, options, toSource, heading) {
+    const az = heading && toSource ? azimuth(toSource, heading) : null;
+    return getModel(modelId).intensity(distance, power, options, az);
+  }
+
+  // Interaural cues for a source heard while facing `heading`
+  function binauralCues(distance, power, options, toSource, heading) {
+    const o = resolveOptions(options);
+    return earCues(freeField(distance, power), azimuth(toSource, heading), o);
+  }
+
+  function toDb(I, options) {
+    const o = resolveOptions(options);
+    return o.referenceLevel + 10 * Math.log10(Math.max(I, 1e-12));
+  }
+
+  // ---------- GLSL ----------
+  // Declares the uniforms below and `float propagate(float d, float power, vec2 toSource, vec2 heading)`.
+  // Fill them with glslUniforms(options) / updateGlslUniforms(uniforms, modelId, options).
+  const GLSL = `
+    uniform int uModel; // MODELS[*].index
+    uniform float uFalloffOffset;
+    uniform float uAirAlpha[7];
+    uniform int uAirBands;
+    uniform float uHeadShadowDb;
+
+    float freeField(float d, float power){
+      float r = max(d, ${MIN_DISTANCE.toFixed(2)});
+      return power / (r*r);
+    }
+
+    float propagate(float d, float power, vec2 toSource, vec2 heading){
+      if (uModel == 0) { float r = d + uFalloffOffset; return power / (r*r); }
+      float I = freeField(d, power);
+      if (uModel == 2) {
+        float loss = 0.0;
+        for (int b = 0; b < 7; b++) {
+          if (b >= uAirBands) break;
+          loss += pow(10.0, -uAirAlpha[b] * d / 10.0);
+        }
+        return I * loss / float(uAirBands);
+      }
+      if (uModel == 3) {
+        float s = toSource.x * -heading.y + toSource.y * heading.x;
+        float c = dot(toSource, heading);
+        float rear = ${REAR_SHADOW_DB.toFixed(1)} * max(0.0, -c);
+        float right = pow(10.0, (uHeadShadowDb * s - rear) / 10.0);
+        float left = pow(10.0, (-uHeadShadowDb * s - rear) / 10.0);
+        return I * (left + right) * 0.5;
+      }
+      return I;
+    }
+  `;
+
+  function glslUniforms() {
+    return {
+      uModel: { value: 0 },
+      uFalloffOffset: { value: DEFAULT_OPTIONS.falloffOffset },
+      uAirAlpha: { value: new Float32Array(7) },
+      uAirBands: { value: 7 },
+      uHeadShadowDb: { value: DEFAULT_OPTIONS.headShadowDb },
+    };
+  }
+
+  function updateGlslUniforms(uniforms, modelId, options) {
+    const o = resolveOptions(options);
+    const alphas = airAlphas(o.airBand);
+    uniforms.uModel.value = getModel(modelId).index != null ? getModel(modelId).index : 1;
+    uniforms.uFalloffOffset.value = o.falloffOffset;
+    uniforms.uAirAlpha.value.fill(0);
+    alphas.forEach((a, i) => { uniforms.uAirAlpha.value[i] = a; });
+    uniforms.uAirBands.value = alphas.length;
+    uniforms.uHeadShadowDb.value = o.headShadowDb;
+  }
+
+  return {
+    MODELS, AIR_BANDS, DEFAULT_OPTIONS, GLSL,
+    getModel, registerModel, resolveOptions,
+    propagate, binauralCues, toDb,
+    glslUniforms, updateGlslUniforms,
+  };
+});
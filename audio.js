@@ -0,0 +1,266 @@
+/*
+  Binaural Pathfinding — Audio
+  - Web Audio layer: one HRTF-panned voice per sound source, heard from the walking subject.
+  - The AudioListener follows the subject's position and heading; walls attenuate voices the
+    same way they shadow the field (occlusionFactor from evolution.js).
+  - Offline rendering of a whole walk to a 16-bit stereo WAV via OfflineAudioContext.
+
+  Browser only; expects evolution.js to be loaded first.
+*/
+(function (root) {
+  'use strict';
+
+  const { sourcesOf, obstacleEdges, occlusionFactor, isTimeVarying } = root.BinauralEvolution;
+
+  const SOUND_TYPES = { tone: 'Tone', noise: 'Noise', sample: 'Sample' };
+  const TONES = [220, 277.18, 329.63, 392, 440, 523.25, 587.33, 659.25]; // one pitch per source slot
+  const OFFLINE_RATE = 44100;
+  const AUTOMATION_HZ = 60; // listener keyframes per second when rendering offline
+
+  // ---------- Graph ----------
+  function noiseBuffer(context) {
+    const buf = context.createBuffer(1, context.sampleRate * 2, context.sampleRate);
+    const data = buf.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    return buf;
+  }
+
+  function createGenerator(context, type, index, sample) {
+    if (type === 'noise' || (type === 'sample' && sample)) {
+      const node = context.createBufferSource();
+      node.buffer = type === 'noise' ? noiseBuffer(context) : sample;
+      node.loop = true;
+      return node;
+    }
+    // 'tone', or a 'sample' source whose file hasn't been loaded yet
+    const osc = context.createOscillator();
+    osc.type = 'triangle';
+    osc.frequency.value = TONES[index % TONES.length];
+    return osc;
+  }
+
+  function setParam(param, value, time) {
+    if (time == null) param.value = value;
+    else param.setValueAtTime(value, time);
+  }
+
+  // amplitude follows sqrt(power) since power scales intensity; noise is louder per unit gain
+  function levelGain(src) {
+    return Math.sqrt(src.power) * ((src.sound || 'tone') === 'noise' ? 0.2 : 0.45);
+  }
+
+  function placeSource(panner, p, time) {
+    if (panner.positionX) {
+      setParam(panner.positionX, p.x, time);
+      setParam(panner.positionY, 0, time);
+      setParam(panner.positionZ, p.z, time);
+    } else if (time == null) {
+      panner.setPosition(p.x, 0, p.z);
+    } else {
+      throw new Error('This browser cannot automate panner positions, so moving sources cannot be rendered offline.');
+    }
+  }
+
+  // generator -> level (source power) -> occlusion (walls) -> HRTF panner -> destination
+  function createVoice(context, src, index, sample, destination) {
+    const gen = createGenerator(context, src.sound || 'tone', index, sample);
+    const level = context.createGain();
+    level.gain.value = levelGain(src);
+    const occlusion = context.createGain();
+    const panner = context.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = 2;
+    panner.maxDistance = 200;
+    panner.rolloffFactor = 1;
+    placeSource(panner, src.position);
+    gen.connect(level).connect(occlusion).connect(panner).connect(destination);
+    return { src, gen, level, occlusion, panner };
+  }
+
+  // Moves and gates voices to `world` as it is now (sources with timelines, see worldAt)
+  function followSources(voices, world, time) {
+    const sources = sourcesOf(world);
+    voices.forEach((v, i) => {
+      if (!sources[i]) return;
+      v.src = sources[i];
+      placeSource(v.panner, v.src.position, time);
+      setParam(v.level.gain, levelGain(v.src), time);
+    });
+  }
+
+  // Listener at p facing `heading` ({ x, z }, unit length); `time` schedules instead of setting now
+  function placeListener(listener, p, heading, time) {
+    if (listener.positionX) {
+      setParam(listener.positionX, p.x, time);
+      setParam(listener.positionY, 0, time);
+      setParam(listener.positionZ, p.z, time);
+      setParam(listener.forwardX, heading.x, time);
+      setParam(listener.forwardY, 0, time);
+      setParam(listener.forwardZ, heading.z, time);
+      setParam(listener.upX, 0, time);
+      setParam(listener.upY, 1, time);
+      setParam(listener.upZ, 0, time);
+    } else if (time == null) {
+      listener.setPosition(p.x, 0, p.z);
+      listener.setOrientation(heading.x, 0, heading.z, 0, 1, 0);
+    } else {
+      throw new Error('This browser cannot automate the AudioListener, so walks cannot be rendered offline.');
+    }
+  }
+
+  function updateOcclusion(voices, edges, p, time) {
+    voices.forEach(v => {
+      // occlusionFactor scales intensity; gains scale amplitude
+      const g = edges.length ? Math.sqrt(occlusionFactor(edges, v.src.position, p)) : 1;
+      setParam(v.occlusion.gain, g, time);
+    });
+  }
+
+  // Unit heading of a polyline at index i (looks ahead to the next distinct point, so a walker
+  // waiting on the spot already faces the way it will go)
+  function headingAt(path, i) {
+    const a = path[Math.min(i, path.length - 2)];
+    let j = Math.min(i + 1, path.length - 1);
+    while (j < path.length - 1 && path[j].x === a.x && path[j].z === a.z) j++;
+    const b = path[j];
+    const dx = b.x - a.x, dz = b.z - a.z, len = Math.hypot(dx, dz) || 1;
+    return { x: dx / len, z: dz / len };
+  }
+
+  // ---------- WAV ----------
+  function encodeWav(buffer) {
+    const channels = Math.min(2, buffer.numberOfChannels);
+    const frames = buffer.length;
+    const bytes = new DataView(new ArrayBuffer(44 + frames * channels * 2));
+    const text = (offset, s) => { for (let i = 0; i < s.length; i++) bytes.setUint8(offset + i, s.charCodeAt(i)); };
+    text(0, 'RIFF'); bytes.setUint32(4, 36 + frames * channels * 2, true); text(8, 'WAVE');
+    text(12, 'fmt '); bytes.setUint32(16, 16, true); bytes.setUint16(20, 1, true); bytes.setUint16(22, channels, true);
+    bytes.setUint32(24, buffer.sampleRate, true); bytes.setUint32(28, buffer.sampleRate * channels * 2, true);
+    bytes.setUint16(32, channels * 2, true); bytes.setUint16(34, 16, true);
+    text(36, 'data'); bytes.setUint32(40, frames * channels * 2, true);
+    const data = [];
+    for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+      for (let c = 0; c < channels; c++) {
+        const v = Math.max(-1, Math.min(1, data[c][i]));
+        bytes.setInt16(offset, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+        offset += 2;
+      }
+    }
+    return new Blob([bytes], { type: 'audio/wav' });
+  }
+
+  // ---------- Player ----------
+  function createBinauralAudio() {
+    const Ctx = root.AudioContext || root.webkitAudioContext;
+    let ctx = null;
+    let master = null;
+    let voices = [];
+    let volume = 0.6;
+    let muted = false;
+    const samples = new Map(); // source id -> { name, buffer }
+
+    function ensureContext() {
+      if (!Ctx) return null;
+      if (!ctx) {
+        ctx = new Ctx();
+        master = ctx.createGain();
+        master.gain.value = muted ? 0 : volume;
+        master.connect(ctx.destination);
+      }
+      return ctx;
+    }
+
+    // Create/resume the context; call from a user gesture so playback is allowed later
+    function unlock() {
+      const context = ensureContext();
+      if (context && context.state === 'suspended') context.resume();
+    }
+
+    function stop() {
+      voices.forEach(v => { try { v.gen.stop(); } catch (err) { /* never started */ } v.panner.disconnect(); });
+      voices = [];
+    }
+
+    function start(world) {
+      const context = ensureContext();
+      if (!context) return;
+      stop();
+      voices = sourcesOf(world).map((src, i) => {
+        const sample = samples.get(src.id);
+        const v = createVoice(context, src, i, sample && sample.buffer, master);
+        v.gen.start();
+        return v;
+      });
+    }
+
+    // `world` may be the timeline's current state (worldAt); its sources move and gate the voices
+    function update(p, heading, world) {
+      if (!ctx || !voices.length) return;
+      placeListener(ctx.listener, p, heading);
+      if (isTimeVarying(world)) followSources(voices, world);
+      updateOcclusion(voices, obstacleEdges(world), p);
+    }
+
+    function setVolume(v) {
+      volume = Math.max(0, Math.min(1, v));
+      if (master) master.gain.setTargetAtTime(muted ? 0 : volume, ctx.currentTime, 0.02);
+    }
+
+    function setMuted(m) {
+      muted = !!m;
+      setVolume(volume);
+    }
+
+    function loadSample(sourceId, file) {
+      const context = ensureContext();
+      if (!context) return Promise.reject(new Error('Web Audio is not available in this browser.'));
+      return file.arrayBuffer()
+        .then(data => new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject)))
+        .then(buffer => { samples.set(sourceId, { name: file.name, buffer }); return buffer; },
+          () => { throw new Error(`Could not decode "${file.name}" as audio.`); });
+    }
+
+    // Renders the walk along `path` (spaced points) over `duration` seconds to a WAV Blob.
+    // `timeAt(k)` optionally gives the timeline seconds of path[k] so moving sources follow the walk;
+    // `worldAt(world, t)` from evolution.js is then applied to the sources.
+    function renderWalk({ world, path, duration, timeAt = null, worldAt = null }) {
+      const Offline = root.OfflineAudioContext || root.webkitOfflineAudioContext;
+      if (!Offline) return Promise.reject(new Error('OfflineAudioContext is not available in this browser.'));
+      const context = new Offline(2, Math.ceil(duration * OFFLINE_RATE), OFFLINE_RATE);
+      const out = context.createGain();
+      out.gain.value = volume;
+      out.connect(context.destination);
+      const edges = obstacleEdges(world);
+      const offline = sourcesOf(world).map((src, i) => {
+        const sample = samples.get(src.id);
+        return createVoice(context, src, i, sample && sample.buffer, out);
+      });
+      try {
+        const keys = Math.max(2, Math.ceil(duration * AUTOMATION_HZ));
+        for (let k = 0; k <= keys; k++) {
+          const t = k / keys;
+          const i = Math.min(path.length - 1, Math.round(t * (path.length - 1)));
+          if (timeAt && worldAt) followSources(offline, worldAt(world, timeAt(i)), t * duration);
+          placeListener(context.listener, path[i], headingAt(path, i), t * duration);
+          updateOcclusion(offline, edges, path[i], t * duration);
+        }
+      } catch (err) {
+        return Promise.reject(err);
+      }
+      offline.forEach(v => v.gen.start(0));
+      return context.startRendering().then(encodeWav);
+    }
+
+    return {
+      unlock, start, stop, update, setVolume, setMuted, loadSample, renderWalk,
+      sampleName: (id) => (samples.get(id) || {}).name || null,
+      get available() { return !!Ctx; },
+      get playing() { return voices.length > 0; },
+    };
+  }
+
+  root.BinauralAudio = { SOUND_TYPES, createBinauralAudio, encodeWav, headingAt };
+})(window);
@@ -0,0 +1,101 @@
+/*
+  Binaural Pathfinding — Batch Runner (Node)
+  - Runs batch.js over a scene file and prints a summary table; with --out it also writes
+    trials.csv, summary.csv, batch.json and one box plot SVG per metric.
+
+  Usage:
+    node batch-cli.js scenes/two-speakers.json --seeds 1..100 \
+      --config fast=fastDemo --config thorough=thorough --config wide='{"mutationScale":7}' \
+      --threshold 30 --out results
+  A config is a preset id (PRESETS in evolution.js) or a JSON object of params, applied on top of
+  the scene's params; without --config the scene runs as saved. --level sets the confidence level.
+*/
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const evo = require('./evolution.js');
+const { parseScene } = require('./scene.js');
+const batch = require('./batch.js');
+
+function parseArgs(argv) {
+  const args = { scene: null, seeds: '1..10', configs: [], threshold: null, level: 0.95, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${a} needs a value`);
+      return argv[++i];
+    };
+    if (a === '--seeds') args.seeds = value();
+    else if (a === '--threshold') args.threshold = Number(value());
+    else if (a === '--level') args.level = Number(value());
+    else if (a === '--out') args.out = value();
+    else if (a === '--target') args.target = value();
+    else if (a === '--config') args.configs.push(readConfig(value()));
+    else if (a === '--help' || a === '-h') args.help = true;
+    else if (!a.startsWith('--') && !args.scene) args.scene = a;
+    else throw new Error(`unknown argument ${a}`);
+  }
+  return args;
+}
+
+// "name=presetId" or "name={...params}"
+function readConfig(text) {
+  const eq = text.indexOf('=');
+  if (eq < 1) throw new Error(`--config ${text}: expected name=preset or name={json}`);
+  const name = text.slice(0, eq), body = text.slice(eq + 1);
+  if (evo.PRESETS[body]) return { name, params: evo.PRESETS[body].params };
+  try {
+    return { name, params: JSON.parse(body) };
+  } catch (err) {
+    throw new Error(`--config ${name}: not a preset (${Object.keys(evo.PRESETS).join(', ')}) or JSON params`);
+  }
+}
+
+function table(summary) {
+  const fmt = (v) => (Number.isFinite(v) ? v.toFixed(2) : '—');
+  const rows = [['config', 'metric', 'n', 'mean', `CI`, 'median', 'IQR']];
+  summary.forEach(row => Object.keys(batch.METRICS).forEach(metric => {
+    const s = row[metric];
+    rows.push([row.config, metric, `${s.n}/${row.runs}`, fmt(s.mean), `${fmt(s.ciLow)} … ${fmt(s.ciHigh)}`, fmt(s.median), `${fmt(s.q1)} … ${fmt(s.q3)}`]);
+  }));
+  const widths = rows[0].map((_, c) => Math.max(...rows.map(r => r[c].length)));
+  return rows.map(r => r.map((cell, c) => cell.padEnd(widths[c])).join('  ')).join('\n');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help || !args.scene) {
+    console.log(fs.readFileSync(__filename, 'utf8').split('*/')[0].replace('/*', '').trim());
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+  const scene = parseScene(fs.readFileSync(args.scene, 'utf8'));
+  const spec = {
+    world: scene.world, params: scene.params, target: args.target || scene.target,
+    configs: args.configs.length ? args.configs : [{ name: scene.name || 'scene' }],
+    seeds: args.seeds, threshold: args.threshold, level: args.level,
+  };
+  const t0 = Date.now();
+  const result = batch.runBatch(spec, (trial, done, total) => {
+    process.stderr.write(`\r${done}/${total} runs · ${((Date.now() - t0) / 1000).toFixed(1)} s`);
+  });
+  process.stderr.write('\n');
+  console.log(table(result.summary));
+
+  if (args.out) {
+    fs.mkdirSync(args.out, { recursive: true });
+    const write = (name, text) => fs.writeFileSync(path.join(args.out, name), text);
+    write('trials.csv', batch.trialsCsv(result.trials));
+    write('summary.csv', batch.summaryCsv(result.summary));
+    write('batch.json', JSON.stringify(batch.toJson(result), null, 2) + '\n');
+    Object.keys(batch.METRICS).forEach(metric => write(`boxplot-${metric}.svg`, batch.boxPlotSvg(result.summary, metric)));
+    console.log(`Wrote ${args.out}/trials.csv, summary.csv, batch.json and box plots`);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,202 @@
+// Batch experiments page: runs batch.js a generation at a time in short slices so the page (and
+// Cancel) stays responsive
+(() => {
+  const { PRESETS } = BinauralEvolution;
+  const SLICE_MS = 30; // time spent running per slice before the page gets a frame
+  // used when no scene file can be fetched (e.g. opened from disk)
+  const FALLBACK_SCENE = {
+    name: 'Two speakers (built-in)',
+    world: {
+      A: { x: -16, y: 0, z: 10 }, B: { x: 16, y: 0, z: -8 },
+      sources: [
+        { id: 'left', label: 'L', color: 0x3b82f6, power: 1, position: { x: -10, y: 0, z: -6 } },
+        { id: 'right', label: 'R', color: 0xef4444, power: 1, position: { x: 12, y: 0, z: 6 } },
+      ],
+      obstacles: [],
+    },
+    params: {},
+    target: 'either',
+  };
+
+  let scene = FALLBACK_SCENE;
+  let batch = null; // running BinauralBatch.createBatch
+  let result = null; // { spec, trials, summary } of the last batch (partial while running)
+  let timer = null;
+
+  const $ = (id) => document.getElementById(id);
+
+  // ---------- Scene ----------
+  function loadLibrary() {
+    const select = $('sceneLibrary');
+    select.add(new Option(FALLBACK_SCENE.name, ''));
+    fetch('./scenes/index.json')
+      .then(res => (res.ok ? res.json() : []))
+      .then(list => {
+        list.forEach(entry => select.add(new Option(entry.name, './scenes/' + entry.file)));
+        if (list.length) { select.value = './scenes/' + list[0].file; loadLibraryScene(select.value); }
+      })
+      .catch(() => { /* file://: the built-in scene and the file picker still work */ });
+  }
+
+  function loadLibraryScene(url) {
+    if (!url) { useScene(FALLBACK_SCENE); return; }
+    fetch(url)
+      .then(res => { if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`); return res.text(); })
+      .then(text => useScene(BinauralScene.parseScene(text)))
+      .catch(err => setStatus('sceneStatus', err.message, true));
+  }
+
+  function loadSceneFile(file) {
+    if (!file) return;
+    file.text()
+      .then(text => useScene(BinauralScene.parseScene(text)))
+      .catch(err => setStatus('sceneStatus', err.message, true));
+  }
+
+  function useScene(data) {
+    scene = data;
+    const agents = (data.world.agents || []).length;
+    setStatus('sceneStatus', `${data.name || 'Scene'}: ${data.world.sources.length} sources, ${(data.world.obstacles || []).length} obstacles` +
+      (agents ? `, ${agents + 1} agents` : '') + `, target ${data.target}`);
+  }
+
+  // ---------- Configurations ----------
+  function defaultConfigs() {
+    return Object.keys(PRESETS).map(id => ({ name: id, params: PRESETS[id].params }));
+  }
+
+  function addPreset(id) {
+    let configs;
+    try { configs = readConfigs(); } catch (err) { configs = []; }
+    let name = id, n = 2;
+    while (configs.some(c => c.name === name)) name = `${id} ${n++}`;
+    configs.push({ name, params: PRESETS[id].params });
+    writeConfigs(configs);
+  }
+
+  function readConfigs() {
+    const list = JSON.parse($('configsInput').value);
+    if (!Array.isArray(list)) throw new Error('Configurations must be a JSON list of { "name", "params" }');
+    return list;
+  }
+
+  function writeConfigs(configs) {
+    $('configsInput').value = '[\n' + configs.map(c => '  ' + JSON.stringify(c)).join(',\n') + '\n]';
+  }
+
+  // ---------- Running ----------
+  function start() {
+    if (batch) return;
+    try {
+      batch = BinauralBatch.createBatch({
+        world: scene.world, params: scene.params, target: scene.target,
+        configs: readConfigs(), seeds: $('seedsInput').value,
+        threshold: $('thresholdInput').value, level: Number($('levelSelect').value),
+      });
+    } catch (err) {
+      setStatus('batchStatus', err.message, true);
+      return;
+    }
+    result = null;
+    setRunning(true);
+    const t0 = performance.now();
+    const slice = () => {
+      const s0 = performance.now(), finished = batch.trials.length;
+      while (!batch.done && performance.now() - s0 < SLICE_MS) batch.step();
+      // the table and plots only change when a run finishes
+      if (!result || batch.trials.length !== finished) {
+        result = BinauralBatch.batchResult(batch);
+        render();
+      }
+      $('progress').value = batch.progress;
+      setStatus('batchStatus', `${batch.trials.length} / ${batch.total} runs · ${((performance.now() - t0) / 1000).toFixed(1)} s`);
+      if (batch.done) finish();
+      else timer = setTimeout(slice, 0);
+    };
+    timer = setTimeout(slice, 0);
+  }
+
+  function cancel() {
+    if (!batch) return;
+    setStatus('batchStatus', `Cancelled after ${batch.trials.length} of ${batch.total} runs`);
+    finish();
+  }
+
+  function finish() {
+    clearTimeout(timer);
+    timer = null;
+    batch = null;
+    setRunning(false);
+  }
+
+  function setRunning(on) {
+    $('btnRun').disabled = on;
+    $('btnCancel').disabled = !on;
+    document.querySelectorAll('[data-export]').forEach(btn => { btn.disabled = on || !result || !result.trials.length; });
+  }
+
+  // ---------- Results ----------
+  function render() {
+    const table = $('summaryTable');
+    const fmt = (v) => (Number.isFinite(v) ? v.toFixed(2) : '—');
+    const ci = (s) => (s.n > 1 ? `${fmt(s.ciLow)} … ${fmt(s.ciHigh)}` : '—');
+    const level = Math.round(result.spec.level * 100);
+    const rows = [['Config', 'Runs', 'Fitness mean', `${level}% CI`, 'Median', 'IQR', 'Reached', 'Gens mean', `${level}% CI`, 'Gens median', 'ms mean', 'ms median']];
+    result.summary.forEach(r => {
+      const f = r.fitness, g = r.gensToThreshold, m = r.ms;
+      rows.push([r.config, String(r.runs), fmt(f.mean), ci(f), fmt(f.median), `${fmt(f.q1)} … ${fmt(f.q3)}`,
+        result.spec.threshold == null ? '—' : `${r.reached}/${r.runs}`, fmt(g.mean), ci(g), fmt(g.median), fmt(m.mean), fmt(m.median)]);
+    });
+    table.innerHTML = '';
+    rows.forEach((cells, i) => {
+      const tr = table.insertRow();
+      cells.forEach(text => {
+        const cell = document.createElement(i ? 'td' : 'th');
+        cell.textContent = text;
+        tr.appendChild(cell);
+      });
+    });
+    $('plots').innerHTML = plotKeys().map(metric => BinauralBatch.boxPlotSvg(result.summary, metric)).join('');
+  }
+
+  // generations to threshold only mean something with a threshold
+  function plotKeys() {
+    return Object.keys(BinauralBatch.METRICS).filter(key => key !== 'gensToThreshold' || result.spec.threshold != null);
+  }
+
+  function exportResult(kind) {
+    if (!result) return;
+    const stamp = `binaural-batch-${result.trials.length}runs`;
+    if (kind === 'trials') download(BinauralBatch.trialsCsv(result.trials), `${stamp}-runs.csv`, 'text/csv');
+    else if (kind === 'summary') download(BinauralBatch.summaryCsv(result.summary), `${stamp}-summary.csv`, 'text/csv');
+    else if (kind === 'json') download(JSON.stringify(BinauralBatch.toJson(result), null, 2) + '\n', `${stamp}.json`, 'application/json');
+    else plotKeys().forEach(metric => download(BinauralBatch.boxPlotSvg(result.summary, metric), `${stamp}-${metric}.svg`, 'image/svg+xml'));
+  }
+
+  function download(text, filename, type) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type }));
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  function setStatus(id, text, isError = false) {
+    const el = $(id);
+    el.textContent = text;
+    el.classList.toggle('status--error', isError);
+  }
+
+  // ---------- Bootstrap ----------
+  Object.keys(PRESETS).forEach(id => $('presetAdd').add(new Option(PRESETS[id].label, id)));
+  $('presetAdd').addEventListener('change', (e) => { if (e.target.value) addPreset(e.target.value); e.target.value = ''; });
+  $('sceneLibrary').addEventListener('change', (e) => loadLibraryScene(e.target.value));
+  $('btnLoad').addEventListener('click', () => $('sceneInput').click());
+  $('sceneInput').addEventListener('change', (e) => { loadSceneFile(e.target.files && e.target.files[0]); e.target.value = ''; });
+  $('btnRun').addEventListener('click', start);
+  $('btnCancel').addEventListener('click', cancel);
+  document.querySelectorAll('[data-export]').forEach(btn => btn.addEventListener('click', () => exportResult(btn.dataset.export)));
+  writeConfigs(defaultConfigs());
+  useScene(FALLBACK_SCENE);
+  loadLibrary();
+})();
@@ -0,0 +1,352 @@
+/*
+  Binaural Pathfinding — Batch Experiments
+  - Runs a grid of configurations × seeds on one world headlessly, the way runEvolution does, and
+    records each run's final fitness, generations to a fitness threshold and wall time.
+  - Summarizes every configuration (mean, SD, confidence interval of the mean, median, quartiles)
+    and exports the runs and summaries as CSV/JSON, plus box plots as standalone SVG.
+  - Used by batch.html (a generation at a time between frames) and batch-cli.js (Node).
+
+  Usage (browser):  <script src="./batch.js"></script> after evolution.js -> window.BinauralBatch
+  Usage (Node):     const { runBatch, summarize } = require('./batch.js');
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./evolution.js'));
+  else root.BinauralBatch = factory(root.BinauralEvolution);
+})(typeof self !== 'undefined' ? self : this, function (evo) {
+  'use strict';
+
+  const BATCH_FORMAT = 'binaural-batch';
+  const BATCH_VERSION = 1;
+  const MAX_SEEDS = 10000;
+  const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+  // Reported per run; `better` is the direction a box plot reader should look
+  const METRICS = {
+    fitness: { label: 'Final fitness', better: 'higher' },
+    gensToThreshold: { label: 'Generations to threshold', better: 'lower' },
+    ms: { label: 'Wall time (ms)', better: 'lower' },
+  };
+
+  // ---------- Spec ----------
+  // { world, target?, params?, configs: [{ name, params?, target? }], seeds, threshold?, level? }
+  // `params` is the base every config's params go on top of (e.g. a scene's params). `seeds` is a
+  // list or a string like "1..100" or "1,2,7"; `threshold` (fitness) may be null, and `level` is the
+  // confidence level of the intervals. Unknown or out-of-range params throw, like a bad scene file.
+  function parseSeeds(seeds) {
+    if (Array.isArray(seeds)) return seeds.map(Number);
+    const out = [];
+    String(seeds).split(',').map(s => s.trim()).filter(Boolean).forEach(part => {
+      const range = /^(\d+)\s*\.\.\s*(\d+)$/.exec(part);
+      if (!range) { out.push(Number(part)); return; }
+      const from = Number(range[1]), to = Number(range[2]);
+      for (let s = from; s <= to && out.length <= MAX_SEEDS; s++) out.push(s);
+    });
+    return out;
+  }
+
+  function normalizeSpec(spec) {
+    const errors = [];
+    const seeds = parseSeeds(spec.seeds != null ? spec.seeds : '1..10');
+    if (!seeds.length || seeds.length > MAX_SEEDS || seeds.some(s => !Number.isInteger(s) || s < 0)) {
+      errors.push(`seeds must be 1 to ${MAX_SEEDS} whole numbers ≥ 0`);
+    }
+    const configs = (spec.configs && spec.configs.length ? spec.configs : [{ name: 'default' }]).map((c, i) => {
+      const name = c.name ? String(c.name) : `config ${i + 1}`;
+      const { params, errors: bad } = evo.validateParams(c.params || {});
+      bad.forEach(e => errors.push(`${name}: ${e}`));
+      return { name, params, target: c.target || spec.target || evo.TARGET_ANY };
+    });
+    const names = configs.map(c => c.name);
+    names.forEach((name, i) => { if (names.indexOf(name) !== i) errors.push(`config name "${name}" is used twice`); });
+    const threshold = spec.threshold == null || spec.threshold === '' ? null : Number(spec.threshold);
+    if (threshold != null && !Number.isFinite(threshold)) errors.push('threshold must be a number');
+    const level = spec.level != null ? Number(spec.level) : 0.95;
+    if (!(level > 0 && level < 1)) errors.push('level must be between 0 and 1');
+    if (!spec.world) errors.push('world is missing');
+    if (errors.length) {
+      const err = new Error('Invalid batch: ' + errors.join('; '));
+      err.errors = errors;
+      throw err;
+    }
+    return { world: spec.world, params: Object.assign({}, spec.params), configs, seeds, threshold, level };
+  }
+
+  // ---------- Runs ----------
+  // One run as runEvolution does it, a generation per step() so a page can spread it over frames.
+  // step() returns null until the run is done, then the trial: `fitness` is the best fitness seen (a
+  // co-evolution's team fitness), `gensToThreshold` the first generation whose best reached the
+  // threshold (else null) and `ms` the time spent stepping.
+  function createTrial(spec, config, seed) {
+    const params = Object.assign({}, spec.params, config.params);
+    let run = null, gen = 0, fitness = -Infinity, hit = null, ms = 0;
+    const record = (e) => {
+      gen = e.gen;
+      fitness = Math.max(fitness, e.stats.best);
+      if (hit == null && spec.threshold != null && e.stats.best >= spec.threshold) hit = e.gen;
+    };
+    return {
+      get gen() { return gen; },
+      get generations() { return run ? run.params.generations : 1; },
+      step() {
+        const t0 = now();
+        if (run) record(run.step());
+        else {
+          run = evo.createRun({ world: spec.world, params, target: config.target, seed });
+          record(run.initial());
+        }
+        ms += now() - t0;
+        if (!run.done) return null;
+        return { config: config.name, seed, fitness, gensToThreshold: hit, generations: gen, collisions: run.best.collisions || 0, ms };
+      },
+    };
+  }
+
+  // A whole run at once
+  function runTrial(spec, config, seed) {
+    const trial = createTrial(spec, config, seed);
+    let row = null;
+    while (!row) row = trial.step();
+    return row;
+  }
+
+  // Steps through the grid seed by seed so partial results compare every config: step() runs one
+  // generation of the current run (returning its trial when that finishes), next() a whole run
+  function createBatch(spec) {
+    const s = normalizeSpec(spec);
+    const trials = [];
+    const total = s.seeds.length * s.configs.length;
+    let current = null;
+    const step = () => {
+      if (trials.length >= total) return null;
+      if (!current) {
+        const k = trials.length;
+        current = createTrial(s, s.configs[k % s.configs.length], s.seeds[Math.floor(k / s.configs.length)]);
+      }
+      const trial = current.step();
+      if (trial) {
+        trials.push(trial);
+        current = null;
+      }
+      return trial;
+    };
+    return {
+      spec: s,
+      trials,
+      total,
+      get done() { return trials.length >= total; },
+      // runs finished, counting the current one's share of its generations
+      get progress() { return (trials.length + (current ? current.gen / Math.max(1, current.generations) : 0)) / total; },
+      step,
+      next() {
+        let trial = null;
+        while (!trial && trials.length < total) trial = step();
+        return trial;
+      },
+    };
+  }
+
+  // Runs the whole grid; `onTrial(trial, doneCount, total)` reports progress
+  function runBatch(spec, onTrial) {
+    const batch = createBatch(spec);
+    while (!batch.done) {
+      const trial = batch.next();
+      if (onTrial) onTrial(trial, batch.trials.length, batch.total);
+    }
+    return batchResult(batch);
+  }
+
+  function batchResult(batch) {
+    return { spec: batch.spec, trials: batch.trials, summary: summarize(batch.trials, batch.spec) };
+  }
+
+  // ---------- Statistics ----------
+  // Quantile by linear interpolation between order statistics (R's type 7)
+  function quantile(sorted, q) {
+    if (!sorted.length) return NaN;
+    const f = (sorted.length - 1) * q;
+    const i = Math.floor(f);
+    return sorted[i] + (sorted[Math.min(sorted.length - 1, i + 1)] - sorted[i]) * (f - i);
+  }
+
+  // Lanczos approximation
+  function logGamma(x) {
+    const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x, sum = 1.000000000190015;
+    const t = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    c.forEach(ci => { sum += ci / ++y; });
+    return -t + Math.log(2.5066282746310005 * sum / x);
+  }
+
+  // Regularized incomplete beta I_x(a, b) by its continued fraction (Numerical Recipes' betacf)
+  function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+    let c = 1, d = 1 - (a + b) * x / (a + 1);
+    d = 1 / (Math.abs(d) < 1e-30 ? 1e-30 : d);
+    let h = d;
+    for (let m = 1; m <= 200; m++) {
+      for (const num of [m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)), -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))]) {
+        d = 1 + num * d; d = 1 / (Math.abs(d) < 1e-30 ? 1e-30 : d);
+        c = 1 + num / c; if (Math.abs(c) < 1e-30) c = 1e-30;
+        h *= d * c;
+      }
+      if (Math.abs(d * c - 1) < 1e-12) break;
+    }
+    return front * h / a;
+  }
+
+  // Student's t with `df` degrees of freedom: P(T ≤ t), and the t with P(T ≤ t) = p (bisection)
+  function tCdf(t, df) {
+    const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    return t >= 0 ? 1 - tail : tail;
+  }
+
+  function tQuantile(p, df) {
+    let lo = 0, hi = 1;
+    while (tCdf(hi, df) < p && hi < 1e6) hi *= 2;
+    for (let k = 0; k < 100; k++) {
+      const mid = (lo + hi) / 2;
+      if (tCdf(mid, df) < p) lo = mid; else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  // Descriptive statistics of a list of numbers. The interval is the t interval of the mean at
+  // `level`; whiskers follow Tukey (furthest values within 1.5 × IQR), the rest are outliers.
+  function describe(values, level = 0.95) {
+    const v = values.filter(Number.isFinite).slice().sort((a, b) => a - b);
+    const n = v.length;
+    if (!n) return { n: 0, mean: NaN, sd: NaN, ciLow: NaN, ciHigh: NaN, median: NaN, q1: NaN, q3: NaN, min: NaN, max: NaN, whiskerLow: NaN, whiskerHigh: NaN, outliers: [] };
+    const mean = v.reduce((a, b) => a + b, 0) / n;
+    const sd = n > 1 ? Math.sqrt(v.reduce((a, b) => a + (b - mean) * (b - mean), 0) / (n - 1)) : 0;
+    const half = n > 1 ? tQuantile(1 - (1 - level) / 2, n - 1) * sd / Math.sqrt(n) : 0;
+    const q1 = quantile(v, 0.25), q3 = quantile(v, 0.75);
+    const fence = 1.5 * (q3 - q1);
+    const inside = v.filter(x => x >= q1 - fence && x <= q3 + fence);
+    return {
+      n, mean, sd, ciLow: mean - half, ciHigh: mean + half,
+      median: quantile(v, 0.5), q1, q3, min: v[0], max: v[n - 1],
+      whiskerLow: inside[0], whiskerHigh: inside[inside.length - 1],
+      outliers: v.filter(x => x < q1 - fence || x > q3 + fence),
+    };
+  }
+
+  // One row per config: { config, runs, reached, fitness, gensToThreshold, ms } (metrics via describe).
+  // gensToThreshold only counts the runs that reached the threshold (`reached` of `runs`).
+  function summarize(trials, spec = {}) {
+    const level = spec.level || 0.95;
+    const names = spec.configs ? spec.configs.map(c => c.name) : [...new Set(trials.map(t => t.config))];
+    return names.map(name => {
+      const own = trials.filter(t => t.config === name);
+      const row = { config: name, runs: own.length, reached: own.filter(t => t.gensToThreshold != null).length };
+      Object.keys(METRICS).forEach(key => { row[key] = describe(own.map(t => t[key]).filter(x => x != null), level); });
+      return row;
+    });
+  }
+
+  // ---------- Export ----------
+  const csvText = (s) => (/[",\n]/.test(s) ? `"${String(s).replace(/"/g, '""')}"` : String(s));
+  const csvNum = (v) => (v == null || !Number.isFinite(v) ? '' : String(Number(v.toPrecision(8))));
+
+  function trialsCsv(trials) {
+    const header = 'config,seed,fitness,gens_to_threshold,generations,collisions,ms';
+    const lines = trials.map(t => [csvText(t.config), t.seed, csvNum(t.fitness), csvNum(t.gensToThreshold), t.generations, t.collisions, csvNum(t.ms)].join(','));
+    return [header].concat(lines).join('\n') + '\n';
+  }
+
+  // One row per config and metric
+  function summaryCsv(summary) {
+    const keys = ['n', 'mean', 'sd', 'ciLow', 'ciHigh', 'median', 'q1', 'q3', 'min', 'max'];
+    const header = 'config,metric,runs,n,mean,sd,ci_low,ci_high,median,q1,q3,min,max';
+    const lines = [];
+    summary.forEach(row => Object.keys(METRICS).forEach(metric => {
+      lines.push([csvText(row.config), metric, row.runs].concat(keys.map(k => csvNum(row[metric][k]))).join(','));
+    }));
+    return [header].concat(lines).join('\n') + '\n';
+  }
+
+  // Everything needed to redo the batch: spec (with world and seeds), every run and the summaries
+  function toJson(result) {
+    const { spec } = result;
+    return {
+      format: BATCH_FORMAT,
+      version: BATCH_VERSION,
+      spec: { world: spec.world, params: spec.params, configs: spec.configs, seeds: spec.seeds, threshold: spec.threshold, level: spec.level },
+      trials: result.trials,
+      summary: result.summary,
+    };
+  }
+
+  // ---------- Box Plots ----------
+  // One box per config for `metric` (quartiles, median line, Tukey whiskers, outlier dots, mean ◆),
+  // on a dark background like the other SVG exports.
+  const BOX_COLORS = ['#8b5cf6', '#22d3ee', '#f59e0b', '#10b981', '#ec4899', '#3b82f6', '#a3e635', '#f97316'];
+  function boxPlotSvg(summary, metric = 'fitness', { width = null, height = 280, title = null } = {}) {
+    const rows = summary.filter(row => row[metric].n > 0);
+    const W = width || Math.max(320, 90 + summary.length * 110), H = height;
+    const left = 64, right = 16, top = 34, bottom = 44;
+    const lo = Math.min(...rows.map(r => r[metric].min)), hi = Math.max(...rows.map(r => r[metric].max));
+    const pad = (hi - lo) * 0.06 || Math.abs(hi) * 0.1 || 1;
+    const y0 = lo - pad, y1 = hi + pad;
+    const y = (v) => (top + (H - top - bottom) * (1 - (v - y0) / (y1 - y0))).toFixed(1);
+    const slot = (W - left - right) / Math.max(1, summary.length);
+    const esc = (s) => String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+    const text = (x, yy, s, anchor = 'middle', size = 11, fill = '#aab1c5') =>
+      `<text x="${x}" y="${yy}" fill="${fill}" font-family="Inter, system-ui" font-size="${size}" text-anchor="${anchor}">${esc(s)}</text>`;
+
+    const out = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">`,
+      `<rect x="0" y="0" width="${W}" height="${H}" fill="#0f1220"/>`,
+      text(left, 20, title || `${METRICS[metric].label} (${METRICS[metric].better} is better)`, 'start', 13, '#e6e9ef'),
+    ];
+    if (rows.length) {
+      niceTicks(y0, y1, 5).forEach(v => {
+        out.push(`<line x1="${left}" x2="${W - right}" y1="${y(v)}" y2="${y(v)}" stroke="#23273a"/>`, text(left - 6, Number(y(v)) + 4, formatTick(v), 'end', 10));
+      });
+    } else {
+      out.push(text(W / 2, H / 2, 'no values', 'middle', 12));
+    }
+    summary.forEach((row, i) => {
+      const s = row[metric];
+      const cx = left + slot * (i + 0.5), bw = Math.min(56, slot * 0.55);
+      const color = BOX_COLORS[i % BOX_COLORS.length];
+      out.push(text(cx, H - bottom + 18, row.config), text(cx, H - bottom + 32, `n = ${s.n}` + (metric === 'gensToThreshold' ? ` of ${row.runs}` : ''), 'middle', 10));
+      if (!s.n) return;
+      out.push(
+        `<line x1="${cx}" x2="${cx}" y1="${y(s.whiskerHigh)}" y2="${y(s.q3)}" stroke="${color}"/>`,
+        `<line x1="${cx}" x2="${cx}" y1="${y(s.q1)}" y2="${y(s.whiskerLow)}" stroke="${color}"/>`,
+        `<line x1="${cx - bw / 4}" x2="${cx + bw / 4}" y1="${y(s.whiskerHigh)}" y2="${y(s.whiskerHigh)}" stroke="${color}"/>`,
+        `<line x1="${cx - bw / 4}" x2="${cx + bw / 4}" y1="${y(s.whiskerLow)}" y2="${y(s.whiskerLow)}" stroke="${color}"/>`,
+        `<rect x="${cx - bw / 2}" y="${y(s.q3)}" width="${bw}" height="${Math.max(1, y(s.q1) - y(s.q3))}" fill="${color}" fill-opacity="0.25" stroke="${color}"/>`,
+        `<line x1="${cx - bw / 2}" x2="${cx + bw / 2}" y1="${y(s.median)}" y2="${y(s.median)}" stroke="#e6e9ef" stroke-width="2"/>`,
+        `<path d="M ${cx} ${Number(y(s.mean)) - 4} l 4 4 l -4 4 l -4 -4 z" fill="#e6e9ef"/>`
+      );
+      s.outliers.forEach(v => out.push(`<circle cx="${cx}" cy="${y(v)}" r="2.5" fill="none" stroke="${color}"/>`));
+    });
+    out.push('</svg>');
+    return out.join('\n') + '\n';
+  }
+
+  // Round numbers (1, 2 or 5 × 10^k apart) covering [lo, hi]
+  function niceTicks(lo, hi, count) {
+    const raw = (hi - lo) / Math.max(1, count);
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 5, 10].map(m => m * mag).find(s => s >= raw);
+    const ticks = [];
+    for (let v = Math.ceil(lo / step) * step; v <= hi + step * 1e-9; v += step) ticks.push(Math.round(v / step) * step);
+    return ticks;
+  }
+
+  function formatTick(v) {
+    return Math.abs(v) >= 1000 || (Math.abs(v) < 0.01 && v !== 0) ? v.toExponential(1) : String(Number(v.toPrecision(4)));
+  }
+
+  return {
+    BATCH_FORMAT, BATCH_VERSION, METRICS, MAX_SEEDS,
+    parseSeeds, normalizeSpec, createTrial, runTrial, createBatch, runBatch, batchResult,
+    quantile, tQuantile, describe, summarize,
+    trialsCsv, summaryCsv, toJson, boxPlotSvg,
+  };
+});
@@ -0,0 +1,1951 @@
+/*
+  Binaural Pathfinding — Evolution Core
+  - Headless, DOM-free optimizer shared by the 3D page, the SVG page and Node scripts.
+  - Points are plain { x, y, z } objects on the XZ ground plane (THREE.Vector3 works too).
+  - Every run owns its RNG, world and population, so several can run side by side.
+  - A world is { A, B, sources: [{ id, label, color, power, position }], obstacles? }; the older
+    { speakerL, speakerR } shape is still accepted and maps to sources 'left' and 'right'.
+
+  Usage (browser):  <script src="./acoustics.js"></script><script src="./evolution.js"></script> -> window.BinauralEvolution
+  Usage (Node):     const evo = require('./evolution.js');
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./acoustics.js'));
+  else root.BinauralEvolution = factory(root.BinauralAcoustics);
+})(typeof self !== 'undefined' ? self : this, function (acoustics) {
+  'use strict';
+
+  // ---------- Utilities ----------
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+  const vec = (x, z) => ({ x, y: 0, z });
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+
+  function seedRandom(seed) {
+    let s = (seed >>> 0) || 1; // xorshift32 gets stuck on 0
+    return function rand() {
+      // xorshift32
+      s ^= s << 13; s ^= s >>> 17; s ^= s << 5;
+      return (s >>> 0) / 4294967296;
+    };
+  }
+
+  // Standard normal sample (Box–Muller) from a uniform rand()
+  function gaussian(rand) {
+    const u = 1 - rand(); // (0, 1]
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+  }
+
+  const DEFAULT_PARAMS = {
+    popSize: 28,
+    ctrlCount: 4, // number of control points between A and B per genome
+    mutationProb: 0.25,
+    mutationScale: 4.0,
+    crossProb: 0.8,
+    stepsPerPath: 140,
+    generations: 45,
+    fitnessSamples: 80, // spaced points used when scoring a path
+    spreadX: 8, // initial random offset of control points around the straight A→B line
+    spreadZ: 6,
+    encoding: 'fixed', // see ENCODINGS: 'fixed' | 'variable' | 'polar' | 'grid'
+    maxCtrl: 10, // 'variable': most control points a genome may grow to
+    insertProb: 0.1, // 'variable': chance per mutation to insert / delete a control point
+    deleteProb: 0.1,
+    gridCell: 2, // 'grid': waypoint lattice spacing
+    // search strategy (see STRATEGIES)
+    strategy: 'ga', // 'ga' | 'cmaes' | 'de' | 'islands'
+    mutationAdapt: 'off', // 'off' | 'anneal' (mutationScale shrinks to annealTo × over the run) | 'self' (per-genome step sizes)
+    annealTo: 0.1,
+    deWeight: 0.6, // DE differential weight F
+    deCrossover: 0.9, // DE crossover rate CR
+    islandCount: 4,
+    islandMode: 'same', // 'same' | 'targets' (islands 2.. target one source each) | 'mutation' (spread of mutationScale)
+    migrationInterval: 10, // generations between migrations
+    migrants: 2, // best genomes each island sends to the next one
+    // objective weights (see OBJECTIVES); rewards add, costs subtract
+    loudnessWeight: 1.0, // target intensity summed over the samples
+    balanceWeight: 0, // mean balance of the two loudest sources
+    lengthPenalty: 0.25, // weight of (path length / lengthNorm)
+    lengthNorm: 80,
+    curvatureWeight: 0, // total turning along the path, in half turns
+    quietTimeWeight: 0, // share of the walk with the target below quietThreshold
+    quietThreshold: 70, // dB SPL
+    loudTimeWeight: 0, // share of the walk with all sources together above loudThreshold
+    loudThreshold: 85, // dB SPL
+    exposureWeight: 0, // peak total intensity along the path
+    objectiveMode: 'weighted', // 'weighted' (single fitness) | 'pareto' (NSGA-II over paretoX/paretoY)
+    paretoX: 'length',
+    paretoY: 'exposure',
+    goalBonus: 1.0, // always reaches B by construction
+    propagationModel: 'toy', // see acoustics.js: 'toy' | 'freeField' | 'airAbsorption' | 'headShadow'
+    falloffOffset: 0.2, // avoid div by 0 in the toy model's falloff
+    referenceLevel: acoustics.DEFAULT_OPTIONS.referenceLevel, // dB SPL of a power-1 source at 1 unit
+    airBand: acoustics.DEFAULT_OPTIONS.airBand,
+    headShadowDb: acoustics.DEFAULT_OPTIONS.headShadowDb,
+    obstaclePenalty: 2.0, // fitness lost per path segment that crosses an obstacle wall
+    obstacleMode: 'penalize', // 'penalize' | 'reject' (regenerate offspring that collide)
+    walkSpeed: 1.4, // m/s; only matters when a source has a timeline (see worldAt)
+    maxWait: 0, // s; > 0 adds an evolved departure delay so paths can be timed as well as shaped
+    // agents (see createCoEvolution); only used when world.agents lists more walkers
+    minSeparation: 1.5, // m two walkers should keep between them
+    separationWeight: 5, // fitness lost per second two walkers spend on top of each other (less when merely too close)
+    separationStep: 0.25, // s between the moments checked
+  };
+
+  // ---------- Param Specs ----------
+  // Sensible ranges for the 3D world (units are metres) used by the settings panel and
+  // validateParams(). Numbers: { min, max, step, integer? }; strings: { options: () => [...] }.
+  // `live` params can change while a run is in progress (see createEvolution().setParams).
+  const num = (group, label, min, max, step, extra) => Object.assign({ group, label, min, max, step }, extra);
+  const weight = (label) => num('Objectives', label, -100, 100, 0.05);
+  const PARAM_SPECS = {
+    popSize: num('Population', 'Population size', 4, 400, 1, { integer: true }),
+    generations: num('Population', 'Generations', 1, 2000, 1, { integer: true, live: true }),
+    mutationProb: num('Population', 'Mutation probability', 0, 1, 0.01, { live: true }),
+    mutationScale: num('Population', 'Mutation scale', 0, 20, 0.1, { live: true }),
+    crossProb: num('Population', 'Crossover probability', 0, 1, 0.01, { live: true }),
+    ctrlCount: num('Paths', 'Control points', 1, 12, 1, { integer: true }),
+    spreadX: num('Paths', 'Initial spread X', 0, 50, 0.5),
+    spreadZ: num('Paths', 'Initial spread Z', 0, 50, 0.5),
+    encoding: { group: 'Paths', label: 'Encoding', options: () => Object.keys(ENCODINGS) },
+    maxCtrl: num('Paths', 'Max control points (variable)', 1, 30, 1, { integer: true }),
+    insertProb: num('Paths', 'Insert probability (variable)', 0, 1, 0.01, { live: true }),
+    deleteProb: num('Paths', 'Delete probability (variable)', 0, 1, 0.01, { live: true }),
+    gridCell: num('Paths', 'Grid cell (grid)', 0.25, 20, 0.25),
+    strategy: { group: 'Strategy', label: 'Strategy', options: () => Object.keys(STRATEGIES) },
+    mutationAdapt: { group: 'Strategy', label: 'Adaptive mutation', options: () => ['off', 'anneal', 'self'] },
+    annealTo: num('Strategy', 'Anneal to (× scale)', 0.001, 1, 0.01),
+    deWeight: num('Strategy', 'DE weight F', 0, 2, 0.05, { live: true }),
+    deCrossover: num('Strategy', 'DE crossover CR', 0, 1, 0.01, { live: true }),
+    islandCount: num('Strategy', 'Islands', 1, 16, 1, { integer: true }),
+    islandMode: { group: 'Strategy', label: 'Islands differ by', options: () => ['same', 'targets', 'mutation'] },
+    migrationInterval: num('Strategy', 'Migration interval', 1, 500, 1, { integer: true, live: true }),
+    migrants: num('Strategy', 'Migrants', 0, 20, 1, { integer: true, live: true }),
+    stepsPerPath: num('Paths', 'Drawn path points', 10, 1000, 1, { integer: true }),
+    fitnessSamples: num('Paths', 'Fitness samples', 10, 1000, 1, { integer: true }),
+    loudnessWeight: weight('Target loudness weight'),
+    balanceWeight: weight('Balance weight'),
+    lengthPenalty: weight('Length weight'),
+    lengthNorm: num('Objectives', 'Length norm', 1, 1000, 1),
+    curvatureWeight: weight('Curvature weight'),
+    quietTimeWeight: weight('Time below weight'),
+    quietThreshold: num('Objectives', 'Quiet threshold (dB)', 0, 140, 1),
+    loudTimeWeight: weight('Time above weight'),
+    loudThreshold: num('Objectives', 'Loud threshold (dB)', 0, 140, 1),
+    exposureWeight: weight('Max exposure weight'),
+    goalBonus: num('Objectives', 'Goal bonus', 0, 100, 0.1),
+    objectiveMode: { group: 'Objectives', label: 'Mode', options: () => ['weighted', 'pareto'] },
+    paretoX: { group: 'Objectives', label: 'Pareto X', options: () => Object.keys(OBJECTIVES) },
+    paretoY: { group: 'Objectives', label: 'Pareto Y', options: () => Object.keys(OBJECTIVES) },
+    propagationModel: { group: 'Acoustics', label: 'Propagation', options: () => Object.keys(acoustics.MODELS) },
+    falloffOffset: num('Acoustics', 'Toy falloff offset', 0.01, 10, 0.01),
+    referenceLevel: num('Acoustics', 'Reference level (dB)', 0, 140, 1),
+    airBand: { group: 'Acoustics', label: 'Air band', options: () => ['broadband', ...Object.keys(acoustics.AIR_BANDS)] },
+    headShadowDb: num('Acoustics', 'Head shadow (dB)', 0, 30, 0.5),
+    obstaclePenalty: num('Obstacles', 'Crossing penalty', 0, 100, 0.1),
+    obstacleMode: { group: 'Obstacles', label: 'Collisions', options: () => ['penalize', 'reject'] },
+    walkSpeed: num('Timing', 'Walking speed (m/s)', 0.1, 10, 0.1),
+    maxWait: num('Timing', 'Max departure wait (s)', 0, 120, 0.5),
+    minSeparation: num('Agents', 'Min separation (m)', 0, 20, 0.1),
+    separationWeight: num('Agents', 'Separation weight', 0, 1000, 0.5),
+    separationStep: num('Agents', 'Separation time step (s)', 0.05, 5, 0.05),
+  };
+
+  // Checks one value against its spec; returns { value } (parsed) or { error }
+  function validateParam(key, raw, specs = PARAM_SPECS) {
+    const spec = specs[key];
+    if (!spec) return { error: `Unknown parameter "${key}"` };
+    if (spec.options) {
+      const options = spec.options();
+      return options.includes(String(raw)) ? { value: String(raw) } : { error: `${spec.label} must be one of ${options.join(', ')}` };
+    }
+    if (spec.boolean) return { value: raw === true || raw === 'true' };
+    const v = typeof raw === 'number' ? raw : (String(raw).trim() === '' ? NaN : Number(raw));
+    if (!Number.isFinite(v)) return { error: `${spec.label} must be a number` };
+    if (spec.integer && !Number.isInteger(v)) return { error: `${spec.label} must be a whole number` };
+    if (v < spec.min || v > spec.max) return { error: `${spec.label} must be between ${spec.min} and ${spec.max}` };
+    return { value: v };
+  }
+
+  // Validates every spec'd key present in `params`; returns { params (valid values only), errors }
+  function validateParams(params, specs = PARAM_SPECS) {
+    const out = {}, errors = [];
+    Object.keys(params).forEach(key => {
+      if (!specs[key]) return;
+      const r = validateParam(key, params[key], specs);
+      if (r.error) errors.push(r.error);
+      else out[key] = r.value;
+    });
+    return { params: out, errors };
+  }
+
+  // Named starting points; applied on top of DEFAULT_PARAMS
+  const PRESETS = {
+    fastDemo: {
+      label: 'Fast demo',
+      params: { popSize: 16, generations: 20, ctrlCount: 3, fitnessSamples: 40, stepsPerPath: 90 },
+    },
+    thorough: {
+      label: 'Thorough search',
+      params: { popSize: 64, generations: 160, ctrlCount: 5, fitnessSamples: 120, mutationProb: 0.2, mutationScale: 2.5 },
+    },
+    exploration: {
+      label: 'Exploration-heavy',
+      params: { popSize: 40, generations: 60, mutationProb: 0.5, mutationScale: 7, crossProb: 0.6, spreadX: 14, spreadZ: 10 },
+    },
+  };
+
+  // ---------- Sources ----------
+  const TARGET_ANY = 'either'; // loudest source wins; any other target is a source id
+
+  function sourcesOf(world) {
+    if (world.sources) return world.sources;
+    const out = [];
+    if (world.speakerL) out.push({ id: 'left', label: 'L', color: 0x3b82f6, power: 1.0, position: world.speakerL });
+    if (world.speakerR) out.push({ id: 'right', label: 'R', color: 0xef4444, power: 1.0, position: world.speakerR });
+    return out;
+  }
+
+  // Everyone walking: the main walker (world.A → world.B, the run's target) first, then world.agents
+  // ({ id, label?, color?, A, B, target? }), each towards its own target (default: the loudest source)
+  const AGENT_MAIN = 'main';
+  const MAX_AGENTS = 8; // besides the main walker
+  function agentsOf(world, target = TARGET_ANY) {
+    const main = { id: AGENT_MAIN, label: '1', A: world.A, B: world.B, target };
+    return [main].concat((world.agents || []).map((a, i) => ({
+      id: a.id, label: a.label || String(i + 2), color: a.color, A: a.A, B: a.B, target: a.target || TARGET_ANY,
+    })));
+  }
+
+  function findSource(world, id) {
+    return sourcesOf(world).find(src => src.id === id) || null;
+  }
+
+  // ---------- Obstacles ----------
+  // { type: 'rect', x, z, w, d, transmission } (centered, w along x, d along z),
+  // { type: 'polygon', points: [{ x, z }], transmission } or { type: 'wall', points, transmission },
+  // an open polyline of thin walls. Every edge a ray crosses scales its intensity by
+  // sqrt(transmission), so passing through a solid obstacle keeps `transmission`. A wall's outline
+  // runs along it and back, so crossing it also keeps `transmission` and nothing is ever inside it.
+  const DEFAULT_TRANSMISSION = 0.15;
+  const edgeCache = new WeakMap(); // obstacle -> edges; obstacles are replaced, not mutated, when edited
+
+  function obstaclePolygon(ob) {
+    if (ob.type === 'rect') {
+      const hw = ob.w / 2, hd = ob.d / 2;
+      return [vec(ob.x - hw, ob.z - hd), vec(ob.x + hw, ob.z - hd), vec(ob.x + hw, ob.z + hd), vec(ob.x - hw, ob.z + hd)];
+    }
+    if (ob.type === 'wall') return ob.points.concat(ob.points.slice(1, -1).reverse());
+    return ob.points;
+  }
+
+  function obstacleEdges(world) {
+    const out = [];
+    (world.obstacles || []).forEach(ob => {
+      let edges = edgeCache.get(ob);
+      if (!edges) {
+        const poly = obstaclePolygon(ob);
+        const t = ob.transmission != null ? ob.transmission : DEFAULT_TRANSMISSION;
+        const factor = Math.sqrt(clamp(t, 0, 1));
+        edges = poly.map((a, i) => {
+          const b = poly[(i + 1) % poly.length];
+          return { ax: a.x, az: a.z, bx: b.x, bz: b.z, factor };
+        });
+        edgeCache.set(ob, edges);
+      }
+      out.push(...edges);
+    });
+    return out;
+  }
+
+  // Proper intersection of segments p→q and edge e (touching endpoints don't count)
+  function crossesEdge(p, q, e) {
+    const d1 = (e.bx - e.ax) * (p.z - e.az) - (e.bz - e.az) * (p.x - e.ax);
+    const d2 = (e.bx - e.ax) * (q.z - e.az) - (e.bz - e.az) * (q.x - e.ax);
+    const d3 = (q.x - p.x) * (e.az - p.z) - (q.z - p.z) * (e.ax - p.x);
+    const d4 = (q.x - p.x) * (e.bz - p.z) - (q.z - p.z) * (e.bx - p.x);
+    return (d1 > 0) !== (d2 > 0) && (d3 > 0) !== (d4 > 0);
+  }
+
+  // Fraction of sound that reaches `to` from `from` through the walls in between
+  function occlusionFactor(edges, from, to) {
+    let f = 1;
+    for (let i = 0; i < edges.length; i++) if (crossesEdge(from, to, edges[i])) f *= edges[i].factor;
+    return f;
+  }
+
+  // Number of path segments that cut through an obstacle wall
+  function pathCollisions(edges, pts) {
+    let hits = 0;
+    if (!edges.length) return 0;
+    for (let i = 1; i < pts.length; i++) {
+      for (let j = 0; j < edges.length; j++) {
+        if (crossesEdge(pts[i-1], pts[i], edges[j])) { hits++; break; }
+      }
+    }
+    return hits;
+  }
+
+  function pointInObstacle(world, p) {
+    return (world.obstacles || []).some(ob => {
+      const poly = obstaclePolygon(ob);
+      let inside = false;
+      for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+        const a = poly[i], b = poly[j];
+        if ((a.z > p.z) !== (b.z > p.z) && p.x < (b.x - a.x) * (p.z - a.z) / (b.z - a.z) + a.x) inside = !inside;
+      }
+      return inside;
+    });
+  }
+
+  // ---------- Acoustics ----------
+  // Intensity of a source at a point under params.propagationModel (acoustics.js). `params` must
+  // carry every acoustic field, which DEFAULT_PARAMS-merged params do. `heading` is the listener's
+  // unit XZ facing; only the head-shadow model uses it.
+  function intensityAtPoint(point, speakerPos, power = 1.0, params = DEFAULT_PARAMS, heading = null) {
+    const dx = speakerPos.x - point.x, dz = speakerPos.z - point.z;
+    const d = Math.hypot(dx, dz);
+    const toSource = heading && d > 0 ? { x: dx / d, z: dz / d } : null;
+    return acoustics.propagate(params.propagationModel, d, power, params, toSource, heading);
+  }
+
+  // Line-of-sight intensity of one source, attenuated by any obstacles in between
+  function sourceIntensityAt(world, point, src, params = DEFAULT_PARAMS, edges = obstacleEdges(world), heading = null) {
+    const I = intensityAtPoint(point, src.position, src.power, params, heading);
+    return edges.length ? I * occlusionFactor(edges, src.position, point) : I;
+  }
+
+  function sourceIntensities(world, point, params = DEFAULT_PARAMS, heading = null) {
+    const edges = obstacleEdges(world);
+    return sourcesOf(world).map(src => sourceIntensityAt(world, point, src, params, edges, heading));
+  }
+
+  // ILD (dB) / ITD (s) and per-ear intensities of one source for a listener facing `heading`
+  function binauralCuesAt(world, point, src, heading, params = DEFAULT_PARAMS) {
+    const dx = src.position.x - point.x, dz = src.position.z - point.z;
+    const d = Math.hypot(dx, dz) || 1e-6;
+    const cues = acoustics.binauralCues(d, src.power, params, { x: dx / d, z: dz / d }, heading);
+    const f = occlusionFactor(obstacleEdges(world), src.position, point);
+    return Object.assign(cues, { left: cues.left * f, right: cues.right * f });
+  }
+
+  // Left/right ear intensities summed over every source: each source's model intensity (occluded)
+  // is split between the ears by its ILD, so the mean of the two equals the single-ear value.
+  function earIntensitiesAt(world, point, heading, params = DEFAULT_PARAMS, edges = obstacleEdges(world)) {
+    let left = 0, right = 0;
+    sourcesOf(world).forEach(src => {
+      const I = sourceIntensityAt(world, point, src, params, edges, heading);
+      const dx = src.position.x - point.x, dz = src.position.z - point.z;
+      const d = Math.hypot(dx, dz) || 1e-6;
+      const ears = acoustics.binauralCues(d, 1, params, { x: dx / d, z: dz / d }, heading);
+      const mean = (ears.left + ears.right) / 2;
+      left += I * ears.left / mean;
+      right += I * ears.right / mean;
+    });
+    return { left, right };
+  }
+
+  // Unit direction of travel at pts[i]
+  function headingAlong(pts, i) {
+    const a = pts[Math.min(i, pts.length - 2)], b = pts[Math.min(i + 1, pts.length - 1)];
+    const dx = b.x - a.x, dz = b.z - a.z, len = Math.hypot(dx, dz) || 1;
+    return { x: dx / len, z: dz / len };
+  }
+
+  // Per-source share of the total intensity at a point, used for path coloring.
+  // `balance` is 1 when the two loudest sources are equal and 0 when one dominates.
+  function balanceAt(world, point, params = DEFAULT_PARAMS, heading = null) {
+    return balanceOf(sourceIntensities(world, point, params, heading));
+  }
+
+  function balanceOf(intensities) {
+    const sum = Math.max(intensities.reduce((a, b) => a + b, 0), 1e-5);
+    const shares = intensities.map(I => clamp(I / sum, 0, 1));
+    let first = 0, second = 0;
+    shares.forEach(s => {
+      if (s > first) { second = first; first = s; } else if (s > second) second = s;
+    });
+    return { intensities, shares, balance: 1 - (first - second) };
+  }
+
+  // Loudness the listener is optimizing for at a point: the target source, or the loudest one
+  function targetIntensity(world, point, target, params = DEFAULT_PARAMS, edges = obstacleEdges(world), heading = null) {
+    const sources = sourcesOf(world);
+    let loud = 0;
+    for (let i = 0; i < sources.length; i++) {
+      const src = sources[i];
+      if (target !== TARGET_ANY && src.id !== target) continue;
+      loud = Math.max(loud, sourceIntensityAt(world, point, src, params, edges, heading));
+    }
+    return loud;
+  }
+
+  // What one fitness sample at a point adds: loudnessWeight * target intensity plus the balance and
+  // threshold terms divided by the sample count. Path terms (length, curvature, exposure) can't be
+  // split per point. The planner's cost grid and the fitness heatmap are built from this.
+  function pointContribution(world, point, target, params = DEFAULT_PARAMS, edges = obstacleEdges(world), heading = null) {
+    const n = params.fitnessSamples + 1;
+    const I = targetIntensity(world, point, target, params, edges, heading);
+    let r = (params.loudnessWeight || 0) * I;
+    if (params.balanceWeight || params.loudTimeWeight) {
+      const levels = sourcesOf(world).map(src => sourceIntensityAt(world, point, src, params, edges, heading));
+      r += (params.balanceWeight || 0) * balanceOf(levels).balance / n;
+      const total = levels.reduce((a, b) => a + b, 0);
+      if (params.loudTimeWeight && acoustics.toDb(total, params) > params.loudThreshold) r -= params.loudTimeWeight / n;
+    }
+    if (params.quietTimeWeight && acoustics.toDb(I, params) < params.quietThreshold) r -= params.quietTimeWeight / n;
+    return r;
+  }
+
+  // ---------- Timelines ----------
+  // A source may carry `timeline: { cycle, keys: [{ t, dx, dz }], on: [[start, end], ...] }` (seconds).
+  // Keys are offsets from the source's position, interpolated linearly, so moving the source moves
+  // its trajectory; `on` intervals gate its power (none = always on). With cycle > 0 the timeline
+  // repeats; otherwise it holds the last key. The field shader mirrors this (MAX_TIMELINE_* limits).
+  const MAX_TIMELINE_KEYS = 8;
+  const MAX_TIMELINE_ON = 4;
+
+  function hasTimeline(src) {
+    const tl = src.timeline;
+    return !!tl && ((tl.keys && tl.keys.length > 0) || (tl.on && tl.on.length > 0));
+  }
+
+  function isTimeVarying(world) {
+    return sourcesOf(world).some(hasTimeline);
+  }
+
+  function timelineOffset(keys, u) {
+    if (u <= keys[0].t) return keys[0];
+    for (let i = 1; i < keys.length; i++) {
+      const a = keys[i - 1], b = keys[i];
+      if (u < b.t) {
+        const f = (u - a.t) / Math.max(b.t - a.t, 1e-9);
+        return { dx: lerp(a.dx, b.dx, f), dz: lerp(a.dz, b.dz, f) };
+      }
+    }
+    return keys[keys.length - 1];
+  }
+
+  // The source as it is `t` seconds into the timeline (the source itself when it has none)
+  function sourceAt(src, t) {
+    if (!hasTimeline(src) || t == null) return src;
+    const tl = src.timeline;
+    const u = tl.cycle > 0 ? ((t % tl.cycle) + tl.cycle) % tl.cycle : t;
+    const out = Object.assign({}, src);
+    if (tl.keys && tl.keys.length) {
+      const o = timelineOffset(tl.keys, u);
+      out.position = vec(src.position.x + o.dx, src.position.z + o.dz);
+    }
+    if (tl.on && tl.on.length && !tl.on.some(([start, end]) => u >= start && u < end)) out.power = 0;
+    return out;
+  }
+
+  function worldAt(world, t) {
+    if (t == null || !isTimeVarying(world)) return world;
+    return Object.assign({}, world, { sources: sourcesOf(world).map(src => sourceAt(src, t)) });
+  }
+
+  // Seconds at which a walker leaving after `delay` reaches each point at params.walkSpeed
+  function walkTimes(pts, params = DEFAULT_PARAMS, delay = 0) {
+    const times = [delay];
+    for (let i = 1; i < pts.length; i++) times.push(times[i - 1] + dist(pts[i - 1], pts[i]) / params.walkSpeed);
+    return times;
+  }
+
+  // ---------- Paths ----------
+  // Piecewise cubic Bezier through A, ctrl..., B with Catmull-Rom style tangents,
+  // resampled to `steps` equal arc-length segments (steps + 1 points).
+  function pathPoints(world, genome, steps = DEFAULT_PARAMS.stepsPerPath) {
+    const pts = [world.A, ...genome.ctrl, world.B];
+    const dense = [];
+    const SUB = 48; // samples per curve before arc-length resampling
+    for (let i = 0; i < pts.length - 1; i++) {
+      const p0 = pts[Math.max(0, i-1)];
+      const p1 = pts[i];
+      const p2 = pts[i+1];
+      const p3 = pts[Math.min(pts.length-1, i+2)];
+      // create control by finite differences
+      const t = 0.5 / 3;
+      const c1 = vec(p1.x + (p2.x - p0.x) * t, p1.z + (p2.z - p0.z) * t);
+      const c2 = vec(p2.x + (p1.x - p3.x) * t, p2.z + (p1.z - p3.z) * t);
+      for (let j = i === 0 ? 0 : 1; j <= SUB; j++) {
+        const u = j / SUB, v = 1 - u;
+        const b0 = v*v*v, b1 = 3*v*v*u, b2 = 3*v*u*u, b3 = u*u*u;
+        dense.push(vec(
+          b0*p1.x + b1*c1.x + b2*c2.x + b3*p2.x,
+          b0*p1.z + b1*c1.z + b2*c2.z + b3*p2.z
+        ));
+      }
+    }
+    return resample(dense, steps);
+  }
+
+  function resample(dense, steps) {
+    const cum = [0];
+    for (let i = 1; i < dense.length; i++) cum.push(cum[i-1] + dist(dense[i-1], dense[i]));
+    const total = cum[cum.length - 1];
+    const out = [];
+    let k = 1;
+    for (let s = 0; s <= steps; s++) {
+      const target = total * s / steps;
+      while (k < dense.length - 1 && cum[k] < target) k++;
+      const span = cum[k] - cum[k-1];
+      const t = span > 0 ? clamp((target - cum[k-1]) / span, 0, 1) : 0;
+      out.push(vec(lerp(dense[k-1].x, dense[k].x, t), lerp(dense[k-1].z, dense[k].z, t)));
+    }
+    return out;
+  }
+
+  function pathLength(pts) {
+    let len = 0;
+    for (let i = 1; i < pts.length; i++) len += dist(pts[i-1], pts[i]);
+    return len;
+  }
+
+  // ---------- Encodings ----------
+  // How a genome describes its path. Every genome carries `ctrl` (the decoded control points that
+  // pathPoints and the views use); encodings other than fixed/variable keep their own `genes` and
+  // rebuild ctrl with decode(). Each entry:
+  //   { id, label, size(params) -> { min, max } ctrl points it can seed from,
+  //     random(world, params, rand), encode(world, params, ctrl) -> genes, decode(world, params, genes) -> ctrl,
+  //     crossover(a, b, params, rand), mutate(g, params, rand) (in place on a clone) }
+  function randomCtrl(world, params, rand, n) {
+    // n control points in XZ plane around the straight A→B line, y fixed at 0
+    const ctrl = [];
+    for (let i = 0; i < n; i++) {
+      ctrl.push(vec(
+        lerp(world.A.x, world.B.x, (i+1)/(n+1)) + (rand()*2-1)*params.spreadX,
+        lerp(world.A.z, world.B.z, (i+1)/(n+1)) + (rand()*2-1)*params.spreadZ
+      ));
+    }
+    return ctrl;
+  }
+
+  function jitterCtrl(ctrl, params, rand) {
+    for (let i = 0; i < ctrl.length; i++) {
+      if (rand() < params.mutationProb) {
+        ctrl[i].x += (rand()*2-1) * params.mutationScale;
+        ctrl[i].z += (rand()*2-1) * params.mutationScale * 0.8;
+      }
+    }
+  }
+
+  const copyCtrl = (ctrl) => ctrl.map(p => vec(p.x, p.z));
+
+  // ---------- Locked Control Points ----------
+  // genome.locked = [{ index, x, z }] pins ctrl[index] where a person put it; mutate and crossover
+  // hand the locks on and put those points back, and decodeGenome re-encodes genes around them.
+  const copyLocks = (locked) => locked.map(l => ({ index: l.index, x: l.x, z: l.z }));
+
+  // Puts locked points back; true when the genome has any lock inside its ctrl
+  function holdLocked(g) {
+    let held = false;
+    (g.locked || []).forEach(l => {
+      if (l.index >= g.ctrl.length) return;
+      g.ctrl[l.index] = vec(l.x, l.z);
+      held = true;
+    });
+    return held;
+  }
+
+  // a's locks, plus b's at indices a leaves free
+  function mergeLocks(a, b) {
+    const out = copyLocks(a || []);
+    (b || []).forEach(l => { if (!out.some(m => m.index === l.index)) out.push({ index: l.index, x: l.x, z: l.z }); });
+    return out.sort((p, q) => p.index - q.index);
+  }
+
+  // Moves locks of the points from ctrl index `from` on by `by` (a point was inserted or deleted
+  // there); locks past the `length` points the genome had wait for it to grow that long
+  function shiftLocks(g, from, by, length) {
+    (g.locked || []).forEach(l => { if (l.index >= from && l.index < length) l.index += by; });
+  }
+
+  const isLocked = (g, index) => (g.locked || []).some(l => l.index === index);
+
+  const ENCODINGS = {
+    // ctrlCount points, blended point by point
+    fixed: {
+      id: 'fixed', label: 'Fixed control points',
+      size: (params) => ({ min: params.ctrlCount, max: params.ctrlCount }),
+      random: (world, params, rand) => ({ ctrl: randomCtrl(world, params, rand, params.ctrlCount) }),
+      encode: () => undefined,
+      decode: (world, params, genes, g) => g.ctrl,
+      crossover(a, b, params, rand) {
+        const child = { ctrl: [] };
+        for (let i = 0; i < a.ctrl.length; i++) {
+          const pickA = rand() < 0.5;
+          const pa = a.ctrl[i];
+          const pb = b.ctrl[i];
+          const t = rand();
+          const x = pickA ? lerp(pa.x, pb.x, t) : lerp(pb.x, pa.x, t);
+          const z = pickA ? lerp(pa.z, pb.z, t) : lerp(pb.z, pa.z, t);
+          child.ctrl.push(vec(x, z));
+        }
+        return child;
+      },
+      mutate(g, params, rand) {
+        jitterCtrl(g.ctrl, params, rand);
+      },
+    },
+
+    // 1..maxCtrl points; cut-and-splice crossover at the same relative position, insert/delete mutations
+    variable: {
+      id: 'variable', label: 'Variable control points',
+      size: (params) => ({ min: 1, max: params.maxCtrl }),
+      random: (world, params, rand) => {
+        const n = clamp(params.ctrlCount + Math.floor(rand() * 5) - 2, 1, params.maxCtrl);
+        return { ctrl: randomCtrl(world, params, rand, n) };
+      },
+      encode: () => undefined,
+      decode: (world, params, genes, g) => g.ctrl,
+      crossover(a, b, params, rand) {
+        const u = rand();
+        // the head runs at least up to a's last locked point, so the child keeps them all
+        const held = (a.locked || []).reduce((m, l) => Math.max(m, Math.min(l.index + 1, a.ctrl.length)), 0);
+        const cutA = Math.max(Math.round(u * a.ctrl.length), held), cutB = Math.round(u * b.ctrl.length);
+        const head = a.ctrl.slice(0, cutA);
+        const tail = b.ctrl.slice(cutB);
+        const ctrl = copyCtrl(head.concat(tail).slice(0, params.maxCtrl));
+        if (!ctrl.length) return { ctrl: copyCtrl(a.ctrl.slice(0, 1)), locked: copyLocks(a.locked || []) };
+        if (!a.locked && !b.locked) return { ctrl };
+        // b's locks follow their points in the tail unless a already locks that spot
+        const locked = copyLocks(a.locked || []);
+        (b.locked || []).forEach(l => {
+          const index = l.index - cutB + cutA;
+          if (l.index < cutB || index >= ctrl.length || locked.some(m => m.index === index || (m.x === l.x && m.z === l.z))) return;
+          locked.push({ index, x: l.x, z: l.z });
+        });
+        return { ctrl, locked };
+      },
+      mutate(g, params, rand) {
+        jitterCtrl(g.ctrl, params, rand);
+        const n = g.ctrl.length;
+        if (n < params.maxCtrl && rand() < params.insertProb) {
+          // between two neighbours (or next to an end point), nudged off the line
+          const k = Math.floor(rand() * (n + 1));
+          const a = g.ctrl[Math.max(0, k - 1)], b = g.ctrl[Math.min(n - 1, k)];
+          g.ctrl.splice(k, 0, vec(
+            (a.x + b.x) / 2 + (rand()*2-1) * params.mutationScale,
+            (a.z + b.z) / 2 + (rand()*2-1) * params.mutationScale * 0.8
+          ));
+          shiftLocks(g, k, 1, n);
+        }
+        if (g.ctrl.length > 1 && rand() < params.deleteProb) {
+          const k = Math.floor(rand() * g.ctrl.length);
+          if (!isLocked(g, k)) {
+            g.ctrl.splice(k, 1);
+            shiftLocks(g, k, -1, g.ctrl.length + 1);
+          }
+        }
+      },
+    },
+
+    // ctrlCount steps { turn, len }: each heads `turn` radians off the bearing to B and walks `len`
+    polar: {
+      id: 'polar', label: 'Polar heading + step',
+      size: (params) => ({ min: params.ctrlCount, max: params.ctrlCount }),
+      random(world, params, rand) {
+        const n = params.ctrlCount;
+        const nominal = dist(world.A, world.B) / (n + 1);
+        const maxTurn = Math.atan2(Math.max(params.spreadX, params.spreadZ), Math.max(nominal, 1e-6));
+        const genes = [];
+        for (let i = 0; i < n; i++) genes.push({ turn: (rand()*2-1) * maxTurn, len: nominal * (0.6 + 0.8 * rand()) });
+        return { genes };
+      },
+      encode(world, params, ctrl) {
+        let p = world.A;
+        return ctrl.map(q => {
+          const bearing = Math.atan2(world.B.z - p.z, world.B.x - p.x);
+          const turn = Math.atan2(q.z - p.z, q.x - p.x) - bearing;
+          const gene = { turn: Math.atan2(Math.sin(turn), Math.cos(turn)), len: dist(p, q) };
+          p = q;
+          return gene;
+        });
+      },
+      decode(world, params, genes) {
+        let p = world.A;
+        return genes.map(({ turn, len }) => {
+          const h = Math.atan2(world.B.z - p.z, world.B.x - p.x) + turn;
+          p = vec(p.x + Math.cos(h) * len, p.z + Math.sin(h) * len);
+          return p;
+        });
+      },
+      crossover(a, b, params, rand) {
+        const genes = a.genes.map((ga, i) => {
+          const gb = b.genes[i], t = rand();
+          return { turn: lerp(ga.turn, gb.turn, t), len: lerp(ga.len, gb.len, t) };
+        });
+        return { genes };
+      },
+      mutate(g, params, rand) {
+        g.genes.forEach(gene => {
+          if (rand() >= params.mutationProb) return;
+          gene.turn += (rand()*2-1) * Math.atan2(params.mutationScale, Math.max(gene.len, 1));
+          gene.len = Math.max(0.1, gene.len + (rand()*2-1) * params.mutationScale * 0.5);
+        });
+      },
+    },
+
+    // ctrlCount waypoints { i, j } on a gridCell-metre lattice; one-point crossover, cell-hop mutation
+    grid: {
+      id: 'grid', label: 'Grid waypoints',
+      size: (params) => ({ min: params.ctrlCount, max: params.ctrlCount }),
+      random: (world, params, rand) => ({ genes: ENCODINGS.grid.encode(world, params, randomCtrl(world, params, rand, params.ctrlCount)) }),
+      encode: (world, params, ctrl) => ctrl.map(p => ({ i: Math.round(p.x / params.gridCell), j: Math.round(p.z / params.gridCell) })),
+      decode: (world, params, genes) => genes.map(c => vec(c.i * params.gridCell, c.j * params.gridCell)),
+      crossover(a, b, params, rand) {
+        const k = Math.floor(rand() * (a.genes.length + 1));
+        return { genes: a.genes.slice(0, k).concat(b.genes.slice(k)).map(c => ({ i: c.i, j: c.j })) };
+      },
+      mutate(g, params, rand) {
+        const reach = Math.max(1, Math.round(params.mutationScale / params.gridCell));
+        const hop = () => Math.round((rand()*2-1) * reach);
+        g.genes.forEach(c => {
+          if (rand() >= params.mutationProb) return;
+          c.i += hop();
+          c.j += hop();
+        });
+      },
+    },
+  };
+
+  function getEncoding(id) {
+    return ENCODINGS[id] || ENCODINGS.fixed;
+  }
+
+  // Custom encodings need the fields listed above
+  function registerEncoding(encoding) {
+    const needs = ['size', 'random', 'encode', 'decode', 'crossover', 'mutate'];
+    if (!encoding || !encoding.id || needs.some(k => typeof encoding[k] !== 'function')) {
+      throw new Error(`An encoding needs an id and ${needs.join(', ')} functions`);
+    }
+    ENCODINGS[encoding.id] = Object.assign({ label: encoding.id }, encoding);
+    return ENCODINGS[encoding.id];
+  }
+
+  // Rebuilds g.ctrl from its genes (a no-op for encodings that evolve ctrl directly), then puts
+  // locked points back and re-encodes the genes around them
+  function decodeGenome(world, params, g) {
+    const enc = getEncoding(params.encoding);
+    if (g.genes) g.ctrl = enc.decode(world, params, g.genes, g);
+    if (holdLocked(g) && g.genes) g.genes = enc.encode(world, params, g.ctrl);
+    return g;
+  }
+
+  // ---------- Genomes and Fitness ----------
+  function makeGenome(world, params, rand) {
+    const genome = Object.assign({ fitness: -Infinity }, getEncoding(params.encoding).random(world, params, rand));
+    decodeGenome(world, params, genome);
+    if (params.maxWait > 0) genome.delay = rand() * params.maxWait; // seconds before leaving A
+    if (params.mutationAdapt === 'self') genome.sigma = params.mutationScale;
+    return genome;
+  }
+
+  function makeInitialPopulation(world, params, rand) {
+    const pop = [];
+    for (let i = 0; i < params.popSize; i++) pop.push(makeGenome(world, params, rand));
+    return pop;
+  }
+
+  // ---------- Objectives ----------
+  // Each term measures one property of a sampled path. Fitness is the sum of
+  // sense * params[weight] * measure(ctx) over the terms with a non-zero weight,
+  // plus the goal bonus and minus the obstacle penalty. sense is +1 for rewards, -1 for costs.
+  const OBJECTIVES = {
+    loudness: {
+      id: 'loudness', label: 'Target loudness', weight: 'loudnessWeight', sense: 1,
+      measure: (c) => c.targetLevels().reduce((sum, I) => sum + I, 0),
+    },
+    balance: {
+      id: 'balance', label: 'L/R balance', weight: 'balanceWeight', sense: 1,
+      measure: (c) => c.sourceLevels().reduce((sum, levels) => sum + balanceOf(levels).balance, 0) / c.pts.length,
+    },
+    length: {
+      id: 'length', label: 'Path length', weight: 'lengthPenalty', sense: -1,
+      measure: (c) => pathLength(c.pts) / c.params.lengthNorm,
+    },
+    curvature: {
+      id: 'curvature', label: 'Curvature', weight: 'curvatureWeight', sense: -1,
+      measure: (c) => {
+        let turn = 0;
+        for (let i = 1; i < c.pts.length - 1; i++) {
+          const a = headingAlong(c.pts, i - 1), b = headingAlong(c.pts, i);
+          turn += Math.abs(Math.atan2(a.x * b.z - a.z * b.x, a.x * b.x + a.z * b.z));
+        }
+        return turn / Math.PI;
+      },
+    },
+    quietTime: {
+      id: 'quietTime', label: 'Time below threshold', weight: 'quietTimeWeight', sense: -1,
+      measure: (c) => c.targetLevels().filter(I => acoustics.toDb(I, c.params) < c.params.quietThreshold).length / c.pts.length,
+    },
+    loudTime: {
+      id: 'loudTime', label: 'Time above threshold', weight: 'loudTimeWeight', sense: -1,
+      measure: (c) => c.totalLevels().filter(I => acoustics.toDb(I, c.params) > c.params.loudThreshold).length / c.pts.length,
+    },
+    exposure: {
+      id: 'exposure', label: 'Max exposure', weight: 'exposureWeight', sense: -1,
+      measure: (c) => Math.max(...c.totalLevels()),
+    },
+  };
+
+  // Custom terms need { id, label, weight (a params key), sense, measure(ctx) }
+  function registerObjective(objective) {
+    if (!objective || !objective.id || typeof objective.measure !== 'function') throw new Error('An objective needs an id and a measure() function');
+    OBJECTIVES[objective.id] = Object.assign({ label: objective.id, weight: objective.id + 'Weight', sense: 1 }, objective);
+    return OBJECTIVES[objective.id];
+  }
+
+  // Shared, lazily computed samples so terms don't repeat the acoustic work
+  // With time-varying sources each sample hears the world as it is when the walker gets there
+  function objectiveContext(world, params, target, pts, edges, delay = 0) {
+    const useHeading = params.propagationModel === 'headShadow';
+    const headingOf = (i) => (useHeading ? headingAlong(pts, i) : null);
+    const times = isTimeVarying(world) ? walkTimes(pts, params, delay) : null;
+    const worldOf = (i) => (times ? worldAt(world, times[i]) : world);
+    let targetLevels = null, sourceLevels = null, totalLevels = null;
+    return {
+      world, params, target, pts, edges, times,
+      targetLevels: () => targetLevels || (targetLevels = pts.map((p, i) => targetIntensity(worldOf(i), p, target, params, edges, headingOf(i)))),
+      sourceLevels: () => sourceLevels || (sourceLevels = pts.map((p, i) => sourcesOf(worldOf(i)).map(src => sourceIntensityAt(world, p, src, params, edges, headingOf(i))))),
+      totalLevels: () => totalLevels || (totalLevels = sourceLevels ? sourceLevels.map(l => l.reduce((a, b) => a + b, 0)) : pts.map((p, i) => sourcesOf(worldOf(i)).reduce((sum, src) => sum + sourceIntensityAt(world, p, src, params, edges, headingOf(i)), 0))),
+    };
+  }
+
+  // Sets genome.fitness, .collisions and .objectives ({ id: measure } for every term that was needed)
+  function evaluateFitness(world, params, target, genome) {
+    Object.assign(genome, scorePath(world, params, target, pathPoints(world, genome, params.fitnessSamples), genome.delay || 0));
+    return genome.fitness;
+  }
+
+  // The same score for any sampled path A→B (e.g. a planner's polyline): { fitness, collisions, objectives }
+  function scorePath(world, params, target, pts, delay = 0) {
+    const edges = obstacleEdges(world);
+    const ctx = objectiveContext(world, params, target, pts, edges, delay);
+    const objectives = {};
+    let fitness = 0;
+    Object.keys(OBJECTIVES).forEach(id => {
+      const o = OBJECTIVES[id];
+      const w = params[o.weight] || 0;
+      if (!w && id !== params.paretoX && id !== params.paretoY) return;
+      objectives[id] = o.measure(ctx);
+      if (w) fitness += o.sense * w * objectives[id];
+    });
+    // B only counts as reached when the path doesn't cut through walls
+    const collisions = pathCollisions(edges, pts);
+    const goalBonus = collisions ? 0 : params.goalBonus;
+    return { fitness: fitness + goalBonus - params.obstaclePenalty * collisions, collisions, objectives };
+  }
+
+  function cloneGenome(g) {
+    const out = { ctrl: g.ctrl.map(p => vec(p.x, p.z)), fitness: g.fitness, collisions: g.collisions };
+    if (g.genes) out.genes = g.genes.map(gene => Object.assign({}, gene));
+    if (g.objectives) out.objectives = Object.assign({}, g.objectives);
+    if (g.rank != null) { out.rank = g.rank; out.crowding = g.crowding; }
+    if (g.delay != null) out.delay = g.delay;
+    if (g.sigma != null) out.sigma = g.sigma;
+    if (g.separation != null) out.separation = g.separation;
+    if (g.locked) out.locked = copyLocks(g.locked);
+    return out;
+  }
+
+  // ---------- Pareto (NSGA-II) ----------
+  // Both axes are turned into "higher is better" with the objective's sense
+  function paretoScores(params, g) {
+    return [params.paretoX, params.paretoY].map(id => OBJECTIVES[id].sense * g.objectives[id]);
+  }
+
+  function dominates(a, b) {
+    return a[0] >= b[0] && a[1] >= b[1] && (a[0] > b[0] || a[1] > b[1]);
+  }
+
+  // Sets g.rank (0 = non-dominated) and g.crowding on every genome; returns the fronts in order.
+  // Colliding paths are ranked behind every collision-free one.
+  function nonDominatedSort(params, pop) {
+    const scores = pop.map(g => paretoScores(params, g));
+    const beats = (i, j) => (pop[i].collisions || 0) < (pop[j].collisions || 0) ||
+      ((pop[i].collisions || 0) === (pop[j].collisions || 0) && dominates(scores[i], scores[j]));
+    const dominated = pop.map(() => []);
+    const count = pop.map(() => 0);
+    const fronts = [[]];
+    for (let i = 0; i < pop.length; i++) {
+      for (let j = 0; j < pop.length; j++) {
+        if (i === j) continue;
+        if (beats(i, j)) dominated[i].push(j);
+        else if (beats(j, i)) count[i]++;
+      }
+      if (!count[i]) fronts[0].push(i);
+    }
+    for (let f = 0; fronts[f].length; f++) {
+      const next = [];
+      fronts[f].forEach(i => {
+        pop[i].rank = f;
+        dominated[i].forEach(j => { if (--count[j] === 0) next.push(j); });
+      });
+      fronts.push(next);
+    }
+    fronts.pop();
+    fronts.forEach(front => assignCrowding(front.map(i => pop[i]), front.map(i => scores[i])));
+    return fronts.map(front => front.map(i => pop[i]));
+  }
+
+  function assignCrowding(front, scores) {
+    front.forEach(g => { g.crowding = 0; });
+    for (let m = 0; m < 2; m++) {
+      const order = front.map((g, i) => i).sort((a, b) => scores[a][m] - scores[b][m]);
+      const span = scores[order[order.length - 1]][m] - scores[order[0]][m] || 1;
+      front[order[0]].crowding = front[order[order.length - 1]].crowding = Infinity;
+      for (let k = 1; k < order.length - 1; k++) {
+        front[order[k]].crowding += (scores[order[k + 1]][m] - scores[order[k - 1]][m]) / span;
+      }
+    }
+  }
+
+  // Crowded-comparison tournament: lower rank wins, then the less crowded genome
+  function crowdedTournament(pop, rand) {
+    const a = pop[(rand()*pop.length)|0], b = pop[(rand()*pop.length)|0];
+    const better = a.rank !== b.rank ? (a.rank < b.rank ? a : b) : (a.crowding >= b.crowding ? a : b);
+    return cloneGenome(better);
+  }
+
+  // Keeps the best `size` genomes front by front, breaking the last front by crowding
+  function paretoSurvivors(params, pop, size) {
+    const out = [];
+    for (const front of nonDominatedSort(params, pop)) {
+      if (out.length + front.length <= size) { out.push(...front); continue; }
+      out.push(...front.slice().sort((a, b) => b.crowding - a.crowding).slice(0, size - out.length));
+      break;
+    }
+    return out;
+  }
+
+  // Non-dominated genomes of a ranked population, ordered along the x axis (duplicates dropped)
+  function paretoFront(params, pop) {
+    const seen = new Set();
+    return pop.filter(g => {
+      const key = g.objectives[params.paretoX] + ',' + g.objectives[params.paretoY];
+      if (g.rank !== 0 || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    }).sort((a, b) => a.objectives[params.paretoX] - b.objectives[params.paretoX]);
+  }
+
+  function tournamentSelect(pop, rand, k = 3) {
+    let best = null;
+    for (let i = 0; i < k; i++) {
+      const g = pop[(rand()*pop.length)|0];
+      if (!best || g.fitness > best.fitness) best = g;
+    }
+    return cloneGenome(best);
+  }
+
+  // Operators of params.encoding; children of gene-based encodings get their ctrl (and have their
+  // locked points put back) when scored. Locked points of ctrl-based children are held here.
+  function crossover(a, b, rand, params = DEFAULT_PARAMS) {
+    const child = Object.assign(getEncoding(params.encoding).crossover(a, b, params, rand), { fitness: -Infinity });
+    if (!child.ctrl) child.ctrl = a.ctrl.map(p => vec(p.x, p.z));
+    if (!child.locked && (a.locked || b.locked)) child.locked = mergeLocks(a.locked, b.locked);
+    if (child.locked && !child.locked.length) delete child.locked;
+    holdLocked(child);
+    if (a.delay != null && b.delay != null) child.delay = lerp(a.delay, b.delay, rand());
+    if (a.sigma != null && b.sigma != null) child.sigma = Math.sqrt(a.sigma * b.sigma);
+    return child;
+  }
+
+  // With mutationAdapt 'self' each genome mutates with its own step size, which first mutates
+  // log-normally itself; selection then keeps the step sizes that produced good children
+  const SIGMA_TAU = 0.3;
+  const SIGMA_MIN = 0.01;
+
+  function mutate(g, params, rand) {
+    const m = cloneGenome(g);
+    let p = params;
+    if (params.mutationAdapt === 'self') {
+      m.sigma = clamp((m.sigma != null ? m.sigma : params.mutationScale) * Math.exp(SIGMA_TAU * gaussian(rand)), SIGMA_MIN, PARAM_SPECS.mutationScale.max);
+      p = Object.assign({}, params, { mutationScale: m.sigma });
+    }
+    getEncoding(params.encoding).mutate(m, p, rand);
+    holdLocked(m);
+    if (m.delay != null && rand() < params.mutationProb) {
+      m.delay = clamp(m.delay + (rand()*2-1) * params.maxWait * 0.2, 0, params.maxWait);
+    }
+    return m;
+  }
+
+  function populationStats(pop) {
+    let sum = 0;
+    pop.forEach(g => { sum += g.fitness; });
+    return { best: pop[0].fitness, mean: sum / pop.length, worst: pop[pop.length-1].fitness, diversity: populationDiversity(pop) };
+  }
+
+  // Mean pairwise Euclidean distance between the genomes' flattened ctrl vectors. Ctrl of different
+  // lengths (variable encoding) are both resampled along their polylines to the longer one's count.
+  function populationDiversity(pop) {
+    const along = (ctrl, n) => (ctrl.length === n ? ctrl : ctrl.length === 1 ? Array(n).fill(ctrl[0]) : resample(ctrl, n - 1));
+    let sum = 0, pairs = 0;
+    for (let i = 0; i < pop.length; i++) {
+      for (let j = i + 1; j < pop.length; j++) {
+        const n = Math.max(pop[i].ctrl.length, pop[j].ctrl.length);
+        const a = along(pop[i].ctrl, n), b = along(pop[j].ctrl, n);
+        let d2 = 0;
+        for (let k = 0; k < n; k++) {
+          const dx = a[k].x - b[k].x, dz = a[k].z - b[k].z;
+          d2 += dx*dx + dz*dz;
+        }
+        sum += Math.sqrt(d2);
+        pairs++;
+      }
+    }
+    return pairs ? sum / pairs : 0;
+  }
+
+  // Counts of the population's fitness values in `bins` equal-width bins between min and max
+  function fitnessHistogram(pop, bins = 12) {
+    const values = pop.map(g => g.fitness).filter(Number.isFinite);
+    const min = Math.min(...values), max = Math.max(...values);
+    const counts = new Array(bins).fill(0);
+    values.forEach(v => { counts[max > min ? Math.min(bins - 1, Math.floor((v - min) / (max - min) * bins)) : 0]++; });
+    return { min, max, counts };
+  }
+
+  // One row of a run's history, as kept by runEvolution and streamed by createRunController
+  // `scale` is the strategy's current step size (see STRATEGIES scale())
+  function historyEntry(e) {
+    return { gen: e.gen, best: e.stats.best, mean: e.stats.mean, worst: e.stats.worst, diversity: e.stats.diversity, stagnation: e.stagnation, scale: e.scale };
+  }
+
+  // ---------- Strategies ----------
+  // How a run turns one generation into the next. Each entry:
+  //   { id, label, pareto? (supports objectiveMode 'pareto'), init?(run) -> state,
+  //     step(run, state) -> next population (scored), scale?(run, state) -> current step size,
+  //     report?(run, state) -> extra snapshot fields,
+  //     inject?(run, state, genomes, relocked) (genomes a person has just added, none when only the
+  //     run's locks changed, and whether they did; see createEvolution inject) }
+  // `run` is what createEvolution shares: { world, params, target, rand, population, gen, score,
+  // feasible, adopt, breed, vectorOf, fromVector, elites, lock, relock }. CMA-ES and DE search the flat vector
+  // [x1, z1, ..., xn, zn (, delay)] of ctrlCount points; their genomes are re-encoded for params.encoding.
+
+  // Eigen-decomposition of a symmetric matrix (cyclic Jacobi); CMA-ES dimensions are small
+  function symmetricEigen(M) {
+    const n = M.length;
+    const a = M.map(row => row.slice());
+    const v = a.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+    for (let sweep = 0; sweep < 50; sweep++) {
+      let off = 0;
+      for (let p = 0; p < n; p++) for (let q = p + 1; q < n; q++) off += a[p][q] * a[p][q];
+      if (off < 1e-22) break;
+      for (let p = 0; p < n; p++) {
+        for (let q = p + 1; q < n; q++) {
+          if (Math.abs(a[p][q]) < 1e-300) continue;
+          const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+          const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1), sn = t * c;
+          for (let k = 0; k < n; k++) {
+            const akp = a[k][p], akq = a[k][q];
+            a[k][p] = c * akp - sn * akq;
+            a[k][q] = sn * akp + c * akq;
+          }
+          for (let k = 0; k < n; k++) {
+            const apk = a[p][k], aqk = a[q][k];
+            a[p][k] = c * apk - sn * aqk;
+            a[q][k] = sn * apk + c * aqk;
+          }
+          for (let k = 0; k < n; k++) {
+            const vkp = v[k][p], vkq = v[k][q];
+            v[k][p] = c * vkp - sn * vkq;
+            v[k][q] = sn * vkp + c * vkq;
+          }
+        }
+      }
+    }
+    return { values: a.map((row, i) => row[i]), vectors: v }; // eigenvectors are the columns of v
+  }
+
+  // mutationScale for this generation: annealed geometrically towards annealTo × over the run
+  function mutationParams(params, gen) {
+    if (params.mutationAdapt !== 'anneal') return params;
+    const u = clamp(gen / Math.max(1, params.generations), 0, 1);
+    return Object.assign({}, params, { mutationScale: params.mutationScale * Math.pow(params.annealTo, u) });
+  }
+
+  function meanSigma(pop, params) {
+    const sigmas = pop.filter(g => g.sigma != null).map(g => g.sigma);
+    return sigmas.length ? sigmas.reduce((a, b) => a + b, 0) / sigmas.length : params.mutationScale;
+  }
+
+  // Island setups for params.islandMode: the first island always uses the run's own target and params
+  function islandSetups(world, params, target) {
+    const count = params.islandCount;
+    const sources = sourcesOf(world);
+    return Array.from({ length: count }, (_, i) => {
+      if (i === 0 || params.islandMode === 'same') return {};
+      if (params.islandMode === 'targets') return { target: sources[(i - 1) % sources.length].id };
+      // mutation: step sizes from ¼× to 4× the run's, spread evenly on a log scale
+      return { params: { mutationScale: clamp(params.mutationScale * Math.pow(16, i / Math.max(1, count - 1)) / 4, 0, PARAM_SPECS.mutationScale.max) } };
+    });
+  }
+
+  const STRATEGIES = {
+    // tournament selection, the encoding's crossover and mutation, one elite
+    ga: {
+      id: 'ga', label: 'Genetic algorithm', pareto: true,
+      step: (run) => run.breed(run.population, mutationParams(run.params, run.gen), run.score, run.feasible, run.params.objectiveMode === 'pareto', run.elites),
+      scale: (run) => (run.params.mutationAdapt === 'self' ? meanSigma(run.population, run.params) : mutationParams(run.params, run.gen).mutationScale),
+    },
+
+    // (mu/mu_w, lambda)-CMA-ES with lambda = popSize, started at the best half of the initial population
+    cmaes: {
+      id: 'cmaes', label: 'CMA-ES',
+      init(run) {
+        const d = run.vectorOf(run.population[0]).length;
+        const lambda = run.params.popSize, mu = Math.floor(lambda / 2);
+        const raw = Array.from({ length: mu }, (_, i) => Math.log(mu + 0.5) - Math.log(i + 1));
+        const sum = raw.reduce((a, b) => a + b, 0);
+        const weights = raw.map(w => w / sum);
+        const mueff = 1 / weights.reduce((a, w) => a + w * w, 0);
+        const mean = new Array(d).fill(0);
+        run.population.slice(0, mu).forEach((g, i) => run.vectorOf(g).forEach((x, j) => { mean[j] += weights[i] * x; }));
+        const cc = (4 + mueff / d) / (d + 4 + 2 * mueff / d);
+        const cs = (mueff + 2) / (d + mueff + 5);
+        const c1 = 2 / ((d + 1.3) * (d + 1.3) + mueff);
+        const cmu = Math.min(1 - c1, 2 * (mueff - 2 + 1 / mueff) / ((d + 2) * (d + 2) + mueff));
+        return {
+          d, lambda, mu, weights, mueff, cc, cs, c1, cmu, mean,
+          damps: 1 + 2 * Math.max(0, Math.sqrt((mueff - 1) / (d + 1)) - 1) + cs,
+          chiN: Math.sqrt(d) * (1 - 1 / (4 * d) + 1 / (21 * d * d)),
+          sigma: Math.max(run.params.mutationScale, 0.1),
+          C: Array.from({ length: d }, (_, i) => Array.from({ length: d }, (_, j) => (i === j ? 1 : 0))),
+          B: Array.from({ length: d }, (_, i) => Array.from({ length: d }, (_, j) => (i === j ? 1 : 0))),
+          D: new Array(d).fill(1),
+          pc: new Array(d).fill(0),
+          ps: new Array(d).fill(0),
+        };
+      },
+      step(run, s) {
+        const { d, B, D } = s;
+        const steps = new Map(); // genome -> y = (x - mean) / sigma
+        const sample = () => {
+          const z = Array.from({ length: d }, () => gaussian(run.rand));
+          const y = B.map(row => row.reduce((acc, b, k) => acc + b * D[k] * z[k], 0));
+          const g = run.fromVector(s.mean.map((m, i) => m + s.sigma * y[i]));
+          steps.set(g, y);
+          return g;
+        };
+        const pop = [];
+        while (pop.length < s.lambda) pop.push(run.feasible(sample));
+        pop.sort((a, b) => b.fitness - a.fitness);
+
+        const ys = pop.slice(0, s.mu).map(g => steps.get(g));
+        const yw = new Array(d).fill(0);
+        ys.forEach((y, i) => y.forEach((v, j) => { yw[j] += s.weights[i] * v; }));
+        s.mean = s.mean.map((m, i) => m + s.sigma * yw[i]);
+        // C^-1/2 yw = B D^-1 B' yw
+        const bty = B[0].map((_, k) => B.reduce((acc, row, i) => acc + row[k] * yw[i], 0) / D[k]);
+        const invSqrtY = B.map(row => row.reduce((acc, b, k) => acc + b * bty[k], 0));
+        const csn = Math.sqrt(s.cs * (2 - s.cs) * s.mueff);
+        s.ps = s.ps.map((p, i) => (1 - s.cs) * p + csn * invSqrtY[i]);
+        const psNorm = Math.hypot(...s.ps);
+        const hsig = psNorm / Math.sqrt(1 - Math.pow(1 - s.cs, 2 * (run.gen + 1))) / s.chiN < 1.4 + 2 / (d + 1) ? 1 : 0;
+        const ccn = Math.sqrt(s.cc * (2 - s.cc) * s.mueff);
+        s.pc = s.pc.map((p, i) => (1 - s.cc) * p + hsig * ccn * yw[i]);
+        const keep = 1 - s.c1 - s.cmu + (1 - hsig) * s.c1 * s.cc * (2 - s.cc);
+        for (let i = 0; i < d; i++) {
+          for (let j = 0; j <= i; j++) {
+            let rankMu = 0;
+            ys.forEach((y, k) => { rankMu += s.weights[k] * y[i] * y[j]; });
+            s.C[i][j] = s.C[j][i] = keep * s.C[i][j] + s.c1 * s.pc[i] * s.pc[j] + s.cmu * rankMu;
+          }
+        }
+        s.sigma = clamp(s.sigma * Math.exp((s.cs / s.damps) * (psNorm / s.chiN - 1)), 1e-6, 1e3);
+        const eig = symmetricEigen(s.C);
+        s.B = eig.vectors;
+        s.D = eig.values.map(v => Math.sqrt(Math.max(v, 1e-20)));
+        return pop;
+      },
+      // the search continues around the suggestion
+      inject(run, s, genomes) {
+        if (genomes.length) s.mean = run.vectorOf(genomes[0]);
+      },
+      scale: (run, s) => s.sigma,
+    },
+
+    // DE/rand/1/bin: each genome competes with a trial built from three others
+    de: {
+      id: 'de', label: 'Differential evolution',
+      step(run) {
+        const pop = run.population;
+        const vectors = pop.map(run.vectorOf);
+        const next = pop.map((g, i) => {
+          const trial = run.feasible(() => {
+            const pick = (...taken) => {
+              let r;
+              do r = Math.floor(run.rand() * pop.length); while (taken.includes(r));
+              return r;
+            };
+            const r1 = pick(i), r2 = pick(i, r1), r3 = pick(i, r1, r2);
+            const a = vectors[r1], b = vectors[r2], c = vectors[r3];
+            const forced = Math.floor(run.rand() * a.length);
+            return run.fromVector(vectors[i].map((x, j) => (j === forced || run.rand() < run.params.deCrossover ? a[j] + run.params.deWeight * (b[j] - c[j]) : x)));
+          });
+          return trial.fitness >= g.fitness ? trial : g;
+        });
+        return next.sort((a, b) => b.fitness - a.fitness);
+      },
+      scale: (run) => run.params.deWeight,
+    },
+
+    // islandCount GA sub-populations, each with its own target/params (params.islandMode or
+    // options.islands), passing their best `migrants` on around a ring every migrationInterval
+    // generations. The reported population is all islands scored for the run's own target and params.
+    islands: {
+      id: 'islands', label: 'Island model',
+      init(run) {
+        const setups = run.islands || islandSetups(run.world, run.params, run.target);
+        const count = clamp(setups.length, 1, Math.floor(run.params.popSize / 2));
+        const islands = setups.slice(0, count).map((setup, i) => ({
+          target: setup.target || run.target,
+          overrides: setup.params || {},
+          home: i === 0 || (!setup.target && !setup.params),
+          population: [],
+        }));
+        // deal the initial population out round-robin so every island gets good and bad genomes
+        run.population.forEach((g, i) => islands[i % count].population.push(g));
+        islands.forEach(island => {
+          if (island.home) return;
+          island.population.forEach(g => islandScore(run, island)(g));
+          island.population.sort((a, b) => b.fitness - a.fitness);
+        });
+        return { islands };
+      },
+      step(run, s) {
+        s.islands.forEach((island, i) => {
+          const params = islandParams(run, island);
+          const score = island.home ? run.score : islandScore(run, island);
+          island.population = run.breed(island.population, mutationParams(params, run.gen), score, run.feasibleWith(score, params), false, i === 0 ? run.elites : []);
+        });
+        const k = Math.min(run.params.migrants, ...s.islands.map(isl => isl.population.length - 1));
+        if (s.islands.length > 1 && k > 0 && run.gen % run.params.migrationInterval === 0) {
+          const outgoing = s.islands.map(isl => isl.population.slice(0, k));
+          s.islands.forEach((island, i) => {
+            const incoming = outgoing[(i + s.islands.length - 1) % s.islands.length];
+            const score = island.home ? run.score : islandScore(run, island);
+            const arrivals = incoming.map(g => run.adopt(g, islandParams(run, island))).filter(Boolean);
+            arrivals.forEach(score);
+            island.population = island.population.slice(0, island.population.length - arrivals.length).concat(arrivals);
+            island.population.sort((a, b) => b.fitness - a.fitness);
+          });
+        }
+        const all = [];
+        s.islands.forEach(island => island.population.forEach(g => {
+          if (island.home) all.push(g);
+          else { const c = cloneGenome(g); run.score(c); all.push(c); }
+        }));
+        return all.sort((a, b) => b.fitness - a.fitness);
+      },
+      scale: (run, s) => {
+        const pops = [].concat(...s.islands.map(isl => isl.population));
+        return run.params.mutationAdapt === 'self' ? meanSigma(pops, run.params) : mutationParams(run.params, run.gen).mutationScale;
+      },
+      report: (run, s) => ({
+        islands: s.islands.map(isl => ({ target: isl.target, best: isl.population[0].fitness, size: isl.population.length })),
+      }),
+      // suggestions replace the first island's worst; new locks (or none) reach every island
+      inject(run, s, genomes, relocked) {
+        const byFitness = (a, b) => b.fitness - a.fitness;
+        s.islands.forEach((island, i) => {
+          const score = island.home ? run.score : islandScore(run, island);
+          if (relocked) island.population.forEach(g => score(run.relock(g)));
+          island.population.sort(byFitness);
+          if (i === 0) island.population = island.population.slice(0, Math.max(0, island.population.length - genomes.length)).concat(genomes).sort(byFitness);
+        });
+      },
+    },
+  };
+
+  function islandParams(run, island) {
+    return Object.assign({}, run.params, island.overrides);
+  }
+
+  function islandScore(run, island) {
+    const params = islandParams(run, island);
+    return g => {
+      evaluateFitness(run.world, params, island.target, decodeGenome(run.world, params, g));
+      if (run.penalty) { g.separation = run.penalty(g); g.fitness -= g.separation; }
+      return g.fitness;
+    };
+  }
+
+  // ---------- Evolution ----------
+  // Creates an independent run. `step()` advances one generation and returns an event;
+  // callers decide the pacing (setTimeout in the page, a tight loop in Node).
+  // `options.seedGenomes` (e.g. a previous best) join the initial population when their
+  // ctrl count suits params.encoding (see ENCODINGS size()); the rest of it is random as usual.
+  // `options.islands` ([{ target?, params? }]) overrides params.islandMode for the island model;
+  // `options.penalty(genome)` is subtracted from every fitness (createCoEvolution uses it).
+  // `options.locked` ([{ index, x, z }]) pins those control points in every genome of the run.
+  function createEvolution(options = {}) {
+    const world = options.world;
+    const params = Object.assign({}, DEFAULT_PARAMS, options.params);
+    const target = options.target || TARGET_ANY;
+    const seed = options.seed != null ? options.seed : (Math.random()*1e9)|0;
+    const rand = options.rand || seedRandom(seed);
+    const encoding = getEncoding(params.encoding);
+    const strategy = STRATEGIES[params.strategy];
+    const penalty = options.penalty; // (genome) -> fitness to subtract, e.g. createCoEvolution's separation
+    const score = g => {
+      evaluateFitness(world, params, target, decodeGenome(world, params, g));
+      if (penalty) { g.separation = penalty(g); g.fitness -= g.separation; }
+      return g.fitness;
+    };
+    const byFitness = (a, b) => b.fitness - a.fitness;
+    const pareto = params.objectiveMode === 'pareto';
+    if (!strategy) throw new Error(`Unknown strategy "${params.strategy}"`);
+    if (pareto && !strategy.pareto) throw new Error(`Pareto mode needs the ga strategy, not ${strategy.label}`);
+    [params.paretoX, params.paretoY].forEach(id => {
+      if (pareto && !OBJECTIVES[id]) throw new Error(`Unknown Pareto objective "${id}"`);
+    });
+    // In 'reject' mode a colliding candidate is regenerated a few times before it is accepted anyway
+    const REJECT_ATTEMPTS = 8;
+    const feasibleWith = (scoreFn, p) => (make) => {
+      let g = make();
+      scoreFn(g);
+      for (let i = 0; p.obstacleMode === 'reject' && g.collisions && i < REJECT_ATTEMPTS; i++) {
+        g = make();
+        scoreFn(g);
+      }
+      return g;
+    };
+    const feasible = feasibleWith(score, params);
+    let locked = options.locked && options.locked.length ? copyLocks(options.locked) : null;
+    // Stamps the run's locks on g (held when it is next decoded)
+    const lock = (g) => {
+      if (locked) g.locked = copyLocks(locked);
+      return g;
+    };
+    // Gives g exactly the run's locks, dropping its own when the run has none
+    const relock = (g) => {
+      if (locked) return lock(g);
+      delete g.locked;
+      return g;
+    };
+
+    // A copy of g fitted to `p`'s encoding (re-encoded from ctrl, delay clamped), or null when its
+    // ctrl count doesn't suit it; seeds from any encoding (or a hand-drawn path) fit this way
+    function adopt(g, p = params) {
+      const enc = getEncoding(p.encoding);
+      const size = enc.size(p);
+      if (!g || !g.ctrl || g.ctrl.length < size.min || g.ctrl.length > size.max) return null;
+      const out = cloneGenome(g);
+      const genes = enc.encode(world, p, out.ctrl);
+      if (genes) out.genes = genes;
+      else delete out.genes;
+      if (p.maxWait > 0) out.delay = clamp(out.delay || 0, 0, p.maxWait);
+      else delete out.delay;
+      return lock(out);
+    }
+
+    // Flat [x, z, ...] of ctrlCount points (a ctrl of another length is resampled along A→ctrl→B)
+    const withDelay = params.maxWait > 0;
+    function vectorOf(g) {
+      const n = params.ctrlCount, m = g.ctrl.length;
+      const out = [];
+      const ext = [world.A].concat(g.ctrl, [world.B]);
+      for (let i = 0; i < n; i++) {
+        const u = (i + 1) * (m + 1) / (n + 1);
+        const k = Math.min(Math.floor(u), m), t = u - k;
+        const a = ext[k], b = ext[Math.min(k + 1, m + 1)];
+        out.push(lerp(a.x, b.x, t), lerp(a.z, b.z, t));
+      }
+      if (withDelay) out.push(g.delay || 0);
+      return out;
+    }
+
+    function fromVector(v) {
+      const ctrl = [];
+      for (let i = 0; i < params.ctrlCount; i++) ctrl.push(vec(v[2 * i], v[2 * i + 1]));
+      const g = { ctrl, fitness: -Infinity };
+      if (withDelay) g.delay = v[2 * params.ctrlCount];
+      return adopt(g) || g;
+    }
+
+    // One GA generation of `pop` under `p`: elitism + tournament offspring, or NSGA-II survival.
+    // `keep` (genomes of pop) survive as elites too.
+    function breed(pop, p, scoreFn, feasibleFn, nsga = false, keep = []) {
+      const offspring = (select) => feasibleFn(() => {
+        const p1 = select(pop, rand);
+        const p2 = select(pop, rand);
+        const c = rand() < p.crossProb ? crossover(p1, p2, rand, p) : (rand()<0.5 ? p1 : p2);
+        return mutate(c, p, rand);
+      });
+      let newPop = [];
+      if (nsga) {
+        // (mu + lambda): parents and children compete for survival front by front
+        const children = [];
+        while (children.length < pop.length) children.push(offspring(crowdedTournament));
+        newPop = keep.concat(paretoSurvivors(p, pop.filter(g => !keep.includes(g)).concat(children), pop.length - keep.length));
+        nonDominatedSort(p, newPop);
+      } else {
+        // elitism
+        newPop.push(cloneGenome(pop[0]));
+        keep.forEach(g => { if (g !== pop[0] && newPop.length < pop.length) newPop.push(cloneGenome(g)); });
+        const elites = newPop.length;
+        while (newPop.length < pop.length) newPop.push(offspring(tournamentSelect));
+        newPop.slice(0, elites).forEach(scoreFn);
+      }
+      return newPop.sort(byFitness);
+    }
+
+    let gen = 0;
+    let population = [];
+    (options.seedGenomes || []).forEach(g => {
+      if (population.length >= params.popSize) return;
+      const seeded = adopt(g);
+      if (!seeded) return;
+      score(seeded);
+      population.push(seeded);
+    });
+    while (population.length < params.popSize) population.push(feasible(() => lock(makeGenome(world, params, rand))));
+    if (pareto) nonDominatedSort(params, population);
+    population.sort(byFitness);
+    let best = cloneGenome(population[0]);
+    let stagnation = 0; // generations since the best fitness last improved
+    let elites = []; // injected genomes the next generation keeps
+
+    const run = {
+      world, params, target, rand, score, feasible, feasibleWith, adopt, breed, vectorOf, fromVector, lock, relock,
+      islands: options.islands, penalty,
+      get population() { return population; },
+      get gen() { return gen; },
+      get elites() { return elites; },
+    };
+    const state = strategy.init ? strategy.init(run) : null;
+
+    function snapshot(improved) {
+      const e = {
+        gen, best, improved, stagnation, population, stats: populationStats(population), done: gen >= params.generations,
+        strategy: strategy.id, scale: strategy.scale ? strategy.scale(run, state) : params.mutationScale,
+      };
+      if (strategy.report) Object.assign(e, strategy.report(run, state));
+      if (pareto) e.front = paretoFront(params, population);
+      return e;
+    }
+
+    function step() {
+      gen++;
+      population = strategy.step(run, state);
+      elites = [];
+
+      const improved = population[0].fitness > best.fitness;
+      if (improved) best = cloneGenome(population[0]);
+      stagnation = improved ? 0 : stagnation + 1;
+      return snapshot(improved);
+    }
+
+    // Adds a person's genomes (e.g. an edited best) mid-run: they replace the worst genomes and are
+    // kept as elites by the next GA generation, whatever their fitness (CMA-ES re-centres on the
+    // first instead, DE keeps them until a trial beats them). `lockedPoints`, when given,
+    // replaces the run's locks ([] unlocks) on every genome from now on, even when no genome is
+    // taken. Returns a snapshot, or null when nothing changed (no genome suits params.encoding and
+    // no locks were given).
+    function inject(genomes, lockedPoints) {
+      if (lockedPoints) {
+        locked = lockedPoints.length ? copyLocks(lockedPoints) : null;
+        population.forEach(g => score(relock(g)));
+      }
+      const arrivals = (genomes || []).map(g => adopt(g)).filter(Boolean).slice(0, params.popSize);
+      if (!arrivals.length && !lockedPoints) return null;
+      arrivals.forEach(score);
+      if (strategy.inject) strategy.inject(run, state, arrivals, !!lockedPoints);
+      // re-scored genomes may have changed places, so the worst are found afresh
+      population.sort(byFitness);
+      population = population.slice(0, population.length - arrivals.length).concat(arrivals);
+      if (pareto) nonDominatedSort(params, population);
+      population.sort(byFitness);
+      elites = arrivals;
+      const improved = population[0].fitness > best.fitness;
+      if (improved) { best = cloneGenome(population[0]); stagnation = 0; }
+      return snapshot(improved);
+    }
+
+    return {
+      seed, params, target, world,
+      step, inject,
+      initial: () => snapshot(true),
+      current: () => snapshot(false),
+      get gen() { return gen; },
+      get best() { return best; },
+      get population() { return population; },
+      get front() { return pareto ? paretoFront(params, population) : null; },
+      // Only `live` params (PARAM_SPECS) are applied mid-run; the rest would invalidate scored genomes
+      setParams(changes) {
+        Object.keys(changes || {}).forEach(key => {
+          if (PARAM_SPECS[key] && PARAM_SPECS[key].live) params[key] = changes[key];
+        });
+      },
+      get done() { return gen >= params.generations; },
+    };
+  }
+
+  // ---------- Agents ----------
+  // Several walkers at once. Each agent evolves its own population (its A, B and target) and pays
+  // for coming closer than minSeparation to another agent at the same moment; see createCoEvolution.
+
+  // The world as one agent sees it
+  function agentWorld(world, agent) {
+    return Object.assign({}, world, { A: agent.A, B: agent.B });
+  }
+
+  // Sampled path with the time each sample is reached at params.walkSpeed (after the genome's delay)
+  function walkTrack(world, params, genome) {
+    const pts = pathPoints(world, genome, params.fitnessSamples);
+    return { pts, times: walkTimes(pts, params, genome.delay || 0) };
+  }
+
+  // Where a walker is at time t: waiting at A before it leaves, null once it has reached B
+  function trackPosition(track, t) {
+    const { pts, times } = track;
+    if (t <= times[0]) return pts[0];
+    if (t > times[times.length - 1]) return null;
+    let lo = 0, hi = times.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= t) lo = mid; else hi = mid;
+    }
+    const span = times[hi] - times[lo];
+    const u = span > 0 ? (t - times[lo]) / span : 0;
+    return vec(lerp(pts[lo].x, pts[hi].x, u), lerp(pts[lo].z, pts[hi].z, u));
+  }
+
+  // Checks every separationStep seconds while both walkers of a pair are out. `cost` is the time
+  // (s) they spend too close, weighted by how far inside minSeparation they are (1 = same spot);
+  // `closest` is the smallest distance seen. With `only` set, just the pairs involving that track.
+  function separationCost(tracks, params = DEFAULT_PARAMS, only = -1) {
+    let cost = 0, closest = Infinity;
+    const sep = params.minSeparation, dt = params.separationStep;
+    for (let i = 0; i < tracks.length; i++) {
+      for (let j = i + 1; j < tracks.length; j++) {
+        if (only >= 0 && i !== only && j !== only) continue;
+        const a = tracks[i], b = tracks[j];
+        if (!a || !b) continue;
+        const end = Math.min(a.times[a.times.length - 1], b.times[b.times.length - 1]);
+        for (let t = 0; t <= end; t += dt) {
+          const p = trackPosition(a, t), q = trackPosition(b, t);
+          if (!p || !q) continue;
+          const d = dist(p, q);
+          closest = Math.min(closest, d);
+          if (d < sep) cost += dt * (1 - d / sep);
+        }
+      }
+    }
+    return { cost, closest };
+  }
+
+  // Cooperative co-evolution: one run per agent (createEvolution, any strategy), stepped together.
+  // An agent's fitness is its own path score minus separationWeight × its separation cost against
+  // the other agents' current representatives (their latest bests). The team fitness is the sum of
+  // the agents' own scores minus the separation penalty of the whole team, counted once per pair.
+  // Snapshots look like createEvolution's, plus `team` (one genome per agent, agentsOf order) and
+  // `separation` ({ cost, closest, penalty }); `best` is the main agent's genome of the best team.
+  // `options.agentSeeds[k]` seeds agent k (k ≥ 1) like `seedGenomes` seeds the main one;
+  // `options.locked` and inject() only concern the main agent.
+  function createCoEvolution(options = {}) {
+    const world = options.world;
+    const params = Object.assign({}, DEFAULT_PARAMS, options.params);
+    const target = options.target || TARGET_ANY;
+    const seed = options.seed != null ? options.seed : (Math.random()*1e9)|0;
+    if (params.objectiveMode === 'pareto') throw new Error('Pareto mode needs a single agent');
+    const agents = agentsOf(world, target);
+    const worlds = agents.map(agent => agentWorld(world, agent));
+    const track = (k, g) => walkTrack(worlds[k], params, decodeGenome(worlds[k], params, g));
+    let reps = []; // latest best track per agent; empty while the runs are being created
+    const runs = agents.map((agent, k) => createEvolution({
+      world: worlds[k], params, target: agent.target,
+      seed: k === 0 ? seed : (seed + k * 0x9e3779b9) >>> 0,
+      seedGenomes: k === 0 ? options.seedGenomes : (options.agentSeeds || [])[k],
+      locked: k === 0 ? options.locked : undefined,
+      penalty: (g) => {
+        if (!reps.length || !params.separationWeight) return 0;
+        const tracks = reps.slice();
+        tracks[k] = track(k, g);
+        return params.separationWeight * separationCost(tracks, params, k).cost;
+      },
+    }));
+
+    // Scores a team as a whole; members are re-scored against each other
+    function scoreTeam(members) {
+      const team = members.map(cloneGenome);
+      const tracks = team.map((g, k) => track(k, g));
+      let own = 0;
+      team.forEach((g, k) => {
+        own += evaluateFitness(worlds[k], params, agents[k].target, g);
+        const others = tracks.slice();
+        g.separation = params.separationWeight * separationCost(others, params, k).cost;
+        g.fitness -= g.separation;
+      });
+      const sep = separationCost(tracks, params);
+      const penalty = params.separationWeight * sep.cost;
+      return { team, tracks, fitness: own - penalty, separation: { cost: sep.cost, closest: sep.closest, penalty } };
+    }
+
+    let gen = 0;
+    let stagnation = 0;
+    let current = scoreTeam(runs.map(r => r.best));
+    let bestTeam = current;
+    reps = current.tracks;
+
+    function snapshot(events, improved) {
+      const stats = {
+        best: current.fitness,
+        mean: events.reduce((sum, e) => sum + e.stats.mean, 0),
+        worst: events.reduce((sum, e) => sum + e.stats.worst, 0),
+        diversity: events.reduce((sum, e) => sum + e.stats.diversity, 0) / events.length,
+      };
+      return {
+        gen, best: bestTeam.team[0], team: bestTeam.team, separation: bestTeam.separation, improved, stagnation,
+        population: runs[0].population, stats, done: gen >= params.generations,
+        strategy: events[0].strategy, scale: events[0].scale, agents: agents.map(a => a.id),
+      };
+    }
+
+    function step() {
+      gen++;
+      const events = runs.map(r => r.step());
+      current = scoreTeam(runs.map(r => r.population[0]));
+      reps = current.tracks;
+      const improved = current.fitness > bestTeam.fitness;
+      if (improved) bestTeam = current;
+      stagnation = improved ? 0 : stagnation + 1;
+      return snapshot(events, improved);
+    }
+
+    return {
+      seed, params, target, world, agents,
+      step,
+      inject(genomes, lockedPoints) {
+        return runs[0].inject(genomes, lockedPoints) && snapshot(runs.map(r => r.current()), false);
+      },
+      initial: () => snapshot(runs.map(r => r.current()), true),
+      current: () => snapshot(runs.map(r => r.current()), false),
+      get gen() { return gen; },
+      get best() { return bestTeam.team[0]; },
+      get team() { return bestTeam.team; },
+      get population() { return runs[0].population; },
+      get front() { return null; },
+      setParams(changes) {
+        Object.keys(changes || {}).forEach(key => {
+          if (PARAM_SPECS[key] && PARAM_SPECS[key].live) params[key] = changes[key];
+        });
+        runs.forEach(r => r.setParams(changes));
+      },
+      get done() { return gen >= params.generations; },
+    };
+  }
+
+  // createCoEvolution when the world has more than one walker, else createEvolution
+  function createRun(options = {}) {
+    const multi = options.world && options.world.agents && options.world.agents.length;
+    return multi ? createCoEvolution(options) : createEvolution(options);
+  }
+
+  // Runs a whole evolution synchronously. `onGeneration(event)` is called for the
+  // initial population and after every generation.
+  function runEvolution(options = {}) {
+    const evo = createRun(options);
+    const history = [];
+    const record = (e) => {
+      history.push(historyEntry(e));
+      if (options.onGeneration) options.onGeneration(e);
+    };
+    record(evo.initial());
+    while (!evo.done) record(evo.step());
+    const result = { seed: evo.seed, target: evo.target, params: evo.params, best: evo.best, population: evo.population, history };
+    if (evo.front) result.front = evo.front;
+    if (evo.team) result.team = evo.team;
+    return result;
+  }
+
+  // ---------- Shareable State ----------
+  // Run state <-> URL hash, e.g. "seed=42&target=left&A=-16,10&src=left,-10.5,-6.25,1,3b82f6,L&popSize=40".
+  // Numbers are written with full precision so a decoded link reproduces the run exactly;
+  // only params that differ from `defaults` are written to keep links short.
+  // Sources are "id,x,z,power,rrggbb,label" joined by ';' (legacy links use L=/R= points).
+  // Obstacles are "r,x,z,w,d,transmission" or "p,transmission,x1,z1,x2,z2,..." joined by ';'.
+  // The world size (when the world has one) is "size=width,depth".
+  const POINT_KEYS = { A: 'A', B: 'B', L: 'speakerL', R: 'speakerR' };
+  const cleanToken = (v) => String(v).replace(/[,;]/g, ' ');
+
+  function encodeSources(sources) {
+    return sources.map(src => [
+      cleanToken(src.id), src.position.x, src.position.z, src.power,
+      (src.color >>> 0).toString(16).padStart(6, '0'), cleanToken(src.label || ''),
+    ].join(',')).join(';');
+  }
+
+  function decodeSources(text) {
+    const out = [];
+    String(text).split(';').forEach(entry => {
+      const [id, x, z, power, color, label] = entry.split(',');
+      const pos = vec(Number(x), Number(z));
+      if (!id || !Number.isFinite(pos.x) || !Number.isFinite(pos.z)) return;
+      const p = Number(power), c = parseInt(color, 16);
+      out.push({
+        id, label: label || id,
+        power: Number.isFinite(p) && p > 0 ? p : 1.0,
+        color: Number.isFinite(c) ? c : 0xffffff,
+        position: pos,
+      });
+    });
+    return out;
+  }
+
+  // id,ax,az,bx,bz,target,rrggbb per agent
+  function encodeAgents(agents) {
+    return agents.map(a => [
+      cleanToken(a.id), a.A.x, a.A.z, a.B.x, a.B.z, cleanToken(a.target || TARGET_ANY),
+      a.color != null ? (a.color >>> 0).toString(16).padStart(6, '0') : '',
+    ].join(',')).join(';');
+  }
+
+  function decodeAgents(text) {
+    const out = [];
+    String(text).split(';').forEach(entry => {
+      const [id, ax, az, bx, bz, target, color] = entry.split(',');
+      const A = vec(Number(ax), Number(az)), B = vec(Number(bx), Number(bz));
+      if (!id || ![A.x, A.z, B.x, B.z].every(Number.isFinite)) return;
+      const c = parseInt(color, 16);
+      const agent = { id, A, B, target: target || TARGET_ANY };
+      if (Number.isFinite(c)) agent.color = c;
+      out.push(agent);
+    });
+    return out;
+  }
+
+  function encodeObstacles(obstacles) {
+    return obstacles.map(ob => {
+      const t = ob.transmission != null ? ob.transmission : DEFAULT_TRANSMISSION;
+      if (ob.type === 'rect') return ['r', ob.x, ob.z, ob.w, ob.d, t].join(',');
+      return [ob.type === 'wall' ? 'w' : 'p', t, ...ob.points.flatMap(p => [p.x, p.z])].join(',');
+    }).join(';');
+  }
+
+  function decodeObstacles(text) {
+    const out = [];
+    String(text).split(';').forEach(entry => {
+      const [type, ...rest] = entry.split(',');
+      const nums = rest.map(Number);
+      if (nums.some(n => !Number.isFinite(n))) return;
+      if (type === 'r' && nums.length === 5 && nums[2] > 0 && nums[3] > 0) {
+        out.push({ type: 'rect', x: nums[0], z: nums[1], w: nums[2], d: nums[3], transmission: clamp(nums[4], 0, 1) });
+      } else if (type === 'p' && nums.length >= 7 && nums.length % 2 === 1) {
+        const points = [];
+        for (let i = 1; i < nums.length; i += 2) points.push(vec(nums[i], nums[i+1]));
+        out.push({ type: 'polygon', points, transmission: clamp(nums[0], 0, 1) });
+      } else if (type === 'w' && nums.length >= 5 && nums.length % 2 === 1) {
+        const points = [];
+        for (let i = 1; i < nums.length; i += 2) points.push(vec(nums[i], nums[i+1]));
+        out.push({ type: 'wall', points, transmission: clamp(nums[0], 0, 1) });
+      }
+    });
+    return out;
+  }
+
+  function encodeState(state, defaults = DEFAULT_PARAMS) {
+    const q = new URLSearchParams();
+    if (state.seed != null) q.set('seed', String(state.seed >>> 0));
+    if (state.target) q.set('target', state.target);
+    Object.keys(POINT_KEYS).forEach(key => {
+      const p = state.world && state.world[POINT_KEYS[key]];
+      if (p) q.set(key, p.x + ',' + p.z);
+    });
+    if (state.world && state.world.width) q.set('size', state.world.width + ',' + state.world.depth);
+    if (state.world && state.world.sources) q.set('src', encodeSources(state.world.sources));
+    if (state.world && state.world.obstacles && state.world.obstacles.length) q.set('obs', encodeObstacles(state.world.obstacles));
+    if (state.world && state.world.agents && state.world.agents.length) q.set('agents', encodeAgents(state.world.agents));
+    const params = state.params || {};
+    Object.keys(defaults).forEach(key => {
+      if (params[key] != null && params[key] !== defaults[key]) q.set(key, String(params[key]));
+    });
+    return q.toString().replace(/%2C/g, ',').replace(/%3B/g, ';');
+  }
+
+  // Returns only what the hash contains: { seed?, target?, points: { A?, B?, speakerL?, speakerR? }, size?, sources?, obstacles?, agents?, params }.
+  // Malformed entries are skipped rather than throwing, so a hand-edited link still loads.
+  function decodeState(hash, defaults = DEFAULT_PARAMS) {
+    const q = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const out = { points: {}, params: {} };
+    const seed = Number(q.get('seed'));
+    if (q.has('seed') && Number.isFinite(seed)) out.seed = seed >>> 0;
+    if (q.get('target')) out.target = q.get('target');
+    Object.keys(POINT_KEYS).forEach(key => {
+      if (!q.has(key)) return;
+      const [x, z] = q.get(key).split(',').map(Number);
+      if (Number.isFinite(x) && Number.isFinite(z)) out.points[POINT_KEYS[key]] = vec(x, z);
+    });
+    if (q.has('size')) {
+      const [width, depth] = q.get('size').split(',').map(Number);
+      if (width > 0 && depth > 0) out.size = { width, depth };
+    }
+    if (q.has('src')) {
+      const sources = decodeSources(q.get('src'));
+      if (sources.length) out.sources = sources;
+    }
+    if (q.has('obs')) out.obstacles = decodeObstacles(q.get('obs'));
+    if (q.has('agents')) out.agents = decodeAgents(q.get('agents'));
+    Object.keys(defaults).forEach(key => {
+      if (!q.has(key)) return;
+      const raw = q.get(key);
+      if (typeof defaults[key] === 'number') {
+        const v = Number(raw);
+        if (raw !== '' && Number.isFinite(v)) out.params[key] = v;
+      } else if (typeof defaults[key] === 'boolean') {
+        out.params[key] = raw === 'true' || raw === '1';
+      } else {
+        out.params[key] = raw;
+      }
+    });
+    return out;
+  }
+
+  // ---------- Run Control ----------
+  // Message-driven scheduler shared by evolution.worker.js and the in-page fallback.
+  // In:  { type: 'start', runId, world, params, target, seed, mode, delay, population?, seedGenomes?, agentSeeds?, locked? } | 'pause' | 'resume' | 'cancel'
+  //      | { type: 'mode', mode, delay } | { type: 'params', params } (live params only) | { type: 'population', enabled }
+  //      | { type: 'inject', genomes, locked? } (see createEvolution inject; answered with a 'generation' of the same gen)
+  // Out: { type: 'generation', runId, gen, best, improved, stats, done, stagnation, histogram, history, strategy, scale,
+  //        front?, population?, islands?, team?, separation? }
+  //      | { type: 'cancelled' | 'error', runId }
+  // mode 'paced' waits `delay` ms between generations; 'fast' batches generations and reports the latest.
+  function createRunController(post) {
+    let evo = null;
+    let runId = 0;
+    let timer = null;
+    let paused = false;
+    let mode = 'paced';
+    let delay = 250;
+    let withPopulation = false; // include every genome's ctrl/fitness in 'generation' messages
+
+    // `history` lists every generation since the previous message (fast mode skips messages, not rows)
+    function emit(e, improved = e.improved, history = [historyEntry(e)]) {
+      const msg = {
+        type: 'generation', runId, gen: e.gen, best: e.best, improved, stats: e.stats, done: e.done,
+        stagnation: e.stagnation, histogram: fitnessHistogram(e.population), history,
+        strategy: e.strategy, scale: e.scale,
+      };
+      if (e.islands) msg.islands = e.islands;
+      if (e.team) { msg.team = e.team.map(cloneGenome); msg.separation = e.separation; }
+      if (e.front) msg.front = e.front.map(cloneGenome);
+      if (withPopulation) msg.population = e.population.map(g => ({ ctrl: g.ctrl, fitness: g.fitness }));
+      post(msg);
+    }
+
+    function schedule() {
+      clearTimeout(timer);
+      timer = null;
+      if (!evo || paused || evo.done) return;
+      timer = setTimeout(tick, mode === 'fast' ? 0 : delay);
+    }
+
+    function tick() {
+      try {
+        let e = evo.step();
+        let improved = e.improved;
+        const history = [historyEntry(e)];
+        if (mode === 'fast') {
+          // keep stepping for a frame's worth of time so messages still get through between batches
+          const t0 = Date.now();
+          while (!e.done && Date.now() - t0 < 30) {
+            e = evo.step();
+            improved = improved || e.improved;
+            history.push(historyEntry(e));
+          }
+        }
+        emit(e, improved, history);
+      } catch (err) {
+        post({ type: 'error', runId, message: String(err && err.message || err) });
+        evo = null;
+        return;
+      }
+      if (evo.done) evo = null;
+      else schedule();
+    }
+
+    function handle(msg) {
+      switch (msg.type) {
+        case 'start':
+          runId = msg.runId;
+          paused = false;
+          if (msg.mode) mode = msg.mode;
+          if (msg.delay != null) delay = msg.delay;
+          if (msg.population != null) withPopulation = !!msg.population;
+          try {
+            evo = createRun({ world: msg.world, params: msg.params, target: msg.target, seed: msg.seed, seedGenomes: msg.seedGenomes, agentSeeds: msg.agentSeeds, locked: msg.locked });
+          } catch (err) {
+            post({ type: 'error', runId, message: String(err && err.message || err) });
+            return;
+          }
+          emit(evo.initial());
+          schedule();
+          break;
+        case 'pause':
+          paused = true;
+          schedule();
+          break;
+        case 'resume':
+          paused = false;
+          schedule();
+          break;
+        case 'mode':
+          if (msg.mode) mode = msg.mode;
+          if (msg.delay != null) delay = msg.delay;
+          schedule();
+          break;
+        case 'population':
+          withPopulation = !!msg.enabled;
+          break;
+        case 'inject':
+          if (!evo) break;
+          try {
+            const e = evo.inject(msg.genomes, msg.locked);
+            if (e) emit(e, e.improved, []);
+          } catch (err) {
+            post({ type: 'error', runId, message: String(err && err.message || err) });
+            evo = null;
+          }
+          break;
+        case 'params':
+          if (!evo) break;
+          evo.setParams(msg.params);
+          // lowering `generations` below the current one finishes the run now
+          if (evo.done) { emit(evo.current(), false, []); evo = null; }
+          schedule();
+          break;
+        case 'cancel':
+          if (evo) post({ type: 'cancelled', runId });
+          evo = null;
+          schedule();
+          break;
+      }
+    }
+
+    return { handle };
+  }
+
+  return {
+    DEFAULT_PARAMS, PARAM_SPECS, PRESETS, validateParam, validateParams,
+    TARGET_ANY,
+    lerp, clamp, seedRandom,
+    sourcesOf, findSource, AGENT_MAIN, MAX_AGENTS, agentsOf, agentWorld, walkTrack, trackPosition, separationCost,
+    DEFAULT_TRANSMISSION, obstaclePolygon, obstacleEdges, occlusionFactor, pathCollisions, pointInObstacle,
+    OBJECTIVES, registerObjective, nonDominatedSort, paretoFront,
+    intensityAtPoint, sourceIntensityAt, sourceIntensities, balanceAt, balanceOf, targetIntensity, pointContribution,
+    binauralCuesAt, earIntensitiesAt, headingAlong,
+    MAX_TIMELINE_KEYS, MAX_TIMELINE_ON, hasTimeline, isTimeVarying, sourceAt, worldAt, walkTimes,
+    pathPoints, resample, pathLength,
+    ENCODINGS, getEncoding, registerEncoding, decodeGenome,
+    makeGenome, makeInitialPopulation, evaluateFitness, scorePath, cloneGenome, STRATEGIES, gaussian,
+    tournamentSelect, crossover, mutate, populationStats, populationDiversity, fitnessHistogram,
+    createEvolution, createCoEvolution, createRun, runEvolution, createRunController,
+    encodeState, decodeState,
+  };
+});
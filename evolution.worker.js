@@ -0,0 +1,9 @@
+/*
+  Binaural Pathfinding — Evolution Worker
+  - Runs the optimizer from evolution.js off the main thread so rendering never stalls.
+  - Protocol is documented on createRunController in evolution.js.
+*/
+importScripts('./acoustics.js', './evolution.js');
+
+const controller = BinauralEvolution.createRunController(msg => self.postMessage(msg));
+self.onmessage = (ev) => controller.handle(ev.data);
@@ -0,0 +1,127 @@
+/*
+  Binaural Pathfinding — Path Exports
+  - Samples a path (the spaced points showBest draws) with per-point left/right ear intensity,
+    levels and balance, and writes them as CSV or as a GeoJSON LineString.
+  - Renders a standalone top-down SVG of the world and path in the 2D page's style.
+  - Coordinates are world units (metres) on the ground plane; GeoJSON uses [x, z] in a local
+    frame, not longitude/latitude.
+
+  Usage (browser):  <script src="./export.js"></script> after evolution.js -> window.BinauralExport
+  Usage (Node):     const { pathSamples, toCsv } = require('./export.js');
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./evolution.js'), require('./acoustics.js'));
+  else root.BinauralExport = factory(root.BinauralEvolution, root.BinauralAcoustics);
+})(typeof self !== 'undefined' ? self : this, function (evo, acoustics) {
+  'use strict';
+
+  const round = (v, digits) => Number(v.toFixed(digits));
+
+  // ---------- Samples ----------
+  // One row per point: position, distance walked, time, heading in degrees (0 = +x, 90 = +z),
+  // ear intensities/levels, balance and each source's intensity. With time-varying sources the
+  // time is when a walker leaving after `delay` s at params.walkSpeed gets there, and every value
+  // is taken at that moment; otherwise it spreads `duration` s (if given) evenly over the points.
+  function pathSamples(world, pts, params = evo.DEFAULT_PARAMS, { duration = null, delay = 0 } = {}) {
+    const edges = evo.obstacleEdges(world);
+    const times = evo.isTimeVarying(world) ? evo.walkTimes(pts, params, delay)
+      : duration != null && pts.length > 1 ? pts.map((p, i) => duration * i / (pts.length - 1)) : null;
+    let walked = 0;
+    return pts.map((p, i) => {
+      if (i > 0) walked += Math.hypot(p.x - pts[i - 1].x, p.z - pts[i - 1].z);
+      const now = times ? evo.worldAt(world, times[i]) : world;
+      const heading = evo.headingAlong(pts, i);
+      const ears = evo.earIntensitiesAt(now, p, heading, params, edges);
+      const levels = evo.sourcesOf(now).map(src => evo.sourceIntensityAt(now, p, src, params, edges, heading));
+      return {
+        i,
+        x: p.x,
+        z: p.z,
+        distance: walked,
+        t: times ? times[i] : null,
+        heading: Math.atan2(heading.z, heading.x) * 180 / Math.PI,
+        left: ears.left,
+        right: ears.right,
+        leftDb: acoustics.toDb(ears.left, params),
+        rightDb: acoustics.toDb(ears.right, params),
+        balance: evo.balanceOf(levels).balance,
+        sources: levels,
+      };
+    });
+  }
+
+  // ---------- CSV ----------
+  // Plain numbers, '.' decimals, one header row; per-source columns are named I_<source id>
+  function toCsv(rows, world) {
+    const ids = evo.sourcesOf(world).map(src => src.id);
+    const timed = rows.length && rows[0].t != null;
+    const header = ['i', 'x', 'z', 'distance'].concat(timed ? ['t'] : [],
+      ['heading_deg', 'left', 'right', 'left_db', 'right_db', 'balance'], ids.map(id => 'I_' + id));
+    const lines = rows.map(r => [r.i, round(r.x, 4), round(r.z, 4), round(r.distance, 4)]
+      .concat(timed ? [round(r.t, 4)] : [],
+        [round(r.heading, 2), r.left.toPrecision(6), r.right.toPrecision(6), round(r.leftDb, 2), round(r.rightDb, 2), round(r.balance, 4)],
+        r.sources.map(I => I.toPrecision(6)))
+      .join(','));
+    return [header.join(',')].concat(lines).join('\n') + '\n';
+  }
+
+  // ---------- GeoJSON ----------
+  // A FeatureCollection with the path as a LineString (per-point values as parallel arrays),
+  // plus Point features for A, B and every source.
+  function toGeoJson(rows, world, meta = {}) {
+    const coord = (p) => [round(p.x, 4), round(p.z, 4)];
+    const list = (key, digits) => rows.map(r => round(r[key], digits));
+    const path = {
+      type: 'Feature',
+      geometry: { type: 'LineString', coordinates: rows.map(coord) },
+      properties: Object.assign({
+        kind: 'path',
+        units: 'm (local x/z ground plane)',
+        length: rows.length ? round(rows[rows.length - 1].distance, 4) : 0,
+        left: rows.map(r => Number(r.left.toPrecision(6))),
+        right: rows.map(r => Number(r.right.toPrecision(6))),
+        leftDb: list('leftDb', 2),
+        rightDb: list('rightDb', 2),
+        balance: list('balance', 4),
+        heading: list('heading', 2),
+      }, rows.length && rows[0].t != null ? { t: list('t', 4) } : {}, meta),
+    };
+    const point = (kind, p, props) => ({ type: 'Feature', geometry: { type: 'Point', coordinates: coord(p) }, properties: Object.assign({ kind }, props) });
+    const features = [path, point('start', world.A, { label: 'A' }), point('goal', world.B, { label: 'B' })]
+      .concat(evo.sourcesOf(world).map(src => point('source', src.position, { id: src.id, label: src.label || src.id, power: src.power })));
+    return { type: 'FeatureCollection', features };
+  }
+
+  // ---------- SVG ----------
+  // Top-down view at `pxPerM` (SVG y = world z), styled like paths.html: dark gradient ground, slate
+  // obstacles, speaker and A/B discs, purple best path. `others` are fainter comparison paths.
+  function toSvg({ world, pts, others = [], pxPerM = 30, title = '' }) {
+    const W = Math.round(world.width * pxPerM), H = Math.round(world.depth * pxPerM);
+    const x = (v) => round(W / 2 + v * pxPerM, 2);
+    const y = (v) => round(H / 2 + v * pxPerM, 2);
+    const hex = (c) => '#' + (c >>> 0).toString(16).padStart(6, '0');
+    const esc = (s) => String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+    const line = (path, stroke, width) => `<path d="${path.map((p, i) => `${i ? 'L' : 'M'} ${x(p.x)} ${y(p.z)}`).join(' ')}" fill="none" stroke="${stroke}" stroke-width="${width}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    const disc = (p, r, fill) => `<circle cx="${x(p.x)}" cy="${y(p.z)}" r="${r}" fill="${fill}" opacity="0.9"/>`;
+    const text = (s, p) => `<text x="${x(p.x) + 10}" y="${y(p.z) - 10}" fill="#aab1c5" font-family="Inter, system-ui" font-size="12">${esc(s)}</text>`;
+
+    const out = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${W}" height="${H}" viewBox="0 0 ${W} ${H}">`,
+      title ? `<title>${esc(title)}</title>` : '',
+      '<defs><linearGradient id="bg" x1="0%" y1="100%" x2="100%" y2="0%"><stop offset="0%" stop-color="#0f1220"/><stop offset="100%" stop-color="#0a0c14"/></linearGradient></defs>',
+      `<rect x="0" y="0" width="${W}" height="${H}" fill="url(#bg)"/>`,
+    ];
+    (world.obstacles || []).forEach(ob => {
+      if (ob.type === 'wall') { out.push(line(ob.points, '#cbd5e1', 3)); return; }
+      const poly = evo.obstaclePolygon(ob).map(p => `${x(p.x)},${y(p.z)}`).join(' ');
+      out.push(`<polygon points="${poly}" fill="#64748b" opacity="0.55" stroke="#94a3b8" stroke-width="1.5"/>`);
+    });
+    others.forEach(path => out.push(line(path, 'rgba(139,92,246,0.25)', 3)));
+    if (pts && pts.length > 1) out.push(line(pts, '#8b5cf6', 4.5));
+    evo.sourcesOf(world).forEach(src => out.push(disc(src.position, 10, hex(src.color)), text(src.label || src.id, src.position)));
+    out.push(disc(world.A, 8, '#ffffff'), disc(world.B, 8, '#22c55e'), text('A', world.A), text('B', world.B), '</svg>');
+    return out.filter(Boolean).join('\n') + '\n';
+  }
+
+  return { pathSamples, toCsv, toGeoJson, toSvg };
+});
@@ -0,0 +1,192 @@
+/*
+  Binaural Pathfinding — Field Overlays
+  - Heatmap modes for the ground: the source mix (the original look), total level in dB with
+    iso-contours, interaural balance, the target source alone, and what a fitness sample there adds.
+  - Values come from the functions fitness uses (evolution.js); a listener on the ground faces B,
+    as in the 3D ground shader, which draws the same modes from MODES[*].index and the ramps here.
+  - sampleField / fieldScale / rasterize turn a mode into an image for the 2D views; legendHtml
+    draws its color scale.
+
+  Usage (browser):  <script src="./field.js"></script> after evolution.js -> window.BinauralField
+  Usage (Node):     const field = require('./field.js');
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./evolution.js'), require('./acoustics.js'));
+  else root.BinauralField = factory(root.BinauralEvolution, root.BinauralAcoustics);
+})(typeof self !== 'undefined' ? self : this, function (evo, acoustics) {
+  'use strict';
+
+  const RAMP_STOPS = 5; // every ramp has this many evenly spaced colors (the shader's uRamp)
+  const BALANCED = [0x8b, 0x5c, 0xf6]; // purple, where the two loudest sources are equal
+  const ALPHA = 0.8;
+
+  // ---------- Modes ----------
+  // value(ctx) with ctx = { world, params, target, point, edges, heading }. `symmetric` scales
+  // around 0; `contour` is the spacing of iso-lines in the mode's unit; `note` explains the sign.
+  const MODES = {
+    sources: {
+      id: 'sources', index: 0, label: 'Source mix', unit: '',
+      value: (c) => evo.balanceOf(levels(c)).balance,
+      format: (v) => `balance ${v.toFixed(2)}`,
+    },
+    level: {
+      id: 'level', index: 1, label: 'Level (dB SPL)', unit: 'dB', contour: 6,
+      ramp: ['#0b1026', '#3b2a8c', '#b83a8e', '#f0803c', '#f8e45c'],
+      value: (c) => acoustics.toDb(levels(c).reduce((a, b) => a + b, 0), c.params),
+      format: (v) => `${v.toFixed(1)} dB SPL`,
+    },
+    balance: {
+      id: 'balance', index: 2, label: 'Interaural balance (ILD)', unit: 'dB', symmetric: true, note: 'dB, − left ear louder, + right',
+      ramp: ['#2563eb', '#5b7be8', '#8b5cf6', '#e25a6b', '#ef4444'],
+      value: (c) => {
+        const ears = evo.earIntensitiesAt(c.world, c.point, c.heading, c.params, c.edges);
+        return 10 * Math.log10(Math.max(ears.right, 1e-12) / Math.max(ears.left, 1e-12));
+      },
+      format: (v) => (Math.abs(v) < 0.05 ? 'balanced' : `${Math.abs(v).toFixed(1)} dB louder ${v > 0 ? 'right' : 'left'}`),
+    },
+    target: {
+      id: 'target', index: 3, label: 'Target only (dB SPL)', unit: 'dB',
+      ramp: ['#0d1b2a', '#1f4e79', '#1f8a8a', '#5cc46a', '#e8f05c'],
+      value: (c) => acoustics.toDb(evo.targetIntensity(c.world, c.point, c.target, c.params, c.edges, c.heading), c.params),
+      format: (v) => `${v.toFixed(1)} dB SPL`,
+    },
+    fitness: {
+      id: 'fitness', index: 4, label: 'Fitness contribution', unit: '/ sample', symmetric: true, note: 'per sample, − cost, + reward',
+      ramp: ['#ef4444', '#7f1d1d', '#161a2b', '#166534', '#22c55e'],
+      value: (c) => evo.pointContribution(c.world, c.point, c.target, c.params, c.edges, c.heading),
+      format: (v) => `${v >= 0 ? '+' : '−'}${Math.abs(v).toPrecision(3)} / sample`,
+    },
+  };
+
+  function getMode(id) {
+    return MODES[id] || MODES.sources;
+  }
+
+  function levels(c) {
+    return evo.sourcesOf(c.world).map(src => evo.sourceIntensityAt(c.world, c.point, src, c.params, c.edges, c.heading));
+  }
+
+  // Listeners on the ground face B
+  function headingAt(world, point) {
+    const dx = world.B.x - point.x, dz = world.B.z - point.z, len = Math.hypot(dx, dz);
+    return len > 1e-3 ? { x: dx / len, z: dz / len } : { x: 0, z: -1 };
+  }
+
+  // Value of a mode at one point (for hover readouts); `params` must be DEFAULT_PARAMS-merged
+  function fieldValue(world, params, target, modeId, point, edges = evo.obstacleEdges(world)) {
+    const p = { x: point.x, y: 0, z: point.z };
+    return getMode(modeId).value({ world, params, target, point: p, edges, heading: headingAt(world, p) });
+  }
+
+  // ---------- Sampling ----------
+  // Cell centres over the world's width × depth (centred on the origin). Time-varying sources are
+  // sampled as they are at t = 0. The source mix also keeps an RGB color per cell.
+  function sampleField(world, params, target, modeId, cell = 0.4) {
+    const mode = getMode(modeId);
+    const still = evo.isTimeVarying(world) ? evo.worldAt(world, 0) : world;
+    const edges = evo.obstacleEdges(still);
+    const nx = Math.max(1, Math.round(world.width / cell));
+    const nz = Math.max(1, Math.round(world.depth / cell));
+    const x0 = -world.width / 2, z0 = -world.depth / 2;
+    const dx = world.width / nx, dz = world.depth / nz;
+    const values = new Float64Array(nx * nz);
+    const colors = mode.ramp ? null : new Uint8ClampedArray(nx * nz * 3);
+    const sourceColors = colors && evo.sourcesOf(still).map(src => rgb(src.color != null ? src.color : 0x8b5cf6).map(c => c * 0.75));
+    for (let j = 0; j < nz; j++) {
+      for (let i = 0; i < nx; i++) {
+        const k = j * nx + i;
+        const point = { x: x0 + (i + 0.5) * dx, y: 0, z: z0 + (j + 0.5) * dz };
+        const ctx = { world: still, params, target, point, edges, heading: headingAt(still, point) };
+        if (!colors) { values[k] = mode.value(ctx); continue; }
+        const mix = evo.balanceOf(levels(ctx));
+        values[k] = mix.balance;
+        for (let ch = 0; ch < 3; ch++) {
+          const blend = mix.shares.reduce((sum, share, s) => sum + share * sourceColors[s][ch], 0);
+          colors[k * 3 + ch] = blend + (BALANCED[ch] - blend) * mix.balance * 0.4;
+        }
+      }
+    }
+    return { mode: mode.id, nx, nz, x0, z0, dx, dz, values, colors };
+  }
+
+  // Color scale of a sampled field: the 2nd–98th percentile, so a value spike right next to a
+  // source doesn't wash out the rest; symmetric modes are centred on 0
+  function fieldScale(grid) {
+    const mode = getMode(grid.mode);
+    const sorted = Array.from(grid.values).filter(Number.isFinite).sort((a, b) => a - b);
+    if (!sorted.length) return { min: 0, max: 1 };
+    const at = (q) => sorted[Math.min(sorted.length - 1, Math.floor(q * (sorted.length - 1)))];
+    let min = at(0.02), max = at(0.98);
+    if (mode.symmetric) { max = Math.max(Math.abs(min), Math.abs(max)); min = -max; }
+    if (max - min < 1e-9) { const pad = Math.max(Math.abs(max) * 0.1, 1e-6); min -= pad; max += pad; }
+    return { min, max };
+  }
+
+  // ---------- Colors ----------
+  function rgb(color) {
+    const n = typeof color === 'string' ? parseInt(color.replace('#', ''), 16) : color;
+    return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+  }
+
+  // Ramp color at t in [0, 1]
+  function rampColor(modeId, t) {
+    const stops = getMode(modeId).ramp.map(rgb);
+    const x = Math.max(0, Math.min(1, t)) * (RAMP_STOPS - 1);
+    const i = Math.min(Math.floor(x), RAMP_STOPS - 2), f = x - i;
+    return stops[i].map((c, ch) => c + (stops[i + 1][ch] - c) * f);
+  }
+
+  // RGBA pixels, one per cell, row 0 at the smallest z (the top of a top-down view). Cells where an
+  // iso-level passes between them and a neighbour are darkened into contour lines.
+  function rasterize(grid, scale = fieldScale(grid)) {
+    const mode = getMode(grid.mode);
+    const { nx, nz, values } = grid;
+    const data = new Uint8ClampedArray(nx * nz * 4);
+    const band = (v) => Math.floor(v / mode.contour);
+    for (let k = 0; k < nx * nz; k++) {
+      const c = grid.colors ? [grid.colors[k * 3], grid.colors[k * 3 + 1], grid.colors[k * 3 + 2]]
+        : rampColor(mode.id, (values[k] - scale.min) / (scale.max - scale.min));
+      let shade = 1;
+      if (mode.contour) {
+        const i = k % nx, b = band(values[k]);
+        if ((i + 1 < nx && band(values[k + 1]) !== b) || (k + nx < values.length && band(values[k + nx]) !== b)) shade = 0.35;
+      }
+      data.set([c[0] * shade, c[1] * shade, c[2] * shade, ALPHA * 255], k * 4);
+    }
+    return { width: nx, height: nz, data };
+  }
+
+  // ---------- Legend ----------
+  // Round tick values across the scale
+  function scaleTicks(scale, count = 5) {
+    const raw = (scale.max - scale.min) / Math.max(1, count - 1);
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * mag).find(s => s >= raw * 0.75) || raw;
+    const ticks = [];
+    for (let v = Math.ceil(scale.min / step) * step; v <= scale.max + step * 1e-6; v += step) ticks.push(Math.abs(v) < step * 1e-6 ? 0 : v);
+    return { step, ticks };
+  }
+
+  function formatTick(v, step) {
+    const digits = Math.max(0, Math.min(4, -Math.floor(Math.log10(step) + 1e-9)));
+    return v.toFixed(digits);
+  }
+
+  // A gradient bar with its numeric scale; the source mix has no scale
+  function legendHtml(modeId, scale) {
+    const mode = getMode(modeId);
+    if (!mode.ramp || !scale) return '';
+    const { step, ticks } = scaleTicks(scale);
+    const pos = (v) => ((v - scale.min) / (scale.max - scale.min) * 100).toFixed(1);
+    return `<div class="fieldlegend__title">${mode.label}${mode.contour ? ` · lines every ${mode.contour} ${mode.unit}` : ''}</div>` +
+      `<div class="fieldlegend__bar" style="background: linear-gradient(90deg, ${mode.ramp.join(', ')})"></div>` +
+      '<div class="fieldlegend__ticks">' +
+      ticks.map(v => `<span style="left: ${pos(v)}%">${formatTick(v, step)}</span>`).join('') +
+      '</div>' + (mode.note ? `<div class="fieldlegend__note">${mode.note}</div>` : '');
+  }
+
+  return {
+    MODES, RAMP_STOPS, getMode, headingAt, fieldValue,
+    sampleField, fieldScale, rgb, rampColor, rasterize, scaleTicks, legendHtml,
+  };
+});
@@ -0,0 +1,411 @@
+/*
+  Binaural Pathfinding — Floor Plans
+  - Reads a building plan in its own units: an SVG drawing (lines, polylines and unfilled shapes
+    are walls, filled polygons/rects/paths/circles are solid), a JSON polygon list, or the pixels of
+    a PNG occupancy map (dark cells are blocked and merged into rectangles).
+  - planWorld calibrates a plan into world metres: `scale` metres per plan unit and the plan point
+    that lands on the origin. The result is the world's width/depth and its obstacles, with walls as
+    evolution.js 'wall' polylines and solids as rects/polygons.
+  - previewSvg draws a calibrated plan for the import dialog (planimport.js).
+
+  Usage (browser):  <script src="./floorplan.js"></script> -> window.BinauralFloorPlan
+  Usage (Node):     const floorPlan = require('./floorplan.js');
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.BinauralFloorPlan = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const FIT_SIZE = 40; // m, the longest side of a plan whose scale isn't known (the default world's width)
+  const WALL_TRANSMISSION = 0.05; // like the 3D page's "+ Wall"
+  const MIN_SIZE = 1; // m, smallest world side a plan makes
+  const MAX_CELLS = 120; // occupancy cells along an image's longer side unless a cell size is given
+  const MAX_LISTED_ERRORS = 8;
+  // metres per SVG length unit; px and unitless lengths say nothing about the building
+  const SVG_UNITS = { mm: 0.001, cm: 0.01, in: 0.0254, pt: 0.0254 / 72, pc: 0.0254 / 6 };
+  // contents of these never show up as drawn geometry
+  const SVG_SKIPPED = new Set(['defs', 'symbol', 'clipPath', 'mask', 'pattern', 'marker', 'title', 'desc', 'metadata', 'text', 'style', 'script']);
+  const NUMBER = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+  const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+  const pt = (x, y) => ({ x, y });
+  const cm = (v) => Math.round(v * 100) / 100;
+
+  // ---------- Plans ----------
+  // { kind: 'svg' | 'json' | 'occupancy', frame, bounds, walls, solids, scale } in plan units, y down:
+  // `walls` are open polylines and `solids` closed outlines, both lists of { x, y }. `frame` is the
+  // drawing's own extent (its viewBox or image), `bounds` the frame plus all geometry, and `scale` the
+  // metres per unit the file states, or null.
+  function planKind(name = '', type = '') {
+    if (/\.svg$/i.test(name) || type === 'image/svg+xml') return 'svg';
+    if (/\.json$/i.test(name) || type === 'application/json') return 'json';
+    if (/\.(png|gif|bmp|webp|jpe?g)$/i.test(name) || /^image\//.test(type)) return 'occupancy';
+    return null;
+  }
+
+  function finishPlan(plan) {
+    const pts = plan.walls.concat(plan.solids).flat();
+    if (!pts.length) throw planError([`no walls or shapes found in the ${plan.kind === 'svg' ? 'SVG' : 'file'}`]);
+    const xs = pts.map(p => p.x), ys = pts.map(p => p.y);
+    const f = plan.frame;
+    const minX = Math.min(...xs, f ? f.x : Infinity), maxX = Math.max(...xs, f ? f.x + f.width : -Infinity);
+    const minY = Math.min(...ys, f ? f.y : Infinity), maxY = Math.max(...ys, f ? f.y + f.height : -Infinity);
+    plan.bounds = { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    if (!f) plan.frame = Object.assign({}, plan.bounds);
+    return plan;
+  }
+
+  function planError(errors) {
+    const listed = errors.slice(0, MAX_LISTED_ERRORS);
+    if (errors.length > listed.length) listed.push(`…and ${errors.length - listed.length} more`);
+    const err = new Error('Invalid floor plan: ' + listed.join('; '));
+    err.errors = errors;
+    return err;
+  }
+
+  // ---------- SVG ----------
+  // A tag-level reader (no DOM, so it runs in Node too): group and element transforms apply, fill is
+  // inherited, and anything hidden or inside <defs> is skipped. Path curves become straight lines
+  // to their end points.
+  function parseSvg(text) {
+    const src = String(text).replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+    if (!/<(?:\w+:)?svg[\s>]/.test(src)) throw planError(['not an SVG file']);
+    const plan = { kind: 'svg', frame: null, bounds: null, walls: [], solids: [], scale: null };
+    const stack = [{ matrix: IDENTITY, fill: true, hidden: false }];
+    const TAG = /<(\/?)([A-Za-z][\w:.-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+    let m, outer = true;
+    while ((m = TAG.exec(src))) {
+      const tag = m[2].replace(/^\w+:/, '');
+      if (m[1]) { if (stack.length > 1) stack.pop(); continue; }
+      const attrs = parseAttrs(m[3]);
+      const parent = stack[stack.length - 1];
+      const fill = attrs.fill != null ? attrs.fill.trim() : null;
+      const state = {
+        matrix: attrs.transform ? multiply(parent.matrix, parseTransform(attrs.transform)) : parent.matrix,
+        fill: fill != null && fill !== 'inherit' ? fill !== 'none' && fill !== 'transparent' : parent.fill,
+        hidden: parent.hidden || SVG_SKIPPED.has(tag) || attrs.display === 'none',
+      };
+      if (tag === 'svg' && outer) { readViewport(plan, attrs); outer = false; }
+      else if (!state.hidden) addShape(plan, tag, attrs, state);
+      if (!/\/\s*$/.test(m[3])) stack.push(state);
+    }
+    return finishPlan(plan);
+  }
+
+  // Attributes, with style="" declarations on top of them
+  function parseAttrs(text) {
+    const attrs = {};
+    const re = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let m;
+    while ((m = re.exec(text))) attrs[m[1]] = m[2] != null ? m[2] : m[3];
+    String(attrs.style || '').split(';').forEach(decl => {
+      const i = decl.indexOf(':');
+      if (i > 0) attrs[decl.slice(0, i).trim()] = decl.slice(i + 1).trim();
+    });
+    return attrs;
+  }
+
+  // viewBox is the frame; width/height in real units give the scale
+  function readViewport(plan, attrs) {
+    const box = (attrs.viewBox || '').match(NUMBER);
+    const size = (key) => /^\s*([-+]?[\d.]+(?:e[-+]?\d+)?)\s*([a-z%]*)\s*$/i.exec(attrs[key] || '');
+    const w = size('width'), h = size('height');
+    if (box && box.length === 4 && Number(box[2]) > 0 && Number(box[3]) > 0) {
+      plan.frame = { x: Number(box[0]), y: Number(box[1]), width: Number(box[2]), height: Number(box[3]) };
+    } else if (w && h && /^(px)?$/i.test(w[2]) && /^(px)?$/i.test(h[2])) {
+      plan.frame = { x: 0, y: 0, width: Number(w[1]), height: Number(h[1]) };
+    }
+    const unit = w && SVG_UNITS[w[2].toLowerCase()];
+    if (unit && plan.frame && Number(w[1]) > 0) plan.scale = Number(w[1]) * unit / plan.frame.width;
+  }
+
+  function addShape(plan, tag, a, state) {
+    const num = (key) => { const v = parseFloat(a[key]); return Number.isFinite(v) ? v : 0; };
+    let pts = null, closed = true;
+    if (tag === 'line') {
+      pts = [pt(num('x1'), num('y1')), pt(num('x2'), num('y2'))];
+      closed = false;
+    } else if (tag === 'polyline' || tag === 'polygon') {
+      pts = pointList(a.points);
+      closed = tag === 'polygon';
+    } else if (tag === 'rect') {
+      const x = num('x'), y = num('y'), w = num('width'), h = num('height');
+      if (w > 0 && h > 0) pts = [pt(x, y), pt(x + w, y), pt(x + w, y + h), pt(x, y + h)];
+    } else if (tag === 'circle' || tag === 'ellipse') {
+      const rx = num(tag === 'circle' ? 'r' : 'rx'), ry = num(tag === 'circle' ? 'r' : 'ry');
+      if (rx > 0 && ry > 0) pts = Array.from({ length: 16 }, (_, i) => pt(num('cx') + rx * Math.cos(i * Math.PI / 8), num('cy') + ry * Math.sin(i * Math.PI / 8)));
+    } else if (tag === 'path') {
+      pathOutlines(a.d).forEach(sub => addOutline(plan, sub.points, sub.closed, state));
+    }
+    if (pts) addOutline(plan, pts, closed, state);
+  }
+
+  function addOutline(plan, pts, closed, state) {
+    const out = pts.map(p => apply(state.matrix, p));
+    if (closed && state.fill && out.length >= 3) plan.solids.push(out);
+    else if (out.length >= 2) plan.walls.push(closed ? out.concat([out[0]]) : out);
+  }
+
+  function pointList(text) {
+    const nums = (String(text || '').match(NUMBER) || []).map(Number);
+    const out = [];
+    for (let i = 0; i + 1 < nums.length; i += 2) out.push(pt(nums[i], nums[i + 1]));
+    return out;
+  }
+
+  // Subpaths of a path's `d` as { points, closed }; curves and arcs go straight to their end points
+  const PATH_ARGS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+  function pathOutlines(d) {
+    const tokens = String(d || '').match(/[MmLlHhVvCcSsQqTtAaZz]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+    const out = [];
+    let sub = null, cmd = null, x = 0, y = 0, sx = 0, sy = 0, i = 0;
+    const flush = () => { if (sub && sub.points.length >= 2) out.push(sub); sub = null; };
+    while (i < tokens.length) {
+      if (/^[a-z]$/i.test(tokens[i])) cmd = tokens[i++];
+      else if (!cmd) break;
+      const kind = cmd.toLowerCase(), rel = cmd !== cmd.toUpperCase();
+      if (kind === 'z') {
+        if (sub) { sub.closed = true; flush(); }
+        x = sx; y = sy; cmd = null;
+        continue;
+      }
+      const n = PATH_ARGS[kind];
+      const args = tokens.slice(i, i + n).map(Number);
+      if (args.length < n || args.some(v => !Number.isFinite(v))) break;
+      i += n;
+      let nx = x, ny = y;
+      if (kind === 'h') nx = rel ? x + args[0] : args[0];
+      else if (kind === 'v') ny = rel ? y + args[0] : args[0];
+      else { nx = args[n - 2] + (rel ? x : 0); ny = args[n - 1] + (rel ? y : 0); }
+      if (kind === 'm') {
+        flush();
+        sub = { points: [pt(nx, ny)], closed: false };
+        sx = nx; sy = ny;
+        cmd = rel ? 'l' : 'L'; // more pairs after a move are lines
+      } else {
+        if (!sub) sub = { points: [pt(x, y)], closed: false };
+        sub.points.push(pt(nx, ny));
+      }
+      x = nx; y = ny;
+    }
+    flush();
+    return out;
+  }
+
+  // ---------- Transforms ----------
+  // [a, b, c, d, e, f] as in SVG: x' = a x + c y + e, y' = b x + d y + f
+  function multiply(m, n) {
+    return [
+      m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+      m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+      m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5],
+    ];
+  }
+
+  function apply(m, p) {
+    return pt(m[0] * p.x + m[2] * p.y + m[4], m[1] * p.x + m[3] * p.y + m[5]);
+  }
+
+  function parseTransform(text) {
+    let out = IDENTITY;
+    const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let m;
+    while ((m = re.exec(text))) {
+      const v = (m[2].match(NUMBER) || []).map(Number);
+      const rad = (v[0] || 0) * Math.PI / 180;
+      let next = IDENTITY;
+      if (m[1] === 'matrix' && v.length === 6) next = v;
+      else if (m[1] === 'translate') next = [1, 0, 0, 1, v[0] || 0, v[1] || 0];
+      else if (m[1] === 'scale') next = [v.length ? v[0] : 1, 0, 0, v.length > 1 ? v[1] : (v.length ? v[0] : 1), 0, 0];
+      else if (m[1] === 'rotate') {
+        const cx = v[1] || 0, cy = v[2] || 0, cos = Math.cos(rad), sin = Math.sin(rad);
+        next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+      } else if (m[1] === 'skewX') next = [1, 0, Math.tan(rad), 1, 0, 0];
+      else if (m[1] === 'skewY') next = [1, Math.tan(rad), 0, 1, 0, 0];
+      out = multiply(out, next);
+    }
+    return out;
+  }
+
+  // ---------- JSON ----------
+  // A list of polygons, or { scale?, polygons?, walls? } where polygons are solid and walls open
+  // polylines. Points are [x, y], { x, y } or { x, z }; `scale` is metres per unit (default 1, metres).
+  function parseJsonPlan(text) {
+    let data;
+    try {
+      data = typeof text === 'string' ? JSON.parse(text) : text;
+    } catch (err) {
+      throw planError([`not valid JSON (${err.message})`]);
+    }
+    const body = Array.isArray(data) ? { polygons: data } : data;
+    if (!body || typeof body !== 'object') throw planError(['expected a list of polygons or { "polygons", "walls" }']);
+    const errors = [];
+    const readPoint = (p, path) => {
+      const x = Array.isArray(p) ? p[0] : p && p.x;
+      const y = Array.isArray(p) ? p[1] : p && (p.y != null ? p.y : p.z);
+      if (typeof x === 'number' && typeof y === 'number' && Number.isFinite(x) && Number.isFinite(y)) return pt(x, y);
+      errors.push(`${path} must be [x, y] or { "x", "y" }`);
+      return null;
+    };
+    const readList = (key, min) => {
+      if (body[key] == null) return [];
+      if (!Array.isArray(body[key])) { errors.push(`"${key}" must be a list`); return []; }
+      return body[key].map((entry, i) => {
+        const pts = Array.isArray(entry) ? entry : entry && entry.points;
+        if (!Array.isArray(pts) || pts.length < min) { errors.push(`${key}[${i}] must list at least ${min} points`); return null; }
+        return pts.map((p, k) => readPoint(p, `${key}[${i}][${k}]`));
+      }).filter(Boolean);
+    };
+    const plan = { kind: 'json', frame: null, bounds: null, solids: readList('polygons', 3), walls: readList('walls', 2), scale: 1 };
+    if (body.scale != null) {
+      if (typeof body.scale === 'number' && body.scale > 0) plan.scale = body.scale;
+      else errors.push('"scale" must be a positive number of metres per unit');
+    }
+    if (errors.length) throw planError(errors);
+    return finishPlan(plan);
+  }
+
+  // ---------- Occupancy Images ----------
+  // `image` is RGBA pixels { width, height, data } (an ImageData). The image is cut into square
+  // cells of `cell` pixels; a cell is blocked when at least a quarter of its pixels are opaque and
+  // darker than `threshold` (0–1 luminance), and rows of blocked cells with the same span merge
+  // into one rectangle.
+  function parseOccupancy(image, { threshold = 0.5, cell = null } = {}) {
+    const { width, height, data } = image;
+    const size = Math.max(1, Math.round(cell || Math.ceil(Math.max(width, height) / MAX_CELLS)));
+    const nx = Math.ceil(width / size), nz = Math.ceil(height / size);
+    const dark = new Uint32Array(nx * nz), total = new Uint32Array(nx * nz);
+    const limit = threshold * 255;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4, k = Math.floor(y / size) * nx + Math.floor(x / size);
+        total[k]++;
+        if (data[i + 3] >= 128 && 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] < limit) dark[k]++;
+      }
+    }
+    const blocked = (k) => dark[k] > 0 && dark[k] * 4 >= total[k];
+    const rects = [];
+    let open = new Map(); // "i0,i1" -> { i0, i1, j0, j1 } still growing down
+    for (let j = 0; j <= nz; j++) {
+      const next = new Map();
+      for (let i = 0; j < nz && i < nx; i++) {
+        if (!blocked(j * nx + i)) continue;
+        const i0 = i;
+        while (i + 1 < nx && blocked(j * nx + i + 1)) i++;
+        const key = i0 + ',' + (i + 1);
+        const rect = open.get(key) || { i0, i1: i + 1, j0: j, j1: j };
+        rect.j1 = j + 1;
+        open.delete(key);
+        next.set(key, rect);
+      }
+      open.forEach(rect => rects.push(rect));
+      open = next;
+    }
+    const solids = rects.map(r => {
+      const x0 = r.i0 * size, x1 = Math.min(r.i1 * size, width), y0 = r.j0 * size, y1 = Math.min(r.j1 * size, height);
+      return [pt(x0, y0), pt(x1, y0), pt(x1, y1), pt(x0, y1)];
+    });
+    if (!solids.length) throw planError([`no pixels darker than ${threshold} in the image`]);
+    return finishPlan({ kind: 'occupancy', frame: { x: 0, y: 0, width, height }, bounds: null, walls: [], solids, scale: null, cell: size });
+  }
+
+  // ---------- Calibration ----------
+  // { scale, originX, originY, transmission }: metres per plan unit, the plan point on the world's
+  // origin and the share of sound every imported wall lets through. By default the file's own scale
+  // (or the plan fitted to FIT_SIZE metres) with the middle of the plan on the origin.
+  function defaultCalibration(plan) {
+    const b = plan.bounds;
+    return {
+      scale: plan.scale || FIT_SIZE / Math.max(b.width, b.height, 1e-9),
+      originX: b.x + b.width / 2,
+      originY: b.y + b.height / 2,
+      transmission: WALL_TRANSMISSION,
+    };
+  }
+
+  // World of a calibrated plan: { width, depth, obstacles, frame } in metres, centred on the origin
+  // like every world. The bounds reach as far from the origin as the plan does on either side;
+  // `frame` is where the drawing itself goes, for a backdrop image. Points are rounded to cm.
+  function planWorld(plan, calibration = {}) {
+    const c = Object.assign(defaultCalibration(plan), calibration);
+    const errors = [];
+    if (!(c.scale > 0)) errors.push('scale must be a positive number of metres per unit');
+    if (!Number.isFinite(c.originX) || !Number.isFinite(c.originY)) errors.push('origin must be two numbers');
+    if (!(c.transmission >= 0 && c.transmission <= 1)) errors.push('transmission must be between 0 and 1');
+    if (errors.length) throw planError(errors);
+    const at = (p) => ({ x: cm((p.x - c.originX) * c.scale), y: 0, z: cm((p.y - c.originY) * c.scale) });
+    const obstacles = [];
+    plan.solids.forEach(outline => {
+      const points = distinct(outline.map(at), true);
+      if (points.length >= 3) obstacles.push(boxOf(points, c.transmission) || { type: 'polygon', points, transmission: c.transmission });
+    });
+    plan.walls.forEach(line => {
+      const points = distinct(line.map(at), false);
+      if (points.length >= 2) obstacles.push({ type: 'wall', points, transmission: c.transmission });
+    });
+    const b = plan.bounds, f = plan.frame;
+    const reach = (lo, size, origin) => Math.max(Math.abs(lo - origin), Math.abs(lo + size - origin)) * c.scale;
+    return {
+      width: Math.max(MIN_SIZE, Math.ceil(2 * reach(b.x, b.width, c.originX) * 100) / 100),
+      depth: Math.max(MIN_SIZE, Math.ceil(2 * reach(b.y, b.height, c.originY) * 100) / 100),
+      obstacles,
+      frame: { x: (f.x - c.originX) * c.scale, z: (f.y - c.originY) * c.scale, width: f.width * c.scale, depth: f.height * c.scale },
+    };
+  }
+
+  // Drops repeated points (after rounding), including a closed outline's repeated start
+  function distinct(points, closed) {
+    const out = points.filter((p, i) => !i || p.x !== points[i - 1].x || p.z !== points[i - 1].z);
+    if (closed && out.length > 1 && out[0].x === out[out.length - 1].x && out[0].z === out[out.length - 1].z) out.pop();
+    return out;
+  }
+
+  // Axis-aligned four-corner outlines become rects
+  function boxOf(points, transmission) {
+    if (points.length !== 4) return null;
+    const xs = Array.from(new Set(points.map(p => p.x))), zs = Array.from(new Set(points.map(p => p.z)));
+    if (xs.length !== 2 || zs.length !== 2) return null;
+    if (points.some((p, i) => { const q = points[(i + 1) % 4]; return p.x !== q.x && p.z !== q.z; })) return null;
+    const w = Math.abs(xs[1] - xs[0]), d = Math.abs(zs[1] - zs[0]);
+    return { type: 'rect', x: cm((xs[0] + xs[1]) / 2), z: cm((zs[0] + zs[1]) / 2), w: cm(w), d: cm(d), transmission };
+  }
+
+  // ---------- Preview ----------
+  // Standalone SVG of a calibrated plan: the world's bounds, its obstacles, the origin and, when
+  // `href` is given, the drawing itself underneath
+  function previewSvg(plan, calibration, { width = 280, height = 200, href = null } = {}) {
+    const world = planWorld(plan, calibration);
+    const w = world.width, d = world.depth;
+    const esc = (s) => String(s).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+    const pts = (list) => list.map(p => `${p.x},${p.z}`).join(' ');
+    const stroke = 'vector-effect="non-scaling-stroke"';
+    const out = [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${-w / 2} ${-d / 2} ${w} ${d}" preserveAspectRatio="xMidYMid meet">`,
+      `<rect x="${-w / 2}" y="${-d / 2}" width="${w}" height="${d}" fill="#0f1220" stroke="#23273a" ${stroke}/>`,
+    ];
+    if (href) {
+      const f = world.frame;
+      out.push(`<image href="${esc(href)}" x="${f.x}" y="${f.z}" width="${f.width}" height="${f.depth}" preserveAspectRatio="none" opacity="0.35"/>`);
+    }
+    world.obstacles.forEach(ob => {
+      if (ob.type === 'wall') {
+        out.push(`<polyline points="${pts(ob.points)}" fill="none" stroke="#cbd5e1" stroke-width="1.5" stroke-linecap="round" ${stroke}/>`);
+        return;
+      }
+      const corners = ob.type === 'rect'
+        ? [{ x: ob.x - ob.w / 2, z: ob.z - ob.d / 2 }, { x: ob.x + ob.w / 2, z: ob.z - ob.d / 2 }, { x: ob.x + ob.w / 2, z: ob.z + ob.d / 2 }, { x: ob.x - ob.w / 2, z: ob.z + ob.d / 2 }]
+        : ob.points;
+      out.push(`<polygon points="${pts(corners)}" fill="#64748b" fill-opacity="0.7" stroke="#94a3b8" ${stroke}/>`);
+    });
+    const r = Math.max(w, d) * 0.03;
+    out.push(`<path d="M ${-r} 0 H ${r} M 0 ${-r} V ${r}" stroke="#22c55e" stroke-width="1.5" ${stroke}/>`, '</svg>');
+    return out.join('\n');
+  }
+
+  return {
+    FIT_SIZE, WALL_TRANSMISSION, planKind,
+    parseSvg, parseJsonPlan, parseOccupancy, pathOutlines, parseTransform,
+    defaultCalibration, planWorld, previewSvg,
+  };
+});
@@ -1,60 +1,88 @@
 /*
   Binaural Pathfinding — Concept Visualization
-  - Three.js scene with two speakers, a subject, and an evolving path.
+  - Three.js scene with N sound sources, a subject, and an evolving path.
   - Evolutionary strategy (toy) to demonstrate generational improvement visually.
 
   Note: This is a concept animation, not a physically accurate acoustics sim.
 */
 
 // ---------- Utilities ----------
-const lerp = (a, b, t) => a + (b - a) * t;
-const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-
-function seedRandom(seed) {
-  let s = seed >>> 0;
-  return function rand() {
-    // xorshift32
-    s ^= s << 13; s ^= s >>> 17; s ^= s << 5;
-    return (s >>> 0) / 4294967296;
-  };
-}
-
-// Distance attenuation for speaker loudness; not physically accurate, just illustrative
-function intensityAtPoint(point, speakerPos, power = 1.0) {
-  const d = point.distanceTo(speakerPos) + 0.2; // avoid div by 0
-  const I = power / (d * d); // inverse-square approximation
-  return I;
-}
+// Path generation, fitness and the optimizer live in evolution.js (DOM-free)
+const { seedRandom, balanceAt, pathPoints, headingAlong, binauralCuesAt, sourceIntensityAt, findSource, obstaclePolygon, obstacleEdges, pointInObstacle, TARGET_ANY,
+  isTimeVarying, sourceAt, worldAt, walkTimes, MAX_TIMELINE_KEYS, MAX_TIMELINE_ON } = BinauralEvolution;
 
 // ---------- Scene Setup ----------
 let renderer, scene, camera, controls, container;
-let subjectMesh, speakerL, speakerR, goalMesh, fieldMesh, labelA, labelB;
-let ringsL = [], ringsR = [];
-let population = [];
+let subjectMesh, startMesh, goalMesh, fieldMesh, labelA, labelB;
+let sourceViews = []; // { source, sprite, rings, label } per WORLD.sources entry
+let obstacleGroup;
+let runner = null;
+let audio = null; // BinauralAudio player (audio.js)
+let lastStats = null;
+let lastStrategy = null; // { id, scale, islands? } from the latest generation message
+let runHistory = []; // { gen, best, mean, worst, diversity, stagnation } per generation of the current run
+let previousHistory = null; // the run before, drawn dashed for comparison
+let lastHistogram = null;
+let stagnation = 0;
 let bestPathLine, bestPathHead;
+let frontGroup; // Pareto-front paths (objectiveMode 'pareto')
+let lastFront = [];
+let selectedFront = -1;
+let populationView = null; // every genome's path + ctrl markers + ghost trail (createPopulationView)
+let plannerLine; // classical planner baseline (planner.js), scored like the GA best
+let plannerResult = null;
+let plannerInputs = null; // what plannerResult was planned for (see plannerKey)
+let agentGroup; // markers, paths and heads of the extra agents (WORLD.agents)
+let agentViews = []; // { agent, start, goal, labelA, labelB, line, head, path, delay, length } per agent
+let lastTeam = null; // best genome per agent (main first) from a co-evolution run
+let lastSeparation = null; // { cost, closest, penalty } of lastTeam
+let topDown = null; // top-down SVG of the same run (topdown.js), shown instead of the 3D scene in 2D view
+let viewMode = '3d';
+let fieldMode = 'sources'; // heatmap of the ground (field.js MODES)
+let fieldRange = null; // { min, max } of its color scale; null for the source mix
+let fieldTarget = null; // TARGET the field was last drawn for
+let planImport = null; // floor plan import dialog (planimport.js)
+let planBackdrop = null; // { href, x, z, width, depth }: the imported plan's drawing, under the 2D view
 let gen = 0;
 let rand = seedRandom(12345);
-let TARGET = 'either'; // 'either' | 'left' | 'right'
+let TARGET = TARGET_ANY; // 'either' (loudest source) or a source id
+let currentSeed = null;
+
+const MAX_SOURCES = 8; // fixed-size uniform arrays in the field shader
+const MAX_WALLS = 64;
+const OBSTACLE_HEIGHT = 2.2;
+const WALL_THICKNESS = 0.15; // drawn thickness of 'wall' obstacles, which have none for sound or paths
+const STAGNATION_GENS = 12; // generations without improvement before the HUD flags stagnation
+const SOURCE_PALETTE = [0x3b82f6, 0xef4444, 0xf59e0b, 0x10b981, 0xec4899, 0x06b6d4, 0xa3e635, 0xf97316];
 
 const WORLD = {
   width: 40,
   depth: 28,
   A: new THREE.Vector3(-16, 0, 10), // start
   B: new THREE.Vector3(16, 0, -8),   // goal
-  speakerL: new THREE.Vector3(-10, 0, -6),
-  speakerR: new THREE.Vector3(12, 0, 6),
+  sources: [
+    makeSource('left', 'L', 0x3b82f6, -10, -6), // blue
+    makeSource('right', 'R', 0xef4444, 12, 6),  // red
+  ],
+  obstacles: [], // see evolution.js for the rect/polygon shapes
+  agents: [], // more walkers { id, label, color, A, B, target }; see Agents below
 };
 
-const PARAMS = {
-  popSize: 28,
-  ctrlCount: 4, // number of control points between A and B per genome
-  mutationProb: 0.25,
-  mutationScale: 4.0,
-  crossProb: 0.8,
-  stepsPerPath: 140,
-  generations: 45,
-  autoplay: false,
-};
+// `base` is the position speaker jitter varies around
+function makeSource(id, label, color, x, z, power = 1.0) {
+  const position = new THREE.Vector3(x, 0, z);
+  return { id, label, color, power, position, base: position.clone() };
+}
+
+const PARAMS = Object.assign({}, BinauralEvolution.DEFAULT_PARAMS, {
+  autoplay: false, // run and walk once on load
+  jitter: 2.5, // how far speakers move from their base positions on re-run
+  timeScale: 1, // playback speed of source timelines and timed walks
+});
+const PARAM_DEFAULTS = Object.assign({}, PARAMS); // params equal to these are left out of share links
+const WORLD_DEFAULT_SIZE = { width: WORLD.width, depth: WORLD.depth };
+const LABEL_OFFSET = new THREE.Vector3(0, 1.4, 0);
+const SOURCE_LABEL_OFFSET = new THREE.Vector3(0, 2.6, 0); // clears the 3-unit speaker sprite
 
 function init() {
   container = document.getElementById('three-container');
@@ -88,32 +116,26 @@ function init() {
   fieldMesh = createFieldMesh(WORLD, 180, 140);
   scene.add(fieldMesh);
 
-  // Speakers (icon sprites)
-  speakerL = createSpeaker(0x3b82f6); // blue
-  speakerL.position.copy(WORLD.speakerL);
-  scene.add(speakerL);
-  ringsL = createSpeakerRings(speakerL.position, 0x3b82f6);
-  ringsL.forEach(r => scene.add(r));
+  // Speakers (icon sprites with rings and labels)
+  rebuildSourceViews();
 
-  speakerR = createSpeaker(0xef4444); // red
-  speakerR.position.copy(WORLD.speakerR);
-  scene.add(speakerR);
-  ringsR = createSpeakerRings(speakerR.position, 0xef4444);
-  ringsR.forEach(r => scene.add(r));
+  // Obstacles (walls/boxes that block paths and shadow sound)
+  obstacleGroup = new THREE.Group();
+  scene.add(obstacleGroup);
 
   // Start (A) and Goal (B)
-  const Amesh = createMarker(0xffffff);
-  Amesh.position.copy(WORLD.A);
-  scene.add(Amesh);
+  startMesh = createMarker(0xffffff);
+  startMesh.position.copy(WORLD.A);
+  scene.add(startMesh);
   labelA = createTextSprite('A', '#e6e9ef');
-  labelA.position.copy(WORLD.A).add(new THREE.Vector3(0, 1.4, 0));
+  labelA.position.copy(WORLD.A).add(LABEL_OFFSET);
   scene.add(labelA);
 
   goalMesh = createMarker(0x22c55e);
   goalMesh.position.copy(WORLD.B);
   scene.add(goalMesh);
   labelB = createTextSprite('B', '#22c55e');
-  labelB.position.copy(WORLD.B).add(new THREE.Vector3(0, 1.4, 0));
+  labelB.position.copy(WORLD.B).add(LABEL_OFFSET);
   scene.add(labelB);
 
   // Subject (head)
@@ -131,47 +153,143 @@ function init() {
   bestPathHead.material.color.set(0x8b5cf6);
   bestPathHead.visible = false;
   scene.add(bestPathHead);
-
-  // Populate initial genomes
-  population = makeInitialPopulation();
-  // cache base speaker positions for jitter reference
-  if (!WORLD.baseSpeakerL) { WORLD.baseSpeakerL = WORLD.speakerL.clone(); }
-  if (!WORLD.baseSpeakerR) { WORLD.baseSpeakerR = WORLD.speakerR.clone(); }
+  frontGroup = new THREE.Group();
+  scene.add(frontGroup);
+  plannerLine = new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: PLANNER_COLOR, transparent: true, opacity: 0.85 }));
+  plannerLine.visible = false;
+  scene.add(plannerLine);
+  populationView = createPopulationView();
+  scene.add(populationView.group);
+  topDown = BinauralTopDown.createTopDownView(document.getElementById('topDownView'), {
+    onDrag: onTopDownDrag, onDrop: onTopDownDrop, onClick: onTopDownClick, onHover: showFieldReadout,
+    onGroundClick: (p) => { if (placingObstacle) placeObstacle(p); }, editObstacles: true,
+  });
+  agentGroup = new THREE.Group();
+  scene.add(agentGroup);
+  editGroup = new THREE.Group();
+  scene.add(editGroup);
+
+  // Evolution runs in a worker (or in-page when workers are unavailable)
+  runner = createEvolutionRunner(onEvolutionMessage);
+  audio = BinauralAudio.createBinauralAudio();
   updateHUD();
+  renderSourcePanel();
+  renderAgentPanel();
+  renderEditPanel();
 
   window.addEventListener('resize', onResize);
   document.getElementById('year').textContent = new Date().getFullYear();
+  // any of these clicks counts as the user gesture browsers need before audio can play
+  ['playBtn', 'rerunBtn', 'soundToggle'].forEach(id => document.getElementById(id).addEventListener('click', () => audio.unlock()));
   document.getElementById('playBtn').addEventListener('click', () => runEvolution(true, TARGET));
   document.getElementById('rerunBtn').addEventListener('click', () => runEvolution(false, TARGET));
   document.getElementById('restartLink').addEventListener('click', (e) => { e.preventDefault(); runEvolution(false, TARGET);});
-
-  // Click picking to choose target speaker
-  const raycaster = new THREE.Raycaster();
-  const ndc = new THREE.Vector2();
-  renderer.domElement.addEventListener('click', (ev) => {
-    const rect = renderer.domElement.getBoundingClientRect();
-    ndc.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
-    ndc.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
-    raycaster.setFromCamera(ndc, camera);
-    const hits = raycaster.intersectObjects([speakerL, speakerR], true);
-    if (hits.length) {
-      const obj = hits[0].object;
-      if (obj === speakerL || obj.parent === speakerL) {
-        TARGET = 'left';
-        updateHUD();
-        runEvolution(true, 'left');
-      } else if (obj === speakerR || obj.parent === speakerR) {
-        TARGET = 'right';
-        updateHUD();
-        runEvolution(true, 'right');
-      }
-    }
+  document.getElementById('pauseBtn').addEventListener('click', togglePause);
+  document.getElementById('cancelBtn').addEventListener('click', cancelEvolution);
+  document.getElementById('fastToggle').addEventListener('change', (e) => {
+    runner.post({ type: 'mode', mode: e.target.checked ? 'fast' : 'paced', delay: GEN_DELAY_MS });
+  });
+  document.getElementById('populationToggle').addEventListener('change', (e) => {
+    populationView.setVisible(e.target.checked);
+    runner.post({ type: 'population', enabled: populationWanted() });
+  });
+  document.getElementById('viewToggle').addEventListener('click', () => setViewMode(viewMode === '3d' ? '2d' : '3d'));
+  document.getElementById('walkPauseBtn').addEventListener('click', () => { audio.unlock(); toggleWalk(); });
+  document.getElementById('walkBackBtn').addEventListener('click', () => stepWalk(-1));
+  document.getElementById('walkStepBtn').addEventListener('click', () => stepWalk(1));
+  document.getElementById('walkScrubber').addEventListener('input', (e) => seekWalk(Number(e.target.value) / 1000 * walkDuration()));
+  document.getElementById('walkSpeedInput').addEventListener('change', (e) => setWalkSpeed(e.target));
+  document.getElementById('cameraMode').addEventListener('change', (e) => setCameraMode(e.target.value));
+  syncWalkSpeed();
+  const fieldSelect = document.getElementById('fieldMode');
+  Object.values(BinauralField.MODES).forEach(m => fieldSelect.add(new Option(m.label, m.id)));
+  fieldSelect.value = fieldMode;
+  fieldSelect.addEventListener('change', (e) => setFieldMode(e.target.value));
+  document.getElementById('seedInput').addEventListener('change', (e) => {
+    const seed = Number(e.target.value);
+    if (e.target.value !== '' && Number.isFinite(seed)) runEvolution(true, TARGET, seed);
+  });
+  document.getElementById('copyLinkBtn').addEventListener('click', copyShareLink);
+  const plannerSelect = document.getElementById('plannerMethod');
+  Object.values(BinauralPlanner.PLANNERS).forEach(p => plannerSelect.add(new Option(p.label, p.id)));
+  plannerSelect.addEventListener('change', () => { if (plannerResult) runPlanner(); });
+  document.getElementById('planBtn').addEventListener('click', runPlanner);
+  document.querySelectorAll('[data-export]').forEach(btn => {
+    btn.addEventListener('click', () => exportPath(btn.dataset.export));
+  });
+  document.getElementById('pngBtn').addEventListener('click', exportPng);
+  document.getElementById('recordBtn').addEventListener('click', recordWalk);
+  document.getElementById('saveSceneBtn').addEventListener('click', saveScene);
+  document.getElementById('loadSceneBtn').addEventListener('click', () => document.getElementById('sceneInput').click());
+  document.getElementById('sceneInput').addEventListener('change', (e) => {
+    loadSceneFile(e.target.files && e.target.files[0]);
+    e.target.value = '';
+  });
+  document.getElementById('sceneLibrary').addEventListener('change', (e) => {
+    if (e.target.value) loadLibraryScene(e.target.value);
+    e.target.value = '';
+  });
+  loadSceneLibrary();
+  enableSceneDrop((file) => {
+    const kind = BinauralFloorPlan.planKind(file.name, file.type);
+    if (kind && kind !== 'json') openFloorPlan(file); // JSON files are scenes; plans in JSON come through the button
+    else loadSceneFile(file);
   });
+  planImport = BinauralPlanImport.createPlanImport(document.getElementById('planImport'), { onApply: applyFloorPlan });
+  document.getElementById('planImportBtn').addEventListener('click', () => document.getElementById('planInput').click());
+  document.getElementById('planInput').addEventListener('change', (e) => {
+    openFloorPlan(e.target.files && e.target.files[0]);
+    e.target.value = '';
+  });
+  document.getElementById('addSourceBtn').addEventListener('click', addSource);
+  document.getElementById('addAgentBtn').addEventListener('click', addAgent);
+  document.getElementById('editPathBtn').addEventListener('click', startEditing);
+  document.getElementById('injectEditBtn').addEventListener('click', injectEdit);
+  document.getElementById('revertEditBtn').addEventListener('click', endEditing);
+  document.getElementById('soundToggle').addEventListener('change', (e) => audio.setMuted(!e.target.checked));
+  document.getElementById('volumeInput').addEventListener('input', (e) => audio.setVolume(Number(e.target.value)));
+  document.getElementById('exportWavBtn').addEventListener('click', exportWalkWav);
+  document.getElementById('sampleInput').addEventListener('change', onSampleChosen);
+  if (!audio.available) document.querySelector('.audio-controls').classList.add('is-unavailable');
+  renderModelControls();
+  renderObjectivePanel();
+  document.getElementById('objectiveMode').addEventListener('change', (e) => {
+    PARAMS.objectiveMode = e.target.value;
+    showSettingError(fitStrategyToObjectives());
+    showFront([]);
+    syncSettingsPanel();
+  });
+  renderSettingsPanel();
+  const chart = document.getElementById('convergenceChart');
+  chart.addEventListener('mousemove', onChartHover);
+  chart.addEventListener('mouseleave', () => renderCharts());
+  document.getElementById('presetSelect').addEventListener('change', (e) => { if (e.target.value) applyPreset(e.target.value); });
+  document.getElementById('resetParamsBtn').addEventListener('click', resetSettings);
+  document.getElementById('modelSelect').addEventListener('change', (e) => setPropagation({ propagationModel: e.target.value }));
+  document.getElementById('airBandSelect').addEventListener('change', (e) => setPropagation({ airBand: e.target.value }));
+  document.getElementById('referenceInput').addEventListener('change', (e) => {
+    const level = Number(e.target.value);
+    if (e.target.value !== '' && Number.isFinite(level)) setPropagation({ referenceLevel: level });
+    else e.target.value = String(PARAMS.referenceLevel);
+  });
+  document.querySelectorAll('[data-add-obstacle]').forEach(btn => {
+    btn.addEventListener('click', () => armObstacle(btn.dataset.addObstacle));
+  });
+  window.addEventListener('keydown', (e) => { if (e.key === 'Escape' && placingObstacle) armObstacle(null); });
+  setObstacleStatus(OBSTACLE_HINT);
+  window.addEventListener('hashchange', () => applyUrlState(location.hash));
+
+  // Click a speaker to target it; drag A, B, a speaker or an obstacle to move it
+  enableScenePointer();
 
   animate();
 
   // Ensure A/B and speakers are framed on first load
   frameImportant();
+
+  // Restore a shared run (seed, target, positions, params) from the URL hash
+  applyUrlState(location.hash);
+  if (PARAMS.autoplay && !running) runEvolution(true, TARGET);
 }
 
 function onResize() {
@@ -187,15 +305,33 @@ function createFieldMesh(world, nx = 120, nz = 80) {
   const geo = new THREE.PlaneGeometry(world.width, world.depth, nx, nz);
   geo.rotateX(-Math.PI / 2);
 
-  const uniforms = {
-    uSpeakerL: { value: world.speakerL },
-    uSpeakerR: { value: world.speakerR },
-    uTime: { value: 0 },
-  };
+  const uniforms = Object.assign(BinauralAcoustics.glslUniforms(), {
+    uSources: { value: Array.from({ length: MAX_SOURCES }, () => new THREE.Vector4()) }, // x, z, power, -
+    uColors: { value: Array.from({ length: MAX_SOURCES }, () => new THREE.Color()) },
+    uCount: { value: 0 },
+    uWalls: { value: Array.from({ length: MAX_WALLS }, () => new THREE.Vector4()) }, // x1, z1, x2, z2
+    uWallFactor: { value: new Float32Array(MAX_WALLS) },
+    uWallCount: { value: 0 },
+    uTime: { value: 0 }, // seconds on the source timeline
+    uKeys: { value: Array.from({ length: MAX_SOURCES * MAX_TIMELINE_KEYS }, () => new THREE.Vector3()) }, // t, dx, dz
+    uOn: { value: Array.from({ length: MAX_SOURCES * MAX_TIMELINE_ON }, () => new THREE.Vector2()) }, // start, end
+    uTimeline: { value: Array.from({ length: MAX_SOURCES }, () => new THREE.Vector4()) }, // cycle, keys, on intervals, -
+    uGoal: { value: new THREE.Vector2() }, // listeners on the ground face the goal (head-shadow model)
+    // heatmap mode (field.js): MODES[*].index, scale, ramp and contour spacing in the mode's unit
+    uMode: { value: 0 },
+    uRange: { value: new THREE.Vector2(0, 1) },
+    uRamp: { value: Array.from({ length: BinauralField.RAMP_STOPS }, () => new THREE.Color()) },
+    uContour: { value: 0 },
+    uTarget: { value: -1 }, // source index, -1 for the loudest
+    uReference: { value: 94 },
+    uWeights: { value: new THREE.Vector4() }, // per sample: loudness, balance, quiet time, loud time
+    uThresholds: { value: new THREE.Vector2() }, // quiet, loud (dB SPL)
+  });
 
   const mat = new THREE.ShaderMaterial({
     transparent: true,
     depthWrite: false,
+    extensions: { derivatives: true }, // fwidth() for contour lines
     uniforms,
     vertexShader: `
       varying vec3 vPos;
@@ -206,25 +342,154 @@ function createFieldMesh(world, nx = 120, nz = 80) {
     `,
     fragmentShader: `
       precision highp float;
+      #define MAX_SOURCES ${MAX_SOURCES}
+      #define MAX_WALLS ${MAX_WALLS}
+      #define MAX_KEYS ${MAX_TIMELINE_KEYS}
+      #define MAX_ON ${MAX_TIMELINE_ON}
+      #define RAMP_STOPS ${BinauralField.RAMP_STOPS}
       varying vec3 vPos;
-      uniform vec3 uSpeakerL; // blue
-      uniform vec3 uSpeakerR; // red
+      uniform vec4 uSources[MAX_SOURCES]; // xz position, power
+      uniform vec3 uColors[MAX_SOURCES];
+      uniform int uCount;
+      uniform vec4 uWalls[MAX_WALLS];
+      uniform float uWallFactor[MAX_WALLS];
+      uniform int uWallCount;
       uniform float uTime;
+      uniform vec3 uKeys[MAX_SOURCES * MAX_KEYS];
+      uniform vec2 uOn[MAX_SOURCES * MAX_ON];
+      uniform vec4 uTimeline[MAX_SOURCES];
+      uniform vec2 uGoal;
+      uniform int uMode;
+      uniform vec2 uRange;
+      uniform vec3 uRamp[RAMP_STOPS];
+      uniform float uContour;
+      uniform int uTarget;
+      uniform float uReference;
+      uniform vec4 uWeights;
+      uniform vec2 uThresholds;
+      ${BinauralAcoustics.GLSL}
+
+      // source i at uTime, as sourceAt() in evolution.js: keyed offset from its position, gated power
+      vec4 sourceAt(int i){
+        vec4 s = uSources[i];
+        vec4 tl = uTimeline[i];
+        int keys = int(tl.y + 0.5), ons = int(tl.z + 0.5);
+        if (keys == 0 && ons == 0) return s;
+        float t = tl.x > 0.0 ? mod(uTime, tl.x) : uTime;
+        if (keys > 0) {
+          vec3 prev = uKeys[i * MAX_KEYS];
+          vec2 offset = prev.yz;
+          for (int k = 1; k < MAX_KEYS; k++) {
+            if (k >= keys) break;
+            vec3 next = uKeys[i * MAX_KEYS + k];
+            if (t >= prev.x && t < next.x) offset = mix(prev.yz, next.yz, (t - prev.x) / max(next.x - prev.x, 1e-4));
+            else if (t >= next.x) offset = next.yz;
+            prev = next;
+          }
+          s.xy += offset;
+        }
+        if (ons > 0) {
+          bool on = false;
+          for (int k = 0; k < MAX_ON; k++) {
+            if (k >= ons) break;
+            vec2 w = uOn[i * MAX_ON + k];
+            if (t >= w.x && t < w.y) on = true;
+          }
+          if (!on) s.z = 0.0;
+        }
+        return s;
+      }
+
+      // same proper-intersection test as crossesEdge() in evolution.js
+      bool crosses(vec2 p, vec2 q, vec4 e){
+        float d1 = (e.z - e.x) * (p.y - e.y) - (e.w - e.y) * (p.x - e.x);
+        float d2 = (e.z - e.x) * (q.y - e.y) - (e.w - e.y) * (q.x - e.x);
+        float d3 = (q.x - p.x) * (e.y - p.y) - (q.y - p.y) * (e.x - p.x);
+        float d4 = (q.x - p.x) * (e.w - p.y) - (q.y - p.y) * (e.z - p.x);
+        return ((d1 > 0.0) != (d2 > 0.0)) && ((d3 > 0.0) != (d4 > 0.0));
+      }
+
+      vec2 headingAt(vec3 p){
+        vec2 toGoal = uGoal - p.xz;
+        return length(toGoal) > 1e-3 ? normalize(toGoal) : vec2(0.0, -1.0);
+      }
+
+      float intensity(vec3 p, vec4 s){
+        vec2 toSource = s.xy - p.xz;
+        float d = length(toSource);
+        vec2 heading = headingAt(p);
+        float I = propagate(d, s.z, d > 1e-3 ? toSource / d : heading, heading);
+        // acoustic shadow: each wall between source and point lets part of the sound through
+        for (int j = 0; j < MAX_WALLS; j++) {
+          if (j >= uWallCount) break;
+          if (crosses(s.xy, p.xz, uWalls[j])) I *= uWallFactor[j];
+        }
+        return I;
+      }
 
-      float intensity(vec3 p, vec3 s){
-        float d = distance(p, s) + 0.2;
-        return 1.0 / (d*d);
+      float toDb(float I){
+        return uReference + 10.0 * log(max(I, 1e-12)) / log(10.0);
+      }
+
+      vec3 ramp(float t){
+        float x = clamp(t, 0.0, 1.0) * float(RAMP_STOPS - 1);
+        for (int k = 0; k < RAMP_STOPS - 1; k++) {
+          if (x <= float(k + 1)) return mix(uRamp[k], uRamp[k + 1], x - float(k));
+        }
+        return uRamp[RAMP_STOPS - 1];
       }
 
       void main(){
-        float Il = intensity(vPos, uSpeakerL);
-        float Ir = intensity(vPos, uSpeakerR);
-        float sum = max(Il + Ir, 1e-4);
-        float blueness = clamp(Il / sum, 0.0, 1.0);
-        float redness  = clamp(Ir / sum, 0.0, 1.0);
-        float balance = 1.0 - abs(blueness - redness);
-        vec3 color = mix(vec3(0.06,0.18,0.53), vec3(0.86,0.27,0.27), redness);
-        color = mix(color, vec3(0.56,0.37,0.96), balance*0.4);
+        float I[MAX_SOURCES];
+        vec4 now[MAX_SOURCES];
+        float sum = 0.0, loudest = 0.0, target = 0.0, left = 0.0, right = 0.0;
+        vec2 heading = headingAt(vPos);
+        for (int i = 0; i < MAX_SOURCES; i++) {
+          if (i >= uCount) break;
+          now[i] = sourceAt(i);
+          I[i] = intensity(vPos, now[i]);
+          sum += I[i];
+          loudest = max(loudest, I[i]);
+          if (i == uTarget) target = I[i];
+          // split between the ears by the source's ILD, as earIntensitiesAt() does
+          vec2 toSource = now[i].xy - vPos.xz;
+          float d = length(toSource);
+          float sn = d > 1e-3 ? (toSource.x * -heading.y + toSource.y * heading.x) / d : 0.0;
+          float l = pow(10.0, -uHeadShadowDb * sn / 10.0), r = pow(10.0, uHeadShadowDb * sn / 10.0);
+          left += I[i] * 2.0 * l / (l + r);
+          right += I[i] * 2.0 * r / (l + r);
+        }
+        if (uTarget < 0) target = loudest;
+        float total = max(sum, 1e-4);
+        // blend source colors by share; purple where the two loudest are balanced
+        vec3 color = vec3(0.0);
+        float first = 0.0, second = 0.0;
+        for (int i = 0; i < MAX_SOURCES; i++) {
+          if (i >= uCount) break;
+          float share = clamp(I[i] / total, 0.0, 1.0);
+          color += share * uColors[i];
+          if (share > first) { second = first; first = share; } else if (share > second) { second = share; }
+        }
+        float balance = 1.0 - (first - second);
+        if (uMode == 0) {
+          color = mix(color, vec3(0.56,0.37,0.96), balance*0.4);
+        } else {
+          // the same values as MODES in field.js
+          float v = toDb(sum);
+          if (uMode == 2) v = 10.0 * log(max(right, 1e-12) / max(left, 1e-12)) / log(10.0);
+          else if (uMode == 3) v = toDb(target);
+          else if (uMode == 4) {
+            v = uWeights.x * target + uWeights.y * balance;
+            if (toDb(target) < uThresholds.x) v -= uWeights.z;
+            if (toDb(sum) > uThresholds.y) v -= uWeights.w;
+          }
+          color = ramp((v - uRange.x) / (uRange.y - uRange.x));
+          if (uContour > 0.0) {
+            float f = v / uContour;
+            float line = 1.0 - smoothstep(0.0, 1.5 * fwidth(f), abs(fract(f + 0.5) - 0.5));
+            color *= 1.0 - 0.65 * line;
+          }
+        }
         float grid = 0.1*(abs(fract(vPos.x*0.125-0.5)-0.5)+abs(fract(vPos.z*0.125-0.5)-0.5));
         float alpha = 0.75;
         gl_FragColor = vec4(color - grid, alpha);
@@ -239,6 +504,95 @@ function createFieldMesh(world, nx = 120, nz = 80) {
   return mesh;
 }
 
+// Copy WORLD.sources into the shader's fixed-size arrays (colors dimmed to keep the ground dark)
+function updateFieldUniforms() {
+  const u = fieldMesh.userData.uniforms;
+  const sources = WORLD.sources.slice(0, MAX_SOURCES);
+  sources.forEach((src, i) => {
+    u.uSources.value[i].set(src.position.x, src.position.z, src.power, 0);
+    u.uColors.value[i].setHex(src.color, THREE.LinearSRGBColorSpace).multiplyScalar(0.75);
+    const tl = src.timeline || {};
+    const keys = (tl.keys || []).slice(0, MAX_TIMELINE_KEYS), on = (tl.on || []).slice(0, MAX_TIMELINE_ON);
+    keys.forEach((k, j) => u.uKeys.value[i * MAX_TIMELINE_KEYS + j].set(k.t, k.dx, k.dz));
+    on.forEach(([start, end], j) => u.uOn.value[i * MAX_TIMELINE_ON + j].set(start, end));
+    u.uTimeline.value[i].set(tl.cycle || 0, keys.length, on.length, 0);
+  });
+  u.uCount.value = sources.length;
+  const walls = shaderWalls(obstacleEdges(WORLD)).slice(0, MAX_WALLS);
+  walls.forEach((e, i) => {
+    u.uWalls.value[i].set(e.ax, e.az, e.bx, e.bz);
+    u.uWallFactor.value[i] = e.factor;
+  });
+  u.uWallCount.value = walls.length;
+  u.uGoal.value.set(WORLD.B.x, WORLD.B.z);
+  BinauralAcoustics.updateGlslUniforms(u, PARAMS.propagationModel, PARAMS);
+  updateFieldMode();
+}
+
+// Coinciding edges (both sides of a wall, or two obstacles sharing a side) become one edge with
+// both factors, so walls take one of the shader's MAX_WALLS slots instead of two
+function shaderWalls(edges) {
+  const merged = new Map();
+  edges.forEach(e => {
+    const forward = e.ax < e.bx || (e.ax === e.bx && e.az <= e.bz);
+    const key = (forward ? [e.ax, e.az, e.bx, e.bz] : [e.bx, e.bz, e.ax, e.az]).join();
+    const prev = merged.get(key);
+    if (prev) prev.factor *= e.factor;
+    else merged.set(key, Object.assign({}, e));
+  });
+  return Array.from(merged.values());
+}
+
+// ---------- Field Overlays ----------
+const FIELD_SCALE_CELL = 1; // m; grid sampled for the color scale of the 3D ground
+const FIELD_IMAGE_CELL = 0.4; // m per pixel of the 2D view's background
+
+function setFieldMode(mode) {
+  fieldMode = mode;
+  updateFieldUniforms();
+}
+
+function fieldWorld() {
+  return Object.assign(worldSnapshot(), { width: WORLD.width, depth: WORLD.depth });
+}
+
+// Mode uniforms, color scale and legend. The scale comes from sampling the same values on the CPU,
+// so the legend's numbers are what the colors mean.
+function updateFieldMode() {
+  const u = fieldMesh.userData.uniforms;
+  const mode = BinauralField.getMode(fieldMode);
+  fieldTarget = TARGET;
+  fieldRange = mode.ramp ? BinauralField.fieldScale(BinauralField.sampleField(fieldWorld(), PARAMS, TARGET, mode.id, FIELD_SCALE_CELL)) : null;
+  u.uMode.value = mode.index;
+  if (fieldRange) u.uRange.value.set(fieldRange.min, fieldRange.max);
+  (mode.ramp || []).forEach((hex, i) => u.uRamp.value[i].setHex(parseInt(hex.slice(1), 16), THREE.LinearSRGBColorSpace));
+  u.uContour.value = mode.contour || 0;
+  u.uTarget.value = WORLD.sources.slice(0, MAX_SOURCES).findIndex(src => src.id === TARGET);
+  u.uReference.value = PARAMS.referenceLevel;
+  const n = PARAMS.fitnessSamples + 1; // per-sample weights, as pointContribution() in evolution.js
+  u.uWeights.value.set(PARAMS.loudnessWeight || 0, (PARAMS.balanceWeight || 0) / n, (PARAMS.quietTimeWeight || 0) / n, (PARAMS.loudTimeWeight || 0) / n);
+  u.uThresholds.value.set(PARAMS.quietThreshold, PARAMS.loudThreshold);
+  document.getElementById('fieldLegend').innerHTML = BinauralField.legendHtml(mode.id, fieldRange);
+  drawTopDownField();
+}
+
+// The same mode as the 2D view's background; skipped mid-drag, redrawn on drop
+function drawTopDownField() {
+  if (viewMode !== '2d' || topDown.dragging) return;
+  const grid = BinauralField.sampleField(fieldWorld(), PARAMS, TARGET, fieldMode, FIELD_IMAGE_CELL);
+  topDown.setField(BinauralField.rasterize(grid, fieldRange || undefined));
+}
+
+// Value under the pointer, as the world sounds right now
+function showFieldReadout(p) {
+  const el = document.getElementById('fieldReadout');
+  const hw = WORLD.width / 2, hd = WORLD.depth / 2;
+  if (!p || Math.abs(p.x) > hw || Math.abs(p.z) > hd) { el.textContent = ''; return; }
+  const world = isTimeVarying(WORLD) ? worldAt(fieldWorld(), timelineT) : fieldWorld();
+  const v = BinauralField.fieldValue(world, PARAMS, TARGET, fieldMode, p);
+  el.textContent = `x ${p.x.toFixed(1)}, z ${p.z.toFixed(1)} m · ${BinauralField.getMode(fieldMode).format(v)}`;
+}
+
 // ---------- Scene Elements ----------
 function createSpeaker(color) {
   const tex = makeIconTexture(color);
@@ -263,6 +617,59 @@ function createSpeakerRings(origin, color) {
   return rings;
 }
 
+// One sprite + rings + label per source; rebuilt whenever sources are added/removed/replaced
+function rebuildSourceViews() {
+  sourceViews.forEach(v => {
+    scene.remove(v.sprite, v.label, ...v.rings);
+    v.sprite.material.map.dispose(); v.sprite.material.dispose();
+    v.label.material.map.dispose(); v.label.material.dispose();
+    v.rings.forEach(r => { r.geometry.dispose(); r.material.dispose(); });
+  });
+  sourceViews = WORLD.sources.map(source => {
+    const sprite = createSpeaker(source.color);
+    const rings = createSpeakerRings(source.position, source.color);
+    const label = createTextSprite(source.label, '#' + new THREE.Color(source.color).getHexString());
+    label.scale.set(1.4, 1.4, 1);
+    scene.add(sprite, label, ...rings);
+    return { source, sprite, rings, label };
+  });
+}
+
+// Extruded, semi-transparent blocks for WORLD.obstacles; walls are thin slabs along each segment
+function rebuildObstacleViews() {
+  obstacleGroup.children.slice().forEach(mesh => {
+    obstacleGroup.remove(mesh);
+    mesh.geometry.dispose(); mesh.material.dispose();
+  });
+  WORLD.obstacles.forEach((ob, index) => {
+    if (ob.type === 'wall') {
+      ob.points.slice(1).forEach((b, i) => {
+        const a = ob.points[i];
+        const len = Math.hypot(b.x - a.x, b.z - a.z);
+        if (len < 1e-6) return;
+        const geo = new THREE.BoxGeometry(len + WALL_THICKNESS, OBSTACLE_HEIGHT, WALL_THICKNESS);
+        const mat = new THREE.MeshStandardMaterial({ color: 0x94a3b8, transparent: true, opacity: 0.6, roughness: 0.8 });
+        const mesh = new THREE.Mesh(geo, mat);
+        mesh.position.set((a.x + b.x) / 2, OBSTACLE_HEIGHT / 2, (a.z + b.z) / 2);
+        mesh.rotation.y = -Math.atan2(b.z - a.z, b.x - a.x);
+        mesh.userData.obstacle = index;
+        obstacleGroup.add(mesh);
+      });
+      return;
+    }
+    const poly = obstaclePolygon(ob);
+    const shape = new THREE.Shape(poly.map(p => new THREE.Vector2(p.x, p.z)));
+    const geo = new THREE.ExtrudeGeometry(shape, { depth: OBSTACLE_HEIGHT, bevelEnabled: false });
+    // shape lies in XY with y = world z; stand it up on the ground plane
+    geo.rotateX(Math.PI / 2);
+    geo.translate(0, OBSTACLE_HEIGHT, 0);
+    const mat = new THREE.MeshStandardMaterial({ color: 0x64748b, transparent: true, opacity: 0.55, roughness: 0.8 });
+    const mesh = new THREE.Mesh(geo, mat);
+    mesh.userData.obstacle = index;
+    obstacleGroup.add(mesh);
+  });
+}
+
 function createMarker(color) {
   const g = new THREE.TorusKnotGeometry(0.5, 0.18, 80, 14);
   const m = new THREE.MeshStandardMaterial({ color, emissive: new THREE.Color(color).multiplyScalar(0.1), roughness: 0.6 });
@@ -309,176 +716,1642 @@ function makeIconTexture(color) {
   return texture;
 }
 
-// ---------- Paths and Fitness ----------
-function makeGenome() {
-  // ctrlCount control points in XZ plane, y fixed at 0
-  const pts = [];
-  for (let i = 0; i < PARAMS.ctrlCount; i++) {
-    pts.push(new THREE.Vector3(
-      lerp(WORLD.A.x, WORLD.B.x, (i+1)/(PARAMS.ctrlCount+1)) + (rand()*2-1)*8,
-      0,
-      lerp(WORLD.A.z, WORLD.B.z, (i+1)/(PARAMS.ctrlCount+1)) + (rand()*2-1)*6
-    ));
-  }
-  return { ctrl: pts, fitness: -Infinity };
-}
-
-function makeInitialPopulation() {
-  const pop = [];
-  for (let i = 0; i < PARAMS.popSize; i++) pop.push(makeGenome());
-  return pop;
-}
-
-function pathPoints(genome, steps = PARAMS.stepsPerPath) {
-  const pts = [WORLD.A, ...genome.ctrl, WORLD.B];
-  // Catmull-Rom like interpolation via THREE.CurvePath with Quadratic Beziers
-  const curves = [];
-  for (let i = 0; i < pts.length - 1; i++) {
-    const p0 = pts[Math.max(0, i-1)];
-    const p1 = pts[i];
-    const p2 = pts[i+1];
-    const p3 = pts[Math.min(pts.length-1, i+2)];
-    // create control by finite differences
-    const t = 0.5;
-    const cp1 = new THREE.Vector3().addVectors(p1, new THREE.Vector3().subVectors(p2, p0).multiplyScalar(t/3));
-    const cp2 = new THREE.Vector3().addVectors(p2, new THREE.Vector3().subVectors(p1, p3).multiplyScalar(t/3));
-    const curve = new THREE.CubicBezierCurve3(p1.clone(), cp1, cp2, p2.clone());
-    curves.push(curve);
-  }
-  const path = new THREE.CurvePath();
-  curves.forEach(c => path.add(c));
-  return path.getSpacedPoints(steps);
-}
-
-function evaluateFitness(genome) {
-  const pts = pathPoints(genome, 80);
-  let sum = 0;
-  let len = 0;
-  for (let i = 0; i < pts.length; i++) {
-    const p = pts[i];
-    const Il = intensityAtPoint(p, WORLD.speakerL, 1.0);
-    const Ir = intensityAtPoint(p, WORLD.speakerR, 1.0);
-  let loud;
-  if (TARGET === 'left') loud = Il; else if (TARGET === 'right') loud = Ir; else loud = Math.max(Il, Ir);
-    sum += loud;
-    if (i>0) len += pts[i-1].distanceTo(p);
-  }
-  const distanceCost = len / 80; // normalize
-  const goalBonus = 1.0; // always reaches B by construction
-  const fitness = sum - 0.25 * distanceCost + goalBonus;
-  genome.fitness = fitness;
-  return fitness;
-}
-
-function tournamentSelect(pop, k = 3) {
-  let best = null;
-  for (let i = 0; i < k; i++) {
-    const g = pop[(rand()*pop.length)|0];
-    if (!best || g.fitness > best.fitness) best = g;
-  }
-  return cloneGenome(best);
-}
-
-function crossover(a, b) {
-  const child = { ctrl: [], fitness: -Infinity };
-  for (let i = 0; i < PARAMS.ctrlCount; i++) {
-    const pickA = rand() < 0.5;
-    const pa = a.ctrl[i];
-    const pb = b.ctrl[i];
-    const t = rand();
-    const x = pickA ? lerp(pa.x, pb.x, t) : lerp(pb.x, pa.x, t);
-    const z = pickA ? lerp(pa.z, pb.z, t) : lerp(pb.z, pa.z, t);
-    child.ctrl.push(new THREE.Vector3(x, 0, z));
-  }
-  return child;
-}
-
-function mutate(g) {
-  const m = cloneGenome(g);
-  for (let i = 0; i < m.ctrl.length; i++) {
-    if (rand() < PARAMS.mutationProb) {
-      m.ctrl[i].x += (rand()*2-1) * PARAMS.mutationScale;
-      m.ctrl[i].z += (rand()*2-1) * PARAMS.mutationScale * 0.8;
-    }
-  }
-  return m;
-}
-
-function cloneGenome(g) {
-  return { ctrl: g.ctrl.map(p => p.clone()), fitness: g.fitness };
-}
-
 // ---------- Evolution Loop & Visualization ----------
+const GEN_DELAY_MS = 250; // pacing between generations in 'paced' mode
 let running = false;
+let paused = false;
+let runId = 0;
+let playWhenDone = false;
 let animT = 0;
 let animPath = [];
+let animDelay = 0; // departure wait of the shown best (s), see params.maxWait
+let animLength = 0;
+let timelineT = 0; // seconds on the source timeline; tied to the walk while the best path plays
+let walkPaused = false; // the walk clock holds (pause, step, scrub)
+let cameraMode = 'orbit'; // 'orbit' | 'follow' | 'first' (see Walk Playback)
+let orbitView = null; // orbit camera saved while riding along
+const cameraHeading = new THREE.Vector3(0, 0, -1); // eased direction of travel the riding camera faces
+let lastFrame = 0;
 let lastBest = null;
 
-function runEvolution(play = true, target = 'either') {
+// Wraps evolution.worker.js; falls back to an in-page controller (e.g. pages opened via file://)
+function createEvolutionRunner(onMessage) {
+  let worker = null;
+  let local = null;
+  let lastStart = null;
+
+  function useLocal() {
+    if (worker) { worker.terminate(); worker = null; }
+    local = BinauralEvolution.createRunController(msg => setTimeout(() => onMessage(msg), 0));
+  }
+
+  try {
+    worker = new Worker('./evolution.worker.js');
+    worker.onmessage = (ev) => onMessage(ev.data);
+    worker.onerror = (ev) => {
+      ev.preventDefault();
+      console.warn('Evolution worker failed, running in-page instead:', ev.message);
+      useLocal();
+      if (lastStart) local.handle(lastStart);
+    };
+  } catch (err) {
+    useLocal();
+  }
+
+  return {
+    post(msg) {
+      if (msg.type === 'start') lastStart = msg;
+      if (local) local.handle(msg);
+      else worker.postMessage(msg);
+    },
+  };
+}
+
+// Passing a seed replays that run exactly (no speaker jitter); otherwise a fresh seed is drawn.
+// `seedGenomes` (e.g. the previous best after a drag) start in the initial population.
+// Agents are seeded with their paths of the last team alongside it. Locked control points (see
+// Path Editing) hold in every genome.
+function runEvolution(play = true, target = 'either', seed = null, seedGenomes = null) {
   if (running) return;
+  endEditing();
+  const agentSeeds = seedGenomes && lastTeam && lastTeam.length === WORLD.agents.length + 1 ? lastTeam.map(g => [g]) : undefined;
   running = true;
+  paused = false;
+  playWhenDone = play;
   gen = 0;
-  rand = seedRandom((Math.random()*1e9)|0);
-  // Add variation: jitter speaker positions only on reseed (not on autoplay)
-  if (!play) jitterSpeakers(2.5);
+  const replay = seed != null;
+  currentSeed = replay ? seed >>> 0 : (Math.random()*1e9) >>> 0;
+  rand = seedRandom(currentSeed);
+  // Add variation: jitter speaker positions only on reseed (not on autoplay or replays)
+  if (!play && !replay) jitterSpeakers(PARAMS.jitter);
   TARGET = target || TARGET;
-  population = makeInitialPopulation();
+  // the planner path joins the initial population when "Seed evolution" is ticked; a plan is only
+  // made when there is none yet or the world changed since (e.g. speaker jitter)
+  const seedPlanner = document.getElementById('plannerSeed').checked;
+  if (seedPlanner && !plannerResult) runPlanner();
+  else refreshPlanner();
+  if (seedPlanner && plannerResult.genome) seedGenomes = (seedGenomes || []).concat([plannerResult.genome]);
+  // a scene or link may pair Pareto mode with a strategy that can't run it
+  const fallback = fitStrategyToObjectives();
+  if (fallback) { showSettingError(fallback); syncSettingsPanel(); }
+  showFront([]);
+  if (runHistory.length) previousHistory = runHistory;
+  runHistory = [];
+  lastHistogram = null;
+  lastStrategy = null;
+  populationView.clear();
+  topDown.setPopulation([]);
+  updateRunButtons();
+  writeUrlState();
+
+  const fast = document.getElementById('fastToggle').checked;
+  runner.post({
+    type: 'start',
+    runId: ++runId,
+    world: worldSnapshot(),
+    params: PARAMS,
+    target: TARGET,
+    seed: currentSeed,
+    mode: fast ? 'fast' : 'paced',
+    delay: GEN_DELAY_MS,
+    population: populationWanted(),
+    seedGenomes: seedGenomes || undefined,
+    agentSeeds,
+    locked: pathLocks.length ? pathLocks : undefined,
+  });
+}
 
-  // evaluate initial
-  population.forEach(evaluateFitness);
-  population.sort((a,b)=>b.fitness-a.fitness);
-  lastBest = cloneGenome(population[0]);
-  showBest(lastBest);
-  updateHUD();
+function onEvolutionMessage(msg) {
+  if (msg.runId !== runId) return; // stale message from a cancelled run
+
+  if (msg.type === 'generation') {
+    gen = msg.gen;
+    lastStats = msg.stats;
+    lastStrategy = { id: msg.strategy, scale: msg.scale, islands: msg.islands };
+    stagnation = msg.stagnation || 0;
+    runHistory.push(...msg.history);
+    lastHistogram = msg.histogram;
+    renderCharts();
+
+    if (msg.improved) {
+      if (lastBest && gen > 0) populationView.addGhost(lastBest);
+      lastBest = msg.best;
+      if (editGenome) renderEditStatus(); // the edit stays on screen
+      else showBest(lastBest);
+      if (msg.team) showTeam(msg.team, msg.separation);
+    }
+    if (msg.population) {
+      populationView.update(msg.population);
+      if (viewMode === '2d') topDown.setPopulation(msg.population.map(g => pathPoints(WORLD, g, POP_PATH_POINTS)));
+    }
+    if (msg.front) showFront(msg.front);
+
+    updateHUD();
 
-  const generations = PARAMS.generations;
-  let i = 0;
+    // animate rings subtly each generation
+    if (gen > 0) pulseRingsOnce();
 
-  function stepGen() {
-    if (i >= generations) {
+    if (msg.done) {
       running = false;
-      if (play) playBestPath();
+      updateRunButtons();
+      updatePlannerStatus();
+      if (playWhenDone) playBestPath();
+    }
+  } else if (msg.type === 'cancelled' || msg.type === 'error') {
+    if (msg.type === 'error') console.error('Evolution failed:', msg.message);
+    running = false;
+    updateRunButtons();
+  }
+}
+
+function togglePause() {
+  if (!running) return;
+  paused = !paused;
+  runner.post({ type: paused ? 'pause' : 'resume' });
+  updateRunButtons();
+}
+
+function cancelEvolution() {
+  if (!running) return;
+  runner.post({ type: 'cancel' });
+  running = false;
+  paused = false;
+  updateRunButtons();
+}
+
+// ---------- Audio ----------
+let sampleTargetId = null; // source waiting for a sample file from the picker
+
+function setSourceSound(id, sound) {
+  const src = findSource(WORLD, id);
+  if (!src || !BinauralAudio.SOUND_TYPES[sound]) return;
+  src.sound = sound;
+  if (sound === 'sample' && !audio.sampleName(id)) {
+    sampleTargetId = id;
+    document.getElementById('sampleInput').click();
+  }
+  restartAudioIfPlaying();
+  renderSourcePanel();
+}
+
+function onSampleChosen(e) {
+  const file = e.target.files && e.target.files[0];
+  const id = sampleTargetId;
+  e.target.value = '';
+  sampleTargetId = null;
+  if (!file || !id) return;
+  audio.loadSample(id, file)
+    .then(() => { restartAudioIfPlaying(); renderSourcePanel(); })
+    .catch(err => setAudioStatus(err.message));
+}
+
+function restartAudioIfPlaying() {
+  if (audio.playing) audio.start(WORLD);
+}
+
+function exportWalkWav() {
+  if (animPath.length < 2) { setAudioStatus('Run an evolution first.'); return; }
+  const btn = document.getElementById('exportWavBtn');
+  btn.disabled = true;
+  setAudioStatus('Rendering…');
+  const walk = isTimeVarying(WORLD)
+    ? Object.assign(timedWalk(), { world: WORLD, worldAt })
+    : { world: WORLD, path: animPath, duration: animLength / PARAMS.walkSpeed };
+  audio.renderWalk(walk)
+    .then(blob => {
+      downloadBlob(blob, `binaural-walk-${currentSeed != null ? currentSeed : 'path'}.wav`);
+      setAudioStatus('');
+    })
+    .catch(err => setAudioStatus(err.message))
+    .finally(() => { btn.disabled = false; });
+}
+
+// The walk as it plays with timelines: a point every 1/30 s, waiting at A for the departure delay
+function timedWalk() {
+  const duration = walkDuration();
+  const n = Math.max(2, Math.ceil(duration * 30) + 1);
+  const path = [], times = [];
+  for (let k = 0; k < n; k++) {
+    times.push(duration * k / (n - 1));
+    path.push(walkPoint(walkFraction(times[k])).p);
+  }
+  return { path, duration, timeAt: (k) => times[k] };
+}
+
+function downloadBlob(blob, filename) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function setAudioStatus(text) {
+  document.getElementById('audioStatus').textContent = text;
+}
+
+// Plain copy of WORLD for the worker (no THREE types or jitter bases)
+function worldSnapshot() {
+  return {
+    A: { x: WORLD.A.x, y: 0, z: WORLD.A.z },
+    B: { x: WORLD.B.x, y: 0, z: WORLD.B.z },
+    sources: WORLD.sources.map(({ id, label, color, power, position, timeline }) => Object.assign(
+      { id, label, color, power, position: { x: position.x, y: 0, z: position.z } }, timeline ? { timeline } : {}
+    )),
+    obstacles: WORLD.obstacles,
+    agents: WORLD.agents.map(({ id, label, color, A, B, target }) => (
+      { id, label, color, target, A: { x: A.x, y: 0, z: A.z }, B: { x: B.x, y: 0, z: B.z } })),
+  };
+}
+
+// ---------- Sound Sources ----------
+function addSource() {
+  if (WORLD.sources.length >= MAX_SOURCES) return;
+  let n = WORLD.sources.length + 1;
+  while (findSource(WORLD, 's' + n)) n++;
+  const used = WORLD.sources.map(src => src.color);
+  const color = SOURCE_PALETTE.find(c => !used.includes(c)) || SOURCE_PALETTE[n % SOURCE_PALETTE.length];
+  // somewhere inside the ground plane, away from the border
+  const x = (Math.random() - 0.5) * (WORLD.width - 8);
+  const z = (Math.random() - 0.5) * (WORLD.depth - 8);
+  WORLD.sources.push(makeSource('s' + n, 'S' + n, color, Math.round(x * 100) / 100, Math.round(z * 100) / 100));
+  onSourcesChanged();
+}
+
+function removeSource(id) {
+  if (WORLD.sources.length <= 1) return;
+  WORLD.sources = WORLD.sources.filter(src => src.id !== id);
+  if (TARGET === id) TARGET = TARGET_ANY;
+  WORLD.agents.forEach(agent => { if (agent.target === id) agent.target = TARGET_ANY; });
+  onSourcesChanged();
+}
+
+function setSourcePower(id, power) {
+  const src = findSource(WORLD, id);
+  if (!src || !Number.isFinite(power) || power <= 0) return;
+  src.power = power;
+  updateFieldUniforms();
+  restartAudioIfPlaying();
+  redrawBest();
+}
+
+// Ready-made timelines for the source panel (offsets from the source's position, in seconds)
+const TIMELINE_PRESETS = {
+  static: { label: 'Static', timeline: null },
+  patrol: { label: 'Patrol ±5 m', timeline: { cycle: 12, keys: [{ t: 0, dx: -5, dz: 0 }, { t: 6, dx: 5, dz: 0 }, { t: 12, dx: -5, dz: 0 }] } },
+  orbit: {
+    label: 'Orbit 4 m',
+    timeline: {
+      cycle: 14,
+      keys: Array.from({ length: MAX_TIMELINE_KEYS }, (_, i) => {
+        const a = i / (MAX_TIMELINE_KEYS - 1) * Math.PI * 2;
+        return { t: Math.round(i / (MAX_TIMELINE_KEYS - 1) * 14 * 100) / 100, dx: Math.round(Math.cos(a) * 400) / 100, dz: Math.round(Math.sin(a) * 400) / 100 };
+      }),
+    },
+  },
+  blink: { label: 'On 3 s / off 3 s', timeline: { cycle: 6, on: [[0, 3]] } },
+  late: { label: 'Starts at 10 s', timeline: { cycle: 0, on: [[10, 3600]] } },
+};
+
+function timelinePresetOf(src) {
+  if (!BinauralEvolution.hasTimeline(src)) return 'static';
+  const id = Object.keys(TIMELINE_PRESETS).find(key => JSON.stringify(TIMELINE_PRESETS[key].timeline) === JSON.stringify(src.timeline));
+  return id || 'custom';
+}
+
+function setSourceMotion(id, preset) {
+  const src = findSource(WORLD, id);
+  if (!src || !TIMELINE_PRESETS[preset]) return;
+  const tl = TIMELINE_PRESETS[preset].timeline;
+  if (tl) src.timeline = JSON.parse(JSON.stringify(tl));
+  else delete src.timeline;
+  restartAudioIfPlaying();
+  syncSceneToWorld();
+  updateHUD();
+  redrawBest();
+}
+
+function onSourcesChanged() {
+  restartAudioIfPlaying();
+  syncSceneToWorld();
+  frameImportant();
+  updateHUD();
+  renderSourcePanel();
+  renderAgentPanel();
+  redrawBest();
+  refreshPlanner();
+}
+
+// Source list (target, power, remove) and the matching legend rows
+function renderSourcePanel() {
+  const list = document.getElementById('sourceList');
+  list.innerHTML = '';
+  WORLD.sources.forEach(src => {
+    const hex = '#' + new THREE.Color(src.color).getHexString();
+    const li = document.createElement('li');
+    li.className = 'sources__item' + (TARGET === src.id ? ' is-target' : '');
+    li.innerHTML = `
+      <span class="swatch" style="background:${hex}"></span>
+      <button class="sources__name" title="Evolve towards this source"></button>
+      <label class="sources__power">power <input type="number" class="field" min="0.1" max="10" step="0.1" value="${src.power}" /></label>
+      <select class="field sources__sound" title="Sound played by this source"></select>
+      <select class="field sources__sound sources__motion" title="How the source moves or switches over time"></select>
+      <button class="sources__remove" title="Remove source" ${WORLD.sources.length <= 1 ? 'disabled' : ''}>×</button>`;
+    li.querySelector('.sources__name').textContent = src.label;
+    li.querySelector('.sources__name').addEventListener('click', () => {
+      TARGET = TARGET === src.id ? TARGET_ANY : src.id;
+      updateHUD();
+      renderSourcePanel();
+    });
+    li.querySelector('input').addEventListener('change', (e) => setSourcePower(src.id, Number(e.target.value)));
+    const sound = li.querySelector('.sources__sound');
+    Object.keys(BinauralAudio.SOUND_TYPES).forEach(type => {
+      const name = type === 'sample' && audio.sampleName(src.id) ? audio.sampleName(src.id) : BinauralAudio.SOUND_TYPES[type];
+      sound.add(new Option(name, type, false, (src.sound || 'tone') === type));
+    });
+    sound.addEventListener('change', (e) => setSourceSound(src.id, e.target.value));
+    const motion = li.querySelector('.sources__motion');
+    const current = timelinePresetOf(src);
+    Object.keys(TIMELINE_PRESETS).forEach(key => motion.add(new Option(TIMELINE_PRESETS[key].label, key, false, key === current)));
+    if (current === 'custom') motion.add(new Option('Custom (scene)', 'custom', false, true));
+    motion.addEventListener('change', (e) => setSourceMotion(src.id, e.target.value));
+    li.querySelector('.sources__remove').addEventListener('click', () => removeSource(src.id));
+    list.appendChild(li);
+  });
+  document.getElementById('addSourceBtn').disabled = WORLD.sources.length >= MAX_SOURCES;
+
+  const legend = document.getElementById('legendSources');
+  legend.innerHTML = '';
+  WORLD.sources.forEach(src => {
+    const row = document.createElement('div');
+    row.className = 'legend__row';
+    row.innerHTML = `<span class="swatch" style="background:#${new THREE.Color(src.color).getHexString()}"></span><span></span>`;
+    row.lastChild.textContent = `${src.label} louder`;
+    legend.appendChild(row);
+  });
+}
+
+// ---------- Obstacles ----------
+const OBSTACLE_SHAPES = {
+  box: (x, z) => ({ type: 'rect', x, z, w: 4, d: 3, transmission: 0.15 }),
+  wall: (x, z) => ({ type: 'rect', x, z, w: 0.4, d: 9, transmission: 0.05 }),
+  polygon: (x, z) => ({
+    type: 'polygon', transmission: 0.25,
+    points: Array.from({ length: 5 }, (_, i) => {
+      const a = i / 5 * Math.PI * 2, r = 2 + (i % 2);
+      return { x: Math.round((x + Math.cos(a) * r) * 100) / 100, y: 0, z: Math.round((z + Math.sin(a) * r) * 100) / 100 };
+    }),
+  }),
+};
+const OBSTACLE_HINT = 'Click + Box, + Wall or + Poly, then the ground. Drag an obstacle to move it, Shift+drag to resize.';
+const MIN_OBSTACLE_SIZE = 0.2; // m, smallest side a resize leaves a box
+let placingObstacle = null; // kind waiting for a click on the ground (3D or 2D)
+let obstacleDrag = null; // { index, original, from, resize } while an obstacle is dragged
+
+// "+ Box" etc. arm placement; the next click on the ground drops the obstacle there. Clicking the
+// same button again (or Esc) cancels.
+function armObstacle(kind) {
+  placingObstacle = OBSTACLE_SHAPES[kind] && placingObstacle !== kind ? kind : null;
+  document.querySelectorAll('[data-add-obstacle]').forEach(btn => btn.classList.toggle('primary', btn.dataset.addObstacle === placingObstacle));
+  setObstacleStatus(placingObstacle ? `Click the ground to place the ${kind}; Esc cancels.` : OBSTACLE_HINT);
+}
+
+// Places the armed obstacle centred on `p` unless it would cover A, B or a source
+function placeObstacle(p) {
+  const kind = placingObstacle;
+  const ob = OBSTACLE_SHAPES[kind](Math.round(p.x * 100) / 100, Math.round(p.z * 100) / 100);
+  if (coversKeyPoint(ob)) {
+    setObstacleStatus(`Can't place the ${kind} there: it would cover A, B or a source.`, true);
+    return;
+  }
+  armObstacle(null);
+  WORLD.obstacles = [...WORLD.obstacles, ob];
+  onObstaclesChanged();
+  if (currentSeed != null) writeUrlState();
+}
+
+function coversKeyPoint(ob) {
+  const world = { obstacles: [ob] };
+  const keepClear = [WORLD.A, WORLD.B, ...WORLD.sources.map(src => src.position)];
+  return keepClear.some(p => pointInObstacle(world, p) || obstacleEdges(world).some(e => edgeDistance(p, e) < 0.3));
+}
+
+function edgeDistance(p, e) {
+  const dx = e.bx - e.ax, dz = e.bz - e.az;
+  const len2 = dx * dx + dz * dz;
+  const t = len2 > 0 ? Math.max(0, Math.min(1, ((p.x - e.ax) * dx + (p.z - e.az) * dz) / len2)) : 0;
+  return Math.hypot(p.x - e.ax - t * dx, p.z - e.az - t * dz);
+}
+
+function obstacleCentre(ob) {
+  if (ob.type === 'rect') return { x: ob.x, z: ob.z };
+  const xs = ob.points.map(p => p.x), zs = ob.points.map(p => p.z);
+  return { x: (Math.min(...xs) + Math.max(...xs)) / 2, z: (Math.min(...zs) + Math.max(...zs)) / 2 };
+}
+
+// `original` moved by from → to, or with `resize` grown about its centre as the pointer moves away
+// from it (a box along each axis, other shapes evenly); on whole centimetres like jitter
+function draggedObstacle(original, from, to, resize) {
+  const cm = (v) => Math.round(v * 100) / 100;
+  const c = obstacleCentre(original);
+  if (original.type === 'rect') {
+    if (!resize) return Object.assign({}, original, { x: cm(original.x + to.x - from.x), z: cm(original.z + to.z - from.z) });
+    const grow = (axis) => 2 * (Math.abs(to[axis] - c[axis]) - Math.abs(from[axis] - c[axis]));
+    return Object.assign({}, original, {
+      w: cm(Math.min(WORLD.width, Math.max(MIN_OBSTACLE_SIZE, original.w + grow('x')))),
+      d: cm(Math.min(WORLD.depth, Math.max(MIN_OBSTACLE_SIZE, original.d + grow('z')))),
+    });
+  }
+  const k = resize ? Math.max(0.1, Math.hypot(to.x - c.x, to.z - c.z) / Math.max(Math.hypot(from.x - c.x, from.z - c.z), 0.5)) : 1;
+  const dx = resize ? 0 : to.x - from.x, dz = resize ? 0 : to.z - from.z;
+  return Object.assign({}, original, {
+    points: original.points.map(p => Object.assign({}, p, { x: cm(c.x + (p.x - c.x) * k + dx), z: cm(c.z + (p.z - c.z) * k + dz) })),
+  });
+}
+
+// Live part of an obstacle drag (3D or 2D): the shape follows; the field and plans wait for the drop
+function dragObstacle(index, from, to, resize) {
+  if (!obstacleDrag) obstacleDrag = { index, original: WORLD.obstacles[index], from, resize };
+  const ob = draggedObstacle(obstacleDrag.original, obstacleDrag.from, to, obstacleDrag.resize);
+  WORLD.obstacles = WORLD.obstacles.map((o, i) => (i === index ? ob : o));
+  rebuildObstacleViews();
+  if (viewMode === '2d') topDown.setObstacle(index, ob);
+}
+
+function dropObstacle() {
+  if (!obstacleDrag) return;
+  const { index, original } = obstacleDrag;
+  obstacleDrag = null;
+  const blocked = coversKeyPoint(WORLD.obstacles[index]);
+  if (blocked) WORLD.obstacles = WORLD.obstacles.map((o, i) => (i === index ? original : o));
+  setObstacleStatus(blocked ? 'Moved back: the obstacle would cover A, B or a source.' : OBSTACLE_HINT, blocked);
+  onObstaclesChanged();
+  if (!blocked) onPointsDragged();
+}
+
+function removeObstacle(index) {
+  WORLD.obstacles = WORLD.obstacles.filter((_, i) => i !== index);
+  onObstaclesChanged();
+}
+
+function onObstaclesChanged() {
+  rebuildObstacleViews();
+  refreshTopDown();
+  updateFieldUniforms();
+  renderObstaclePanel();
+  redrawBest();
+  refreshPlanner();
+}
+
+function setObstacleStatus(text, isError = false) {
+  const el = document.getElementById('obstacleStatus');
+  el.textContent = text;
+  el.classList.toggle('status--error', isError);
+}
+
+function renderObstaclePanel() {
+  const list = document.getElementById('obstacleList');
+  list.innerHTML = '';
+  WORLD.obstacles.forEach((ob, i) => {
+    const li = document.createElement('li');
+    li.className = 'sources__item';
+    const segments = ob.type === 'wall' && ob.points.length - 1;
+    const name = ob.type === 'rect' ? `${ob.w}×${ob.d} ${Math.min(ob.w, ob.d) < 1 ? 'wall' : 'box'}`
+      : segments ? `wall, ${segments} segment${segments > 1 ? 's' : ''}` : `${ob.points.length}-gon`;
+    li.innerHTML = `<span class="swatch swatch--obstacle"></span><span class="sources__text"></span>
+      <button class="sources__remove" title="Remove obstacle">×</button>`;
+    const t = ob.transmission != null ? ob.transmission : BinauralEvolution.DEFAULT_TRANSMISSION;
+    li.querySelector('.sources__text').textContent = `${name} · ${Math.round(t * 100)}% through`;
+    li.querySelector('.sources__remove').addEventListener('click', () => removeObstacle(i));
+    list.appendChild(li);
+  });
+}
+
+// ---------- Agents ----------
+// Extra walkers, each with its own A, B and target. With any of them the run co-evolves one path
+// per agent (evolution.js createCoEvolution) and playback walks everyone on the same clock.
+const AGENT_PALETTE = [0xf472b6, 0xfacc15, 0x38bdf8, 0x4ade80, 0xfb923c, 0xc084fc, 0x2dd4bf, 0xf87171];
+const AGENT_HEAD_RADIUS = 0.55;
+
+function makeAgent(id, label, color, A, B, target = TARGET_ANY) {
+  return { id, label, color, target, A: new THREE.Vector3(A.x, 0, A.z), B: new THREE.Vector3(B.x, 0, B.z) };
+}
+
+// Starts on one side of the plane and heads for the other, so it has to cross the main walker
+function addAgent() {
+  if (WORLD.agents.length >= BinauralEvolution.MAX_AGENTS) return;
+  let n = WORLD.agents.length + 2;
+  while (WORLD.agents.some(a => a.id === 'a' + n)) n++;
+  const used = WORLD.agents.map(a => a.color);
+  const color = AGENT_PALETTE.find(c => !used.includes(c)) || AGENT_PALETTE[n % AGENT_PALETTE.length];
+  const side = Math.random() < 0.5 ? -1 : 1;
+  const at = (x, z) => ({ x: Math.round(x * 100) / 100, z: Math.round(z * 100) / 100 });
+  const A = at(side * (WORLD.width / 2 - 4), (Math.random() - 0.5) * (WORLD.depth - 8));
+  const B = at(-side * (WORLD.width / 2 - 4), (Math.random() - 0.5) * (WORLD.depth - 8));
+  WORLD.agents.push(makeAgent('a' + n, String(n), color, A, B));
+  onAgentsChanged();
+}
+
+function removeAgent(id) {
+  WORLD.agents = WORLD.agents.filter(a => a.id !== id);
+  onAgentsChanged();
+}
+
+function setAgentTarget(id, target) {
+  const agent = WORLD.agents.find(a => a.id === id);
+  if (!agent || (target !== TARGET_ANY && !findSource(WORLD, target))) return;
+  agent.target = target;
+  onAgentsChanged();
+}
+
+// The team no longer matches the agents, so only the main best stays on screen
+function onAgentsChanged() {
+  lastTeam = null;
+  lastSeparation = null;
+  rebuildAgentViews();
+  renderAgentPanel();
+  updateHUD();
+  frameImportant();
+  if (currentSeed != null) writeUrlState();
+}
+
+function renderAgentPanel() {
+  const list = document.getElementById('agentList');
+  list.innerHTML = '';
+  WORLD.agents.forEach(agent => {
+    const li = document.createElement('li');
+    li.className = 'sources__item';
+    li.innerHTML = `<span class="swatch" style="background:#${new THREE.Color(agent.color).getHexString()}"></span>
+      <span class="sources__text"></span>
+      <select class="field sources__sound" title="Source this agent evolves towards"></select>
+      <button class="sources__remove" title="Remove agent">×</button>`;
+    li.querySelector('.sources__text').textContent = `A${agent.label} → B${agent.label}`;
+    const select = li.querySelector('select');
+    select.add(new Option('Either', TARGET_ANY, false, agent.target === TARGET_ANY));
+    WORLD.sources.forEach(src => select.add(new Option(src.label, src.id, false, agent.target === src.id)));
+    select.addEventListener('change', (e) => setAgentTarget(agent.id, e.target.value));
+    li.querySelector('.sources__remove').addEventListener('click', () => removeAgent(agent.id));
+    list.appendChild(li);
+  });
+  document.getElementById('addAgentBtn').disabled = WORLD.agents.length >= BinauralEvolution.MAX_AGENTS;
+}
+
+function rebuildAgentViews() {
+  agentGroup.children.slice().forEach(obj => {
+    agentGroup.remove(obj);
+    if (obj.geometry) obj.geometry.dispose();
+    if (obj.material) { if (obj.material.map) obj.material.map.dispose(); obj.material.dispose(); }
+  });
+  agentViews = WORLD.agents.map(agent => {
+    const hex = '#' + new THREE.Color(agent.color).getHexString();
+    const view = {
+      agent,
+      start: createMarker(agent.color),
+      goal: createMarker(agent.color),
+      labelA: createTextSprite('A' + agent.label, hex),
+      labelB: createTextSprite('B' + agent.label, hex),
+      line: new THREE.Line(new THREE.BufferGeometry(), new THREE.LineBasicMaterial({ color: agent.color })),
+      head: new THREE.Mesh(new THREE.SphereGeometry(AGENT_HEAD_RADIUS, 16, 12), new THREE.MeshStandardMaterial({ color: agent.color, metalness: 0.1, roughness: 0.5 })),
+      path: [], delay: 0, length: 0,
+    };
+    view.goal.scale.setScalar(0.7); // smaller than its start, as B is only reached
+    view.line.visible = false;
+    view.head.visible = false;
+    agentGroup.add(view.start, view.goal, view.labelA, view.labelB, view.line, view.head);
+    return view;
+  });
+  syncAgentViews();
+  refreshTopDown();
+}
+
+function syncAgentViews() {
+  agentViews.forEach(v => {
+    v.start.position.copy(v.agent.A);
+    v.goal.position.copy(v.agent.B);
+    v.labelA.position.copy(v.agent.A).add(LABEL_OFFSET);
+    v.labelB.position.copy(v.agent.B).add(LABEL_OFFSET);
+    if (!v.head.visible) v.head.position.copy(v.agent.A);
+  });
+}
+
+// Draws every agent's path of a team (team[0], the main walker, goes through showBest)
+function showTeam(team, separation = null) {
+  lastTeam = team;
+  lastSeparation = separation;
+  const world = worldSnapshot();
+  const agents = BinauralEvolution.agentsOf(world, TARGET);
+  agentViews.forEach((v, i) => {
+    const g = team[i + 1];
+    if (!g) { v.line.visible = false; v.path = []; return; }
+    v.path = pathPoints(BinauralEvolution.agentWorld(world, agents[i + 1]), g, PARAMS.stepsPerPath).map(p => new THREE.Vector3(p.x, 0, p.z));
+    v.delay = g.delay || 0;
+    v.length = BinauralEvolution.pathLength(v.path);
+    v.line.geometry.dispose();
+    v.line.geometry = new THREE.BufferGeometry().setFromPoints(v.path);
+    v.line.visible = true;
+    v.head.visible = false;
+    v.head.position.copy(v.agent.A);
+  });
+  updateHUD();
+  refreshTopDown();
+}
+
+// Agents walk by the shared clock at walkSpeed; each leaves A after its delay and stays at B
+function walkAgents(t) {
+  agentViews.forEach(v => {
+    if (v.path.length < 2) return;
+    v.head.visible = true;
+    const u = Math.min(1, Math.max(0, t - v.delay) * PARAMS.walkSpeed / Math.max(v.length, 1e-6));
+    v.head.position.copy(walkPoint(u, v.path).p);
+  });
+}
+
+// ---------- Objectives ----------
+const OBJECTIVE_THRESHOLDS = { quietTime: 'quietThreshold', loudTime: 'loudThreshold' }; // dB SPL params
+
+// One row per registered objective with its weight (and threshold where it has one)
+function renderObjectivePanel() {
+  document.getElementById('objectiveMode').value = PARAMS.objectiveMode;
+  const list = document.getElementById('objectiveList');
+  list.innerHTML = '';
+  Object.values(BinauralEvolution.OBJECTIVES).forEach(o => {
+    const li = document.createElement('li');
+    li.className = 'sources__item';
+    li.innerHTML = `
+      <span class="sources__text"></span>
+      <input type="number" class="field sources__weight" step="0.05" title="Weight (0 turns the term off)" />`;
+    li.querySelector('.sources__text').textContent = `${o.sense > 0 ? '+' : '−'} ${o.label}`;
+    const weight = li.querySelector('input');
+    weight.value = String(PARAMS[o.weight] || 0);
+    weight.addEventListener('change', () => setObjectiveParam(o.weight, weight));
+    const key = OBJECTIVE_THRESHOLDS[o.id];
+    if (key) {
+      const label = document.createElement('label');
+      label.className = 'sources__power';
+      label.innerHTML = '<input type="number" class="field" step="1" title="Threshold" /> dB';
+      const input = label.querySelector('input');
+      input.value = String(PARAMS[key]);
+      input.addEventListener('change', () => setObjectiveParam(key, input));
+      li.insertBefore(label, weight);
+    }
+    list.appendChild(li);
+  });
+}
+
+// Takes effect on the next run
+function setObjectiveParam(key, input) {
+  const error = setSetting(key, input.value);
+  if (error) input.value = String(PARAMS[key] || 0);
+  showSettingError(error);
+}
+
+// ---------- Pareto Front ----------
+const FRONT_MATERIAL = new THREE.LineBasicMaterial({ color: 0xf59e0b, transparent: true, opacity: 0.35 });
+const FRONT_SELECTED_MATERIAL = new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.9 });
+
+// Draws every non-dominated path and the length/exposure scatter in the HUD
+function showFront(front) {
+  lastFront = front;
+  selectedFront = -1;
+  frontGroup.children.forEach(line => line.geometry.dispose());
+  frontGroup.clear();
+  front.forEach(g => {
+    const pts = pathPoints(WORLD, g, 120).map(p => new THREE.Vector3(p.x, 0.02, p.z));
+    frontGroup.add(new THREE.Line(new THREE.BufferGeometry().setFromPoints(pts), FRONT_MATERIAL));
+  });
+  renderParetoPlot();
+}
+
+// Clicking a scatter point shows that trade-off as the walkable path
+function selectFrontMember(i) {
+  endEditing();
+  selectedFront = i;
+  frontGroup.children.forEach((line, k) => { line.material = k === i ? FRONT_SELECTED_MATERIAL : FRONT_MATERIAL; });
+  showBest(lastFront[i]);
+  renderParetoPlot();
+}
+
+function renderParetoPlot() {
+  const svg = document.getElementById('paretoPlot');
+  svg.toggleAttribute('hidden', !lastFront.length); // SVG elements have no .hidden property
+  svg.innerHTML = '';
+  if (!lastFront.length) return;
+  const { OBJECTIVES } = BinauralEvolution;
+  const W = 180, H = 120, pad = { l: 14, r: 6, t: 6, b: 14 };
+  const xs = lastFront.map(g => g.objectives[PARAMS.paretoX]);
+  const ys = lastFront.map(g => g.objectives[PARAMS.paretoY]);
+  const scale = (v, lo, hi, a, b) => (hi > lo ? a + (v - lo) / (hi - lo) * (b - a) : (a + b) / 2);
+  const [x0, x1, y0, y1] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  svg.innerHTML = `
+    <line class="pareto__axis" x1="${pad.l}" y1="${H - pad.b}" x2="${W - pad.r}" y2="${H - pad.b}" />
+    <line class="pareto__axis" x1="${pad.l}" y1="${pad.t}" x2="${pad.l}" y2="${H - pad.b}" />
+    <text x="${W - pad.r}" y="${H - 3}" text-anchor="end"></text>
+    <text x="9" y="${H - pad.b}" transform="rotate(-90 9 ${H - pad.b})"></text>`;
+  const [xLabel, yLabel] = svg.querySelectorAll('text');
+  xLabel.textContent = `${OBJECTIVES[PARAMS.paretoX].label} →`;
+  yLabel.textContent = `${OBJECTIVES[PARAMS.paretoY].label} →`;
+  lastFront.forEach((g, i) => {
+    const c = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    c.setAttribute('cx', scale(xs[i], x0, x1, pad.l + 4, W - pad.r - 4));
+    c.setAttribute('cy', scale(ys[i], y0, y1, H - pad.b - 4, pad.t + 4));
+    c.setAttribute('r', 3);
+    c.setAttribute('class', 'pareto__point' + (i === selectedFront ? ' is-selected' : ''));
+    const tip = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    tip.textContent = `${xs[i].toFixed(3)}, ${ys[i].toFixed(3)}`;
+    c.appendChild(tip);
+    c.addEventListener('click', () => selectFrontMember(i));
+    svg.appendChild(c);
+  });
+}
+
+// ---------- Planner Baseline ----------
+const PLANNER_COLOR = 0x22d3ee;
+
+// Plans A→B with the chosen classical planner on the current world and target, draws the path its
+// control points describe (what evaluateFitness scores) and compares it with the GA best
+function runPlanner() {
+  const method = document.getElementById('plannerMethod').value;
+  const world = Object.assign(worldSnapshot(), { width: WORLD.width, depth: WORLD.depth });
+  plannerInputs = plannerKey();
+  plannerResult = BinauralPlanner.planPath(world, PARAMS, TARGET, { method });
+  plannerLine.geometry.dispose();
+  plannerLine.geometry = new THREE.BufferGeometry();
+  if (plannerResult.genome) {
+    const pts = pathPoints(WORLD, plannerResult.genome, PARAMS.stepsPerPath).map(p => new THREE.Vector3(p.x, 0.03, p.z));
+    plannerLine.geometry.setFromPoints(pts);
+  }
+  plannerLine.visible = !!plannerResult.genome;
+  updatePlannerStatus();
+  refreshTopDown();
+}
+
+// Re-plans after the world changed, if a plan is shown; planning blocks the page, so an unchanged
+// world keeps its plan
+function refreshPlanner() {
+  if (plannerResult && plannerInputs !== plannerKey()) runPlanner();
+}
+
+// Everything a plan depends on: world, size, target, params and method
+function plannerKey() {
+  return JSON.stringify([worldSnapshot(), WORLD.width, WORLD.depth, TARGET, PARAMS, document.getElementById('plannerMethod').value]);
+}
+
+function updatePlannerStatus() {
+  const el = document.getElementById('plannerStatus');
+  if (!plannerResult) { el.textContent = ''; return; }
+  const { method, genome, score, expanded, ms } = plannerResult;
+  const label = BinauralPlanner.PLANNERS[method].label;
+  if (!genome) { el.textContent = `${label}: no route to B`; return; }
+  const hits = (n) => (n ? `, ${n} wall hits` : '');
+  const ga = lastBest ? ` vs GA ${lastBest.fitness.toFixed(3)}` : '';
+  const unit = method === 'rrtstar' ? 'nodes' : 'cells';
+  el.textContent = `${label}: ${genome.fitness.toFixed(3)}${ga}${hits(genome.collisions)} · polyline ${score.fitness.toFixed(3)}${hits(score.collisions)} · ${expanded} ${unit}, ${Math.round(ms)} ms`;
+}
+
+// ---------- Path Editing ----------
+// The best path's control points become handles (spheres in 3D, discs in 2D). Dragging one re-scores
+// the edited copy live; "Inject as Elite" hands it to the running evolution (or starts a run from
+// it). Locked segments pin their control points in every genome of the runs that follow
+// (genome.locked in evolution.js), until they are unlocked in another edit.
+const EDIT_HANDLE_COLOR = 0xe6e9ef;
+const LOCKED_HANDLE_COLOR = 0xf59e0b;
+const EDIT_HANDLE_GEOMETRY = new THREE.SphereGeometry(0.35, 16, 12);
+let editGroup; // one sphere per control point of editGenome
+let editGenome = null; // copy of lastBest being edited, or null
+let editLocks = new Set(); // ctrl indices locked in the current edit
+let editPausedRun = false; // editing paused the run; injecting or reverting resumes it
+let pathLocks = []; // [{ index, x, z }] sent with every run (createEvolution options.locked)
+
+function startEditing() {
+  if (!lastBest || editGenome) return;
+  editGenome = BinauralEvolution.cloneGenome(lastBest);
+  delete editGenome.genes; // re-encoded from ctrl when injected
+  // the best's own locks (holdLocked keeps its points on them): insertions and deletions in the
+  // variable encoding move them off the indices pathLocks was sent with
+  editLocks = new Set((editGenome.locked || []).filter(l => l.index < editGenome.ctrl.length).map(l => l.index));
+  if (running && !paused) { togglePause(); editPausedRun = true; }
+  scoreEdit();
+  showBest(editGenome);
+  renderEditPanel();
+}
+
+// Leaves edit mode; the run resumes if editing paused it
+function endEditing() {
+  if (!editGenome) return;
+  editGenome = null;
+  syncEditHandles();
+  if (editPausedRun && running && paused) togglePause();
+  editPausedRun = false;
+  if (lastBest) showBest(lastBest);
+  renderEditPanel();
+}
+
+// Redraws the shown path (the edit in progress, else the best) after the world or settings changed
+function redrawBest() {
+  if (editGenome) { scoreEdit(); showBest(editGenome); }
+  else if (lastBest) showBest(lastBest);
+}
+
+// A new world or scene: edits and locks no longer fit it
+function resetPathEditing() {
+  endEditing();
+  pathLocks = [];
+  renderEditPanel();
+}
+
+function moveCtrl(index, x, z) {
+  editGenome.ctrl[index] = { x, y: 0, z };
+  scoreEdit();
+  showBest(editGenome);
+  syncEditHandles();
+}
+
+// Dropped handles land on whole centimetres, like dragged points
+function dropCtrl(index) {
+  const p = editGenome.ctrl[index];
+  moveCtrl(index, Math.round(p.x * 100) / 100, Math.round(p.z * 100) / 100);
+  refreshTopDown();
+}
+
+function scoreEdit() {
+  BinauralEvolution.evaluateFitness(worldSnapshot(), PARAMS, TARGET, editGenome);
+  renderEditStatus();
+}
+
+// Segment k runs from ctrl k-1 (A for k = 0) to ctrl k (B for the last); locking it locks its control points
+function segmentEnds(k) {
+  return [k - 1, k].filter(i => i >= 0 && i < editGenome.ctrl.length);
+}
+
+function setSegmentLocked(k, locked) {
+  segmentEnds(k).forEach(i => { if (locked) editLocks.add(i); else editLocks.delete(i); });
+  renderEditPanel();
+}
+
+function injectEdit() {
+  if (!editGenome) return;
+  // locks waiting past the path's end (variable encoding) stay as they were
+  const waiting = (editGenome.locked || []).filter(l => l.index >= editGenome.ctrl.length).map(l => Object.assign({}, l));
+  pathLocks = Array.from(editLocks).sort((a, b) => a - b).map(index => (
+    { index, x: editGenome.ctrl[index].x, z: editGenome.ctrl[index].z })).concat(waiting);
+  const genome = BinauralEvolution.cloneGenome(editGenome);
+  if (pathLocks.length) genome.locked = pathLocks.map(l => Object.assign({}, l));
+  else delete genome.locked;
+  if (running) {
+    runner.post({ type: 'inject', genomes: [genome], locked: pathLocks });
+    endEditing();
+  } else {
+    endEditing();
+    runEvolution(true, TARGET, null, [genome]);
+  }
+  setEditStatus(`Injected a path scoring ${genome.fitness.toFixed(3)}`);
+}
+
+// Handles follow editGenome's control points; locked ones are amber
+function syncEditHandles() {
+  const ctrl = editGenome ? editGenome.ctrl : [];
+  while (editGroup.children.length > ctrl.length) {
+    const mesh = editGroup.children[editGroup.children.length - 1];
+    editGroup.remove(mesh);
+    mesh.material.dispose();
+  }
+  while (editGroup.children.length < ctrl.length) {
+    editGroup.add(new THREE.Mesh(EDIT_HANDLE_GEOMETRY, new THREE.MeshStandardMaterial({ color: EDIT_HANDLE_COLOR, metalness: 0.1, roughness: 0.4 })));
+  }
+  ctrl.forEach((p, i) => {
+    const mesh = editGroup.children[i];
+    mesh.position.set(p.x, 0.35, p.z);
+    mesh.material.color.set(editLocks.has(i) ? LOCKED_HANDLE_COLOR : EDIT_HANDLE_COLOR);
+  });
+}
+
+function renderEditPanel() {
+  const editing = !!editGenome;
+  document.getElementById('editPathBtn').hidden = editing;
+  document.getElementById('editActions').hidden = !editing;
+  const list = document.getElementById('segmentList');
+  list.innerHTML = '';
+  if (editing) {
+    const name = (i) => (i < 0 ? 'A' : i >= editGenome.ctrl.length ? 'B' : `P${i + 1}`);
+    for (let k = 0; k <= editGenome.ctrl.length; k++) {
+      const ends = segmentEnds(k);
+      const li = document.createElement('li');
+      li.className = 'sources__item';
+      li.innerHTML = `<span class="sources__text"></span>
+        <label class="toggle" title="Keep this segment's control points where they are while evolution mutates and crosses paths"><input type="checkbox" /> Lock</label>`;
+      li.querySelector('.sources__text').textContent = `${name(k - 1)} → ${name(k)}`;
+      const box = li.querySelector('input');
+      box.checked = ends.length > 0 && ends.every(i => editLocks.has(i));
+      box.disabled = !ends.length;
+      box.addEventListener('change', (e) => setSegmentLocked(k, e.target.checked));
+      list.appendChild(li);
+    }
+  }
+  syncEditHandles();
+  refreshTopDown();
+  renderEditStatus();
+}
+
+function renderEditStatus() {
+  if (!editGenome) {
+    setEditStatus(pathLocks.length ? `${pathLocks.length} control point${pathLocks.length > 1 ? 's' : ''} locked for every run` : '');
+    return;
+  }
+  const delta = editGenome.fitness - lastBest.fitness;
+  const hits = editGenome.collisions ? ` · ${editGenome.collisions} wall crossings` : '';
+  setEditStatus(`Edited ${editGenome.fitness.toFixed(3)} (${delta >= 0 ? '+' : '−'}${Math.abs(delta).toFixed(3)} vs best)${hits}`);
+}
+
+function setEditStatus(text) {
+  document.getElementById('editStatus').textContent = text;
+}
+
+// ---------- Scene Pointer (pick + drag) ----------
+function enableScenePointer() {
+  const raycaster = new THREE.Raycaster();
+  const ndc = new THREE.Vector2();
+  const ground = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+  const hit = new THREE.Vector3();
+  const dom = renderer.domElement;
+  // { object, point, source?, moved }, { object, ctrl, moved } for a control point being edited or
+  // { object, obstacle, from, resize, moved } for an obstacle
+  let drag = null;
+  let suppressClick = false;
+  let pressAt = null; // where the last press began, so a camera drag doesn't place an obstacle
+
+  function aim(ev) {
+    const rect = dom.getBoundingClientRect();
+    ndc.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
+    ndc.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
+    raycaster.setFromCamera(ndc, camera);
+  }
+
+  function clampToWorld(p) {
+    const hw = WORLD.width / 2, hd = WORLD.depth / 2;
+    return { x: Math.max(-hw, Math.min(hw, p.x)), z: Math.max(-hd, Math.min(hd, p.z)) };
+  }
+
+  // Draggable things and the WORLD point each one edits
+  function pick() {
+    const handles = [
+      { object: startMesh, point: WORLD.A },
+      { object: goalMesh, point: WORLD.B },
+      ...sourceViews.map(v => ({ object: v.sprite, point: v.source.position, source: v.source })),
+      ...agentViews.flatMap(v => [{ object: v.start, point: v.agent.A }, { object: v.goal, point: v.agent.B }]),
+      ...editGroup.children.map((mesh, i) => ({ object: mesh, ctrl: i })),
+      ...obstacleGroup.children.map(mesh => ({ object: mesh, obstacle: mesh.userData.obstacle })),
+    ];
+    const hits = raycaster.intersectObjects(handles.map(h => h.object), true);
+    if (!hits.length) return null;
+    return handles.find(h => hits[0].object === h.object || hits[0].object.parent === h.object) || null;
+  }
+
+  // Capture phase on the container runs before the camera controls see the press
+  container.addEventListener('pointerdown', (ev) => {
+    if (ev.target !== dom || ev.button !== 0) return;
+    pressAt = { x: ev.clientX, y: ev.clientY };
+    aim(ev);
+    const handle = pick();
+    if (!handle) return;
+    ev.stopPropagation();
+    drag = Object.assign({ moved: false }, handle);
+    if (handle.obstacle != null) {
+      if (!raycaster.ray.intersectPlane(ground, hit)) { drag = null; return; }
+      Object.assign(drag, { from: { x: hit.x, z: hit.z }, resize: ev.shiftKey });
+    }
+    dom.setPointerCapture(ev.pointerId);
+    dom.style.cursor = 'grabbing';
+  }, true);
+
+  dom.addEventListener('pointermove', (ev) => {
+    aim(ev);
+    if (!drag) {
+      dom.style.cursor = pick() ? 'grab' : '';
+      showFieldReadout(raycaster.ray.intersectPlane(ground, hit));
       return;
     }
-    i++; gen++;
-
-    const newPop = [];
-    // elitism
-    newPop.push(cloneGenome(population[0]));
-
-    while (newPop.length < PARAMS.popSize) {
-      const p1 = tournamentSelect(population);
-      const p2 = tournamentSelect(population);
-      let c = rand() < PARAMS.crossProb ? crossover(p1, p2) : (rand()<0.5 ? cloneGenome(p1) : cloneGenome(p2));
-      c = mutate(c);
-      newPop.push(c);
+    if (!raycaster.ray.intersectPlane(ground, hit)) return;
+    const { x, z } = clampToWorld(hit);
+    drag.moved = true;
+    if (drag.ctrl != null) { moveCtrl(drag.ctrl, x, z); return; }
+    if (drag.obstacle != null) { dragObstacle(drag.obstacle, drag.from, { x, z }, drag.resize); return; }
+    drag.point.set(x, 0, z);
+    syncSceneToWorld(); // field uniforms, rings and labels follow live
+    redrawBest();
+    if (lastTeam) showTeam(lastTeam, lastSeparation);
+  });
+
+  dom.addEventListener('pointerleave', () => showFieldReadout(null));
+
+  dom.addEventListener('pointerup', (ev) => {
+    if (!drag) return;
+    const { moved, point, source, ctrl, obstacle } = drag;
+    drag = null;
+    dom.style.cursor = '';
+    if (dom.hasPointerCapture(ev.pointerId)) dom.releasePointerCapture(ev.pointerId);
+    if (!moved) return; // a plain click; the click handler picks the target
+    suppressClick = true;
+    if (ctrl != null) dropCtrl(ctrl);
+    else if (obstacle != null) dropObstacle();
+    else dropPoint(point, source);
+  });
+
+  dom.addEventListener('click', (ev) => {
+    if (suppressClick) { suppressClick = false; return; }
+    aim(ev);
+    if (placingObstacle) {
+      const still = pressAt && Math.hypot(ev.clientX - pressAt.x, ev.clientY - pressAt.y) < 5;
+      if (still && raycaster.ray.intersectPlane(ground, hit)) placeObstacle(clampToWorld(hit));
+      return;
     }
+    const handle = pick();
+    if (handle && handle.source) targetSource(handle.source);
+  });
+}
+
+// A dragged point lands on whole centimetres, like jitter; a source keeps it as its base
+function dropPoint(point, source = null) {
+  point.set(Math.round(point.x * 100) / 100, 0, Math.round(point.z * 100) / 100);
+  if (source) source.base.copy(point);
+  onPointsDragged();
+}
+
+function targetSource(source) {
+  TARGET = source.id;
+  updateHUD();
+  renderSourcePanel();
+  runEvolution(true, TARGET);
+}
+
+// After a drop: refresh everything that depends on positions and optionally restart from the last best
+function onPointsDragged() {
+  syncSceneToWorld();
+  redrawBest();
+  if (lastTeam) showTeam(lastTeam, teamSeparation(lastTeam));
+  refreshPlanner();
+  if (currentSeed != null) writeUrlState();
+  if (document.getElementById('restartOnDrop').checked) {
+    const seedGenome = lastBest;
+    cancelEvolution();
+    runEvolution(true, TARGET, null, seedGenome ? [seedGenome] : null);
+  }
+}
+
+// ---------- 2D View ----------
+// The same run drawn top-down (topdown.js) instead of the 3D scene: world, best path, agents'
+// paths, planner path, the population each generation and the walking heads. Drags edit WORLD
+// (or the path being edited) exactly like drags in 3D.
+function setViewMode(mode) {
+  viewMode = mode;
+  const flat = mode === '2d';
+  document.getElementById('topDownView').hidden = !flat;
+  renderer.domElement.style.visibility = flat ? 'hidden' : '';
+  document.getElementById('viewToggle').textContent = flat ? '3D View' : '2D View';
+  runner.post({ type: 'population', enabled: populationWanted() });
+  if (!flat) topDown.setPopulation([]);
+  refreshTopDown();
+  drawTopDownField();
+}
 
-    newPop.forEach(evaluateFitness);
-    newPop.sort((a,b)=>b.fitness-a.fitness);
-    population = newPop;
+// generations carry the population while either view draws it
+function populationWanted() {
+  return populationView.visible || viewMode === '2d';
+}
+
+function refreshTopDown() {
+  if (viewMode !== '2d') return;
+  if (!topDown.dragging) {
+    topDown.setWorld(Object.assign(worldSnapshot(), { width: WORLD.width, depth: WORLD.depth }));
+    topDown.setBackdrop(planBackdrop);
+  }
+  topDown.setBest(animPath);
+  if (!topDown.dragging) topDown.setEditHandles(editGenome ? editGenome.ctrl : [], editLocks);
+  topDown.setTeam(agentViews.filter(v => v.path.length > 1).map(v => ({ pts: v.path, color: v.agent.color })));
+  topDown.setPlanner(plannerResult && plannerResult.genome ? pathPoints(WORLD, plannerResult.genome, PARAMS.stepsPerPath) : null);
+}
+
+// Heads (and moving sources) as they are this frame
+function updateTopDownFrame() {
+  if (isTimeVarying(WORLD)) topDown.setTime(timelineT);
+  if (!bestPathHead.visible) { topDown.setHeads([]); return; }
+  topDown.setHeads([{ p: bestPathHead.position, color: 0xe6e9ef }].concat(agentViews.map(v => (
+    { p: v.head.visible ? v.head.position : null, color: v.agent.color, r: 0.17 }))));
+}
+
+function topDownPoint(handle) {
+  if (handle.kind === 'A') return { point: WORLD.A };
+  if (handle.kind === 'B') return { point: WORLD.B };
+  if (handle.kind === 'source') return { point: WORLD.sources[handle.index].position, source: WORLD.sources[handle.index] };
+  return { point: WORLD.agents[handle.index][handle.kind === 'agentA' ? 'A' : 'B'] };
+}
 
-    if (!lastBest || population[0].fitness > lastBest.fitness) {
-      lastBest = cloneGenome(population[0]);
-      showBest(lastBest);
+function onTopDownDrag(handle, p) {
+  if (handle.kind === 'ctrl') { moveCtrl(handle.index, p.x, p.z); return; }
+  if (handle.kind === 'obstacle') { dragObstacle(handle.index, handle.from, p, handle.resize); return; }
+  topDownPoint(handle).point.set(p.x, 0, p.z);
+  syncSceneToWorld();
+  redrawBest();
+  if (lastTeam) showTeam(lastTeam, lastSeparation);
+}
+
+function onTopDownDrop(handle) {
+  if (handle.kind === 'ctrl') { dropCtrl(handle.index); return; }
+  if (handle.kind === 'obstacle') { dropObstacle(); return; }
+  const { point, source } = topDownPoint(handle);
+  dropPoint(point, source);
+  refreshTopDown();
+}
+
+function onTopDownClick(handle) {
+  if (handle.kind === 'source') targetSource(WORLD.sources[handle.index]);
+  if (handle.kind === 'obstacle' && placingObstacle) placeObstacle(handle.from);
+}
+
+// ---------- Population View ----------
+const POP_PATH_POINTS = 48; // points per drawn genome path (coarser than the best path)
+const GHOST_TRAIL = 12; // earlier best paths kept in the trail
+const POP_BEST_COLOR = new THREE.Color(0x8b5cf6);
+const POP_WORST_COLOR = new THREE.Color(0x334155);
+
+// All genomes in one LineSegments + one Points geometry (rank -> color and alpha), and the
+// previous bests as a fading trail. Buffers grow on demand and are reused between generations.
+function createPopulationView() {
+  const lineMaterial = () => new THREE.LineBasicMaterial({ vertexColors: true, transparent: true, depthWrite: false });
+  const paths = new THREE.LineSegments(new THREE.BufferGeometry(), lineMaterial());
+  const markers = new THREE.Points(new THREE.BufferGeometry(), new THREE.PointsMaterial({ size: 0.45, vertexColors: true, transparent: true, depthWrite: false }));
+  const ghosts = new THREE.LineSegments(new THREE.BufferGeometry(), lineMaterial());
+  const group = new THREE.Group();
+  group.add(ghosts, paths, markers);
+  group.visible = false;
+  let trail = [];
+
+  // (re)allocates position (xyz) and color (rgba) buffers when `count` vertices don't fit
+  function reserve(geom, count) {
+    const pos = geom.getAttribute('position');
+    if (!pos || pos.count < count) {
+      const size = Math.max(64, 2 ** Math.ceil(Math.log2(count)));
+      geom.setAttribute('position', new THREE.BufferAttribute(new Float32Array(size * 3), 3).setUsage(THREE.DynamicDrawUsage));
+      geom.setAttribute('color', new THREE.BufferAttribute(new Float32Array(size * 4), 4).setUsage(THREE.DynamicDrawUsage));
     }
+    geom.setDrawRange(0, count);
+    return { pos: geom.getAttribute('position'), col: geom.getAttribute('color') };
+  }
 
-    updateHUD();
+  function writePath(buf, offset, pts, y, color, alpha) {
+    for (let i = 0; i < pts.length - 1; i++) {
+      [pts[i], pts[i + 1]].forEach((p, k) => {
+        const v = offset + i * 2 + k;
+        buf.pos.setXYZ(v, p.x, y, p.z);
+        buf.col.setXYZW(v, color.r, color.g, color.b, alpha);
+      });
+    }
+    return offset + (pts.length - 1) * 2;
+  }
 
-    // animate rings subtly each generation
-    pulseRingsOnce();
+  function commit(geom) {
+    geom.getAttribute('position').needsUpdate = true;
+    geom.getAttribute('color').needsUpdate = true;
+    geom.computeBoundingSphere();
+  }
+
+  // `population` is sorted best first, as sent by the run controller
+  function update(population) {
+    const n = population.length;
+    const segs = POP_PATH_POINTS;
+    const lines = reserve(paths.geometry, n * segs * 2);
+    const ctrlCount = population.reduce((sum, g) => sum + g.ctrl.length, 0);
+    const dots = reserve(markers.geometry, ctrlCount);
+    const color = new THREE.Color();
+    let offset = 0, dot = 0;
+    population.forEach((g, rank) => {
+      const t = n > 1 ? rank / (n - 1) : 0;
+      color.copy(POP_BEST_COLOR).lerp(POP_WORST_COLOR, t);
+      const alpha = 0.75 - 0.65 * t;
+      offset = writePath(lines, offset, pathPoints(WORLD, g, segs), 0.03, color, alpha);
+      g.ctrl.forEach(c => {
+        dots.pos.setXYZ(dot, c.x, 0.08, c.z);
+        dots.col.setXYZW(dot, color.r, color.g, color.b, Math.min(1, alpha + 0.2));
+        dot++;
+      });
+    });
+    commit(paths.geometry);
+    commit(markers.geometry);
+  }
+
+  function drawTrail() {
+    const segs = POP_PATH_POINTS;
+    const buf = reserve(ghosts.geometry, Math.max(1, trail.length * segs * 2));
+    if (!trail.length) { ghosts.geometry.setDrawRange(0, 0); return; }
+    const white = new THREE.Color(0xe6e9ef);
+    let offset = 0;
+    trail.forEach((pts, i) => { offset = writePath(buf, offset, pts, 0.02, white, 0.06 + 0.3 * (i + 1) / trail.length); });
+    commit(ghosts.geometry);
+  }
+
+  return {
+    group, update,
+    // remembers a best that has just been superseded; the newest ghost is the brightest
+    addGhost(genome) {
+      trail = trail.concat([pathPoints(WORLD, genome, POP_PATH_POINTS)]).slice(-GHOST_TRAIL);
+      drawTrail();
+    },
+    clear() {
+      trail = [];
+      drawTrail();
+      [paths, markers].forEach(obj => obj.geometry.setDrawRange(0, 0));
+    },
+    setVisible(v) { group.visible = v; },
+    get visible() { return group.visible; },
+  };
+}
+
+// ---------- Convergence Charts ----------
+const SVG_NS = 'http://www.w3.org/2000/svg';
+function svgEl(tag, attrs) {
+  const el = document.createElementNS(SVG_NS, tag);
+  Object.keys(attrs).forEach(k => el.setAttribute(k, attrs[k]));
+  return el;
+}
+
+function polylinePoints(rows, key, x, y) {
+  return rows.map(r => `${x(r.gen).toFixed(1)},${y(r[key]).toFixed(1)}`).join(' ');
+}
+
+// Best/mean/worst per generation (previous run's best dashed), diversity and the fitness histogram
+function renderCharts(cursorGen = null) {
+  const chart = document.getElementById('convergenceChart');
+  chart.innerHTML = '';
+  const rows = runHistory, prev = previousHistory || [];
+  if (!rows.length) return;
+  const W = 180, H = 90, pad = 4;
+  const all = rows.concat(prev);
+  const maxGen = Math.max(1, ...all.map(r => r.gen));
+  const lo = Math.min(...all.map(r => r.worst)), hi = Math.max(...all.map(r => r.best));
+  const x = g => pad + g / maxGen * (W - 2 * pad);
+  const y = v => (hi > lo ? H - pad - (v - lo) / (hi - lo) * (H - 2 * pad) : H / 2);
+  chart.appendChild(svgEl('line', { class: 'chart__axis', x1: pad, y1: H - pad, x2: W - pad, y2: H - pad }));
+  if (prev.length) chart.appendChild(svgEl('polyline', { class: 'chart__line chart__line--previous', points: polylinePoints(prev, 'best', x, y) }));
+  ['worst', 'mean', 'best'].forEach(key => {
+    chart.appendChild(svgEl('polyline', { class: `chart__line chart__line--${key}`, points: polylinePoints(rows, key, x, y) }));
+  });
+  const shown = cursorGen != null ? rows.find(r => r.gen === cursorGen) || rows[rows.length - 1] : rows[rows.length - 1];
+  if (cursorGen != null) chart.appendChild(svgEl('line', { class: 'chart__cursor', x1: x(shown.gen), y1: pad, x2: x(shown.gen), y2: H - pad }));
+  const before = prev.find(r => r.gen === shown.gen);
+  document.getElementById('chartReadout').textContent =
+    `gen ${shown.gen}: best ${shown.best.toFixed(2)} · mean ${shown.mean.toFixed(2)} · worst ${shown.worst.toFixed(2)}` +
+    (shown.scale != null ? ` · step ${shown.scale.toFixed(2)}` : '') +
+    (before ? ` · prev best ${before.best.toFixed(2)}` : '');
+
+  const div = document.getElementById('diversityChart');
+  div.innerHTML = '';
+  const dmax = Math.max(1e-6, ...all.map(r => r.diversity));
+  const dy = v => 30 - pad - v / dmax * (30 - 2 * pad);
+  if (prev.length) div.appendChild(svgEl('polyline', { class: 'chart__line chart__line--previous', points: polylinePoints(prev, 'diversity', x, dy) }));
+  div.appendChild(svgEl('polyline', { class: 'chart__line chart__line--diversity', points: polylinePoints(rows, 'diversity', x, dy) }));
+  div.appendChild(svgEl('text', { x: W - pad, y: 10, 'text-anchor': 'end' })).textContent = 'diversity';
+
+  const hist = document.getElementById('histogramChart');
+  hist.innerHTML = '';
+  if (!lastHistogram) return;
+  const { counts, min, max } = lastHistogram;
+  const cmax = Math.max(1, ...counts), bw = (W - 2 * pad) / counts.length;
+  counts.forEach((c, i) => {
+    const h = c / cmax * (30 - 2 * pad);
+    hist.appendChild(svgEl('rect', { class: 'chart__bar', x: pad + i * bw + 0.5, y: 30 - pad - h, width: bw - 1, height: h }));
+  });
+  const label = hist.appendChild(svgEl('text', { x: W - pad, y: 10, 'text-anchor': 'end' }));
+  label.textContent = `fitness ${min.toFixed(1)} – ${max.toFixed(1)}`;
+}
+
+// Hovering the chart inspects any generation of the current (or finished) run
+function onChartHover(ev) {
+  if (!runHistory.length) return;
+  const rect = ev.currentTarget.getBoundingClientRect();
+  const f = rect.width ? (ev.clientX - rect.left) / rect.width : 1;
+  const maxGen = Math.max(1, ...runHistory.concat(previousHistory || []).map(r => r.gen));
+  renderCharts(Math.round(Math.min(1, Math.max(0, f)) * maxGen));
+}
+
+// ---------- Shareable Run State ----------
+function writeUrlState() {
+  const hash = BinauralEvolution.encodeState({ seed: currentSeed, target: TARGET, world: WORLD, params: PARAMS }, PARAM_DEFAULTS);
+  history.replaceState(null, '', '#' + hash);
+  document.getElementById('seedInput').value = String(currentSeed);
+}
+
+// Applies positions/params/target from a hash; if it carries a seed, replays that run.
+function applyUrlState(hash) {
+  const state = BinauralEvolution.decodeState(hash, PARAM_DEFAULTS);
+  if (state.sources) {
+    // links don't carry timelines; a source keeps its own when the link lists the same id
+    WORLD.sources = state.sources.slice(0, MAX_SOURCES).map(src => {
+      const kept = findSource(WORLD, src.id);
+      const out = makeSource(src.id, src.label, src.color, src.position.x, src.position.z, src.power);
+      if (kept && kept.timeline) out.timeline = kept.timeline;
+      return out;
+    });
+  }
+  WORLD.obstacles = state.obstacles || []; // links always list every obstacle
+  planBackdrop = null;
+  resetPathEditing();
+  rebuildObstacleViews();
+  renderObstaclePanel();
+  WORLD.agents = (state.agents || []).slice(0, BinauralEvolution.MAX_AGENTS).map(readAgent); // and every agent
+  lastTeam = null;
+  rebuildAgentViews();
+  Object.keys(state.points).forEach(key => {
+    // legacy links carry speakerL/speakerR points for the 'left'/'right' sources
+    const legacy = key === 'speakerL' ? findSource(WORLD, 'left') : key === 'speakerR' ? findSource(WORLD, 'right') : null;
+    const target = legacy ? legacy.position : WORLD[key];
+    if (target) target.set(state.points[key].x, 0, state.points[key].z);
+  });
+  const { params, errors } = BinauralEvolution.validateParams(state.params, SETTING_SPECS);
+  if (errors.length) console.warn('Ignoring link params:', errors.join('; '));
+  Object.assign(PARAMS, params);
+  if (state.size) resizeWorld(state.size.width, state.size.depth);
+  renderModelControls();
+  renderObjectivePanel();
+  syncSettingsPanel();
+  if (state.target === TARGET_ANY || findSource(WORLD, state.target)) TARGET = state.target;
+  syncSceneToWorld();
+  frameImportant();
+  updateHUD();
+  renderSourcePanel();
+  renderAgentPanel();
+  if (state.seed != null) {
+    cancelEvolution();
+    runEvolution(true, TARGET, state.seed);
+  }
+}
+
+function copyShareLink() {
+  const btn = document.getElementById('copyLinkBtn');
+  const url = location.href;
+  const flash = (text) => { btn.textContent = text; setTimeout(() => { btn.textContent = 'Copy Link'; }, 1500); };
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(() => flash('Link copied'), () => window.prompt('Copy this link:', url));
+  } else {
+    window.prompt('Copy this link:', url);
+  }
+}
 
-    // schedule next generation for smooth UI
-    setTimeout(stepGen, 250);
+// ---------- Exports ----------
+// The best path as drawn (animPath) with per-point ear levels, as CSV/GeoJSON/SVG (export.js),
+// plus PNG frames and WebM recordings of the 3D canvas.
+let recorder = null;
+
+function exportName(ext) {
+  return `binaural-path-${currentSeed != null ? currentSeed : 'untitled'}.${ext}`;
+}
+
+function exportPath(format) {
+  if (animPath.length < 2) { setExportStatus('Run an evolution first.', true); return; }
+  const world = Object.assign(worldSnapshot(), { width: WORLD.width, depth: WORLD.depth });
+  const rows = BinauralExport.pathSamples(world, animPath, PARAMS, { duration: animLength / PARAMS.walkSpeed, delay: animDelay });
+  if (format === 'csv') {
+    downloadBlob(new Blob([BinauralExport.toCsv(rows, world)], { type: 'text/csv' }), exportName('csv'));
+  } else if (format === 'geojson') {
+    const meta = { seed: currentSeed, target: TARGET, fitness: lastBest ? lastBest.fitness : null, model: PARAMS.propagationModel };
+    const json = JSON.stringify(BinauralExport.toGeoJson(rows, world, meta), null, 2) + '\n';
+    downloadBlob(new Blob([json], { type: 'application/geo+json' }), exportName('geojson'));
+  } else {
+    const others = lastFront.map(g => pathPoints(WORLD, g, PARAMS.stepsPerPath));
+    const svg = BinauralExport.toSvg({ world, pts: animPath, others, title: `Binaural path, seed ${currentSeed}` });
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), exportName('svg'));
   }
+  setExportStatus('');
+}
 
-  stepGen();
+// The drawing buffer is only valid right after a render, so render and read in the same task
+function exportPng() {
+  renderer.render(scene, camera);
+  renderer.domElement.toBlob(blob => {
+    if (blob) downloadBlob(blob, exportName('png'));
+    else setExportStatus('Could not capture the canvas.', true);
+  }, 'image/png');
+}
+
+function recordWalk() {
+  if (recorder) { recorder.stop(); return; }
+  if (animPath.length < 2) { setExportStatus('Run an evolution first.', true); return; }
+  const canvas = renderer.domElement;
+  if (!window.MediaRecorder || !canvas.captureStream) { setExportStatus('This browser cannot record the canvas.', true); return; }
+  const type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+  if (!type) { setExportStatus('This browser cannot record WebM.', true); return; }
+  const chunks = [];
+  recorder = new MediaRecorder(canvas.captureStream(60), { mimeType: type });
+  recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+  recorder.onstop = () => {
+    recorder = null;
+    downloadBlob(new Blob(chunks, { type: 'video/webm' }), exportName('webm'));
+    setExportStatus('');
+    document.getElementById('recordBtn').textContent = 'Record Walk (WebM)';
+  };
+  recorder.start();
+  document.getElementById('recordBtn').textContent = 'Stop Recording';
+  setExportStatus('Recording…');
+  playBestPath();
+}
+
+function setExportStatus(text, isError = false) {
+  const el = document.getElementById('exportStatus');
+  el.textContent = text;
+  el.classList.toggle('status--error', isError);
+}
+
+// ---------- Scene Files ----------
+// Save/load the whole scenario (scene.js); a saved result is shown as-is instead of re-running it.
+function saveScene() {
+  const scene = BinauralScene.toScene({
+    name: `Binaural scene ${currentSeed != null ? currentSeed : ''}`.trim(),
+    world: Object.assign(worldSnapshot(), { width: WORLD.width, depth: WORLD.depth }),
+    params: PARAMS,
+    seed: currentSeed,
+    target: TARGET,
+    best: lastBest,
+    team: lastTeam,
+    history: runHistory,
+  });
+  downloadBlob(new Blob([BinauralScene.stringifyScene(scene)], { type: 'application/json' }),
+    `binaural-scene-${currentSeed != null ? currentSeed : 'untitled'}.json`);
+  setSceneStatus('');
+}
+
+function loadSceneFile(file) {
+  if (!file) return;
+  file.text()
+    .then(text => applyScene(BinauralScene.parseScene(text), file.name))
+    .catch(err => setSceneStatus(err.message, true));
+}
+
+function loadLibraryScene(url) {
+  fetch(url)
+    .then(res => { if (!res.ok) throw new Error(`Could not load ${url} (${res.status})`); return res.text(); })
+    .then(text => applyScene(BinauralScene.parseScene(text), url))
+    .catch(err => setSceneStatus(err.message, true));
+}
+
+function applyScene(data, from) {
+  cancelEvolution();
+  const { world } = data;
+  resizeWorld(world.width, world.depth);
+  WORLD.A.set(world.A.x, 0, world.A.z);
+  WORLD.B.set(world.B.x, 0, world.B.z);
+  WORLD.sources = world.sources.slice(0, MAX_SOURCES).map(src => Object.assign(
+    makeSource(src.id, src.label, src.color, src.position.x, src.position.z, src.power), src.timeline ? { timeline: src.timeline } : {}));
+  WORLD.obstacles = world.obstacles;
+  planBackdrop = null;
+  resetPathEditing();
+  rebuildObstacleViews();
+  renderObstaclePanel();
+  WORLD.agents = (world.agents || []).map(readAgent);
+  rebuildAgentViews();
+  Object.assign(PARAMS, PARAM_DEFAULTS, data.params);
+  renderModelControls();
+  renderObjectivePanel();
+  syncSettingsPanel();
+  updateFieldUniforms();
+  TARGET = findSource(WORLD, data.target) ? data.target : TARGET_ANY;
+  restartAudioIfPlaying();
+  syncSceneToWorld();
+  frameImportant();
+  renderSourcePanel();
+  renderAgentPanel();
+
+  showFront([]);
+  populationView.clear();
+  previousHistory = null;
+  runHistory = data.history;
+  lastHistogram = null;
+  stagnation = 0;
+  const last = runHistory[runHistory.length - 1];
+  gen = last ? last.gen : 0;
+  lastStats = last ? { best: last.best, mean: last.mean, worst: last.worst, diversity: last.diversity || 0 } : null;
+  lastBest = data.best;
+  lastTeam = null;
+  lastSeparation = null;
+  if (lastBest) {
+    // re-scored so collisions/objectives match this world
+    BinauralEvolution.evaluateFitness(worldSnapshot(), PARAMS, TARGET, lastBest);
+    showBest(lastBest);
+  }
+  if (lastBest && data.team) showTeam(data.team, teamSeparation(data.team));
+  renderCharts();
+  updateHUD();
+  refreshPlanner();
+  setSceneStatus(`Loaded ${data.name || from}`);
+
+  if (data.seed != null) {
+    currentSeed = data.seed;
+    if (lastBest) writeUrlState();
+    else runEvolution(true, TARGET, data.seed);
+  }
+}
+
+// ---------- Floor Plans ----------
+// An imported plan (floorplan.js, calibrated in planimport.js) becomes the world's bounds and
+// obstacles. A, B, sources and agents keep their positions, pulled inside the new bounds, and the
+// run starts over on the same seed.
+function openFloorPlan(file) {
+  planImport.open(file)
+    .then(() => setSceneStatus(''))
+    .catch(err => setSceneStatus(err.message, true));
+}
+
+function applyFloorPlan(plan, source) {
+  cancelEvolution();
+  const width = fitSetting('worldWidth', plan.width), depth = fitSetting('worldDepth', plan.depth);
+  resizeWorld(width, depth);
+  WORLD.obstacles = plan.obstacles;
+  planBackdrop = source.href ? Object.assign({ href: source.href }, plan.frame) : null;
+  resetPathEditing();
+  const hw = Math.max(0, WORLD.width / 2 - 0.5), hd = Math.max(0, WORLD.depth / 2 - 0.5);
+  const inside = (p) => { p.x = Math.max(-hw, Math.min(hw, p.x)); p.z = Math.max(-hd, Math.min(hd, p.z)); };
+  [WORLD.A, WORLD.B].concat(WORLD.sources.flatMap(src => [src.position, src.base]), WORLD.agents.flatMap(a => [a.A, a.B])).forEach(inside);
+  rebuildObstacleViews();
+  renderObstaclePanel();
+  syncSettingsPanel();
+  syncSceneToWorld();
+  frameImportant();
+  const edges = shaderWalls(obstacleEdges(WORLD)).length;
+  const spec = SETTING_SPECS.worldWidth;
+  setSceneStatus(`Floor plan ${source.name}: ${WORLD.width} × ${WORLD.depth} m, ${WORLD.obstacles.length} obstacles` +
+    (width !== plan.width || depth !== plan.depth ? ` (the plan is ${plan.width} × ${plan.depth} m; worlds are ${spec.min}–${spec.max} m a side)` : '') +
+    (edges > MAX_WALLS ? ` (the ground shades ${MAX_WALLS} of ${edges} wall edges; fitness uses all)` : ''));
+  runEvolution(true, TARGET, currentSeed);
+}
+
+// A value from outside the settings panel held to its setting's range
+function fitSetting(key, value) {
+  const spec = SETTING_SPECS[key];
+  return BinauralEvolution.validateParam(key, value, SETTING_SPECS).error ? Math.min(spec.max, Math.max(spec.min, value)) : value;
+}
+
+// Agent from a link or scene file; its label follows its place in the list
+function readAgent(a, i) {
+  const target = a.target === TARGET_ANY || findSource(WORLD, a.target) ? a.target : TARGET_ANY;
+  const color = a.color != null ? a.color : AGENT_PALETTE[i % AGENT_PALETTE.length];
+  return makeAgent(a.id, String(i + 2), color, a.A, a.B, target);
+}
+
+// Separation of a saved team, measured as the run does
+function teamSeparation(team) {
+  const world = worldSnapshot();
+  const tracks = BinauralEvolution.agentsOf(world, TARGET).map((agent, k) => (
+    BinauralEvolution.walkTrack(BinauralEvolution.agentWorld(world, agent), PARAMS, team[k])));
+  const sep = BinauralEvolution.separationCost(tracks, PARAMS);
+  return Object.assign(sep, { penalty: PARAMS.separationWeight * sep.cost });
+}
+
+function setSceneStatus(text, isError = false) {
+  const el = document.getElementById('sceneStatus');
+  el.textContent = text;
+  el.classList.toggle('status--error', isError);
+}
+
+// Library entries come from scenes/index.json (needs the page served over http)
+function loadSceneLibrary() {
+  const select = document.getElementById('sceneLibrary');
+  fetch('./scenes/index.json')
+    .then(res => (res.ok ? res.json() : []))
+    .then(list => {
+      list.forEach(entry => {
+        const opt = document.createElement('option');
+        opt.value = './scenes/' + entry.file;
+        opt.textContent = entry.name;
+        select.appendChild(opt);
+      });
+    })
+    .catch(() => { /* file:// or no library: the picker still works */ })
+    .finally(() => { select.disabled = select.options.length < 2; });
+}
+
+// Dropping a .json file anywhere on the page loads it as a scene (an SVG or image opens the floor plan import)
+function enableSceneDrop(onFile) {
+  const isFile = (e) => e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files');
+  window.addEventListener('dragover', (e) => { if (isFile(e)) e.preventDefault(); });
+  window.addEventListener('drop', (e) => {
+    if (!isFile(e)) return;
+    e.preventDefault();
+    onFile(e.dataTransfer.files[0]);
+  });
+}
+
+function updateRunButtons() {
+  const pauseBtn = document.getElementById('pauseBtn');
+  pauseBtn.disabled = !running;
+  pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+  document.getElementById('cancelBtn').disabled = !running;
 }
 
 function showBest(genome) {
   // Compute spaced points for visual line with per-vertex color reflecting binaural balance
-  const pts = pathPoints(genome, 180);
+  const pts = pathPoints(WORLD, genome, PARAMS.stepsPerPath);
   animPath = pts;
+  animDelay = genome.delay || 0;
+  animLength = BinauralEvolution.pathLength(pts);
+  // with moving/scheduled sources each vertex is colored for the moment the walker gets there
+  const times = isTimeVarying(WORLD) ? walkTimes(pts, PARAMS, animDelay) : null;
 
   const positions = new Float32Array(pts.length * 3);
   const colors = new Float32Array(pts.length * 3);
@@ -487,13 +2360,7 @@ function showBest(genome) {
   for (let i = 0; i < pts.length; i++) {
     const p = pts[i];
     positions[i*3] = p.x; positions[i*3+1] = p.y; positions[i*3+2] = p.z;
-    const Il = intensityAtPoint(p, WORLD.speakerL);
-    const Ir = intensityAtPoint(p, WORLD.speakerR);
-    const sum = Math.max(Il + Ir, 1e-5);
-    const blueness = clamp(Il / sum, 0, 1);
-    const redness = clamp(Ir / sum, 0, 1);
-    // Blend to purple when balanced
-    color.setRGB(0.06*blueness + 0.86*redness, 0.18*blueness + 0.27*redness, 0.53*blueness + 0.27*redness);
+    blendSourceColor(p, color, headingAlong(pts, i), times ? worldAt(WORLD, times[i]) : WORLD);
     colors[i*3] = color.r; colors[i*3+1] = color.g; colors[i*3+2] = color.b;
   }
 
@@ -506,12 +2373,30 @@ function showBest(genome) {
 
   animT = 0;
   bestPathHead.visible = false;
+  agentViews.forEach(v => { v.head.visible = false; v.head.position.copy(v.agent.A); });
   subjectMesh.position.copy(WORLD.A);
+  audio.stop();
+  refreshTopDown();
+}
+
+// Mix source colors by each source's intensity share at p (heard facing `heading` if given)
+const _srcColor = new THREE.Color();
+function blendSourceColor(p, out, heading = null, world = WORLD) {
+  const { shares } = balanceAt(world, p, PARAMS, heading);
+  out.setRGB(0, 0, 0);
+  shares.forEach((share, i) => {
+    _srcColor.set(world.sources[i].color);
+    out.r += share * _srcColor.r; out.g += share * _srcColor.g; out.b += share * _srcColor.b;
+  });
+  return out;
 }
 
 function playBestPath() {
   animT = 0;
+  timelineT = 0;
+  setWalkPaused(false);
   bestPathHead.visible = true;
+  audio.start(WORLD);
 }
 
 function pulseRingsOnce() {
@@ -521,15 +2406,253 @@ function pulseRingsOnce() {
       r.material.opacity = 0.7;
     });
   };
-  play(ringsL); play(ringsR);
+  sourceViews.forEach(v => play(v.rings));
 }
 
 function updateHUD() {
   document.getElementById('genLabel').textContent = String(gen);
-  const best = population && population[0] ? population[0].fitness : 0;
-  document.getElementById('fitLabel').textContent = best.toFixed(3);
-  const tgt = TARGET === 'left' ? 'Left' : TARGET === 'right' ? 'Right' : 'Either';
+  document.getElementById('fitLabel').textContent = lastStats ? lastStats.best.toFixed(3) : '—';
+  document.getElementById('hitLabel').textContent = lastBest ? String(lastBest.collisions || 0) : '—';
+  document.getElementById('editPathBtn').disabled = !lastBest;
+  document.getElementById('divLabel').textContent = lastStats ? lastStats.diversity.toFixed(2) : '—';
+  const badge = document.getElementById('stagnationBadge');
+  badge.toggleAttribute('hidden', stagnation < STAGNATION_GENS);
+  badge.textContent = `No gain for ${stagnation} gens`;
+  if (!isTimeVarying(WORLD)) document.getElementById('timeLabel').textContent = '—';
+  document.getElementById('strategyLabel').textContent = strategySummary();
+  document.getElementById('separationRow').toggleAttribute('hidden', !WORLD.agents.length);
+  document.getElementById('separationLabel').textContent = lastSeparation && Number.isFinite(lastSeparation.closest)
+    ? `${lastSeparation.closest.toFixed(2)} m` + (lastSeparation.penalty > 0 ? ` (−${lastSeparation.penalty.toFixed(2)})` : '') : '—';
+  const src = findSource(WORLD, TARGET);
+  const tgt = src ? src.label : 'Either';
   const el = document.getElementById('targetLabel'); if (el) el.textContent = tgt;
+  if (fieldMesh && fieldTarget !== TARGET) updateFieldUniforms(); // target-only and fitness fields follow it
+}
+
+// "CMA-ES · step 1.25", plus each island's best (and its target when they differ) for the island model
+function strategySummary() {
+  const id = lastStrategy ? lastStrategy.id : PARAMS.strategy;
+  const strategy = BinauralEvolution.STRATEGIES[id];
+  let text = strategy ? strategy.label : id;
+  if (lastStrategy && Number.isFinite(lastStrategy.scale)) text += ` · step ${lastStrategy.scale.toFixed(2)}`;
+  if (lastStrategy && lastStrategy.islands) {
+    text += ' · ' + lastStrategy.islands.map(isl => {
+      const src = isl.target !== TARGET ? findSource(WORLD, isl.target) : null;
+      return (src ? src.label + ' ' : '') + isl.best.toFixed(1);
+    }).join(' / ');
+  }
+  return text;
+}
+
+// Level of the target (or loudest) source at the walking head, with its interaural cues
+function updateEarReadout(p, heading, world = WORLD) {
+  const el = document.getElementById('earLabel');
+  if (!el) return;
+  const edges = obstacleEdges(world);
+  const loudness = (src) => sourceIntensityAt(world, p, src, PARAMS, edges, heading);
+  const src = findSource(world, TARGET) || world.sources.reduce((a, b) => (loudness(b) > loudness(a) ? b : a), world.sources[0]);
+  if (!src) { el.textContent = '—'; return; }
+  const db = BinauralAcoustics.toDb(loudness(src), PARAMS);
+  const { ild, itd } = binauralCuesAt(world, p, src, heading, PARAMS);
+  el.textContent = `${src.label} ${db.toFixed(1)} dB · ILD ${ild.toFixed(1)} dB · ITD ${Math.round(itd * 1e6)} µs`;
+}
+
+// Left/right ear levels for the walker's heading: every source split between the ears by its ILD
+function updateEarLevels(p, heading, world = WORLD) {
+  const ears = BinauralEvolution.earIntensitiesAt(world, p, heading, PARAMS);
+  const l = BinauralAcoustics.toDb(ears.left, PARAMS), r = BinauralAcoustics.toDb(ears.right, PARAMS);
+  document.getElementById('earsLabel').textContent = `L ${l.toFixed(1)} · R ${r.toFixed(1)} dB`;
+  document.getElementById('earMeterL').style.width = `${earMeter(l)}%`;
+  document.getElementById('earMeterR').style.width = `${earMeter(r)}%`;
+}
+
+// Meter fill over EAR_METER_DB below the reference level up to 20 dB above it
+const EAR_METER_DB = 50;
+function earMeter(db) {
+  return Math.max(0, Math.min(100, (db - PARAMS.referenceLevel + EAR_METER_DB) / (EAR_METER_DB + 20) * 100));
+}
+
+// ---------- Propagation Model ----------
+function renderModelControls() {
+  const models = document.getElementById('modelSelect');
+  models.innerHTML = '';
+  Object.values(BinauralAcoustics.MODELS).forEach(m => models.add(new Option(m.label, m.id)));
+  const bands = document.getElementById('airBandSelect');
+  if (!bands.options.length) {
+    bands.add(new Option('Broadband', 'broadband'));
+    Object.keys(BinauralAcoustics.AIR_BANDS).forEach(hz => bands.add(new Option(hz >= 1000 ? `${hz / 1000} kHz` : `${hz} Hz`, hz)));
+  }
+  models.value = PARAMS.propagationModel;
+  bands.value = String(PARAMS.airBand);
+  document.getElementById('airBandField').hidden = PARAMS.propagationModel !== 'airAbsorption';
+  document.getElementById('referenceInput').value = String(PARAMS.referenceLevel);
+}
+
+// Fitness, path colors and the ground shader all read the same PARAMS
+function setPropagation(changes) {
+  Object.assign(PARAMS, changes);
+  renderModelControls();
+  updateFieldUniforms();
+  redrawBest();
+  if (currentSeed != null) writeUrlState();
+  syncSettingsPanel();
+}
+
+// ---------- Settings Panel ----------
+// Every PARAMS field (specs and ranges from evolution.js) plus page-level settings
+const SETTING_SPECS = Object.assign({}, BinauralEvolution.PARAM_SPECS, {
+  worldWidth: { group: 'World', label: 'World width', min: 10, max: 400, step: 1 },
+  worldDepth: { group: 'World', label: 'World depth', min: 10, max: 400, step: 1 },
+  jitter: { group: 'World', label: 'Speaker jitter', min: 0, max: 20, step: 0.1 },
+  autoplay: { group: 'World', label: 'Autoplay on load', boolean: true },
+  timeScale: { group: 'Timing', label: 'Playback speed (×)', min: 0.1, max: 20, step: 0.1 },
+});
+// Settings that only change what is drawn, so they apply immediately even mid-run
+const VISUAL_SETTINGS = ['worldWidth', 'worldDepth', 'stepsPerPath', 'propagationModel', 'falloffOffset', 'airBand', 'headShadowDb', 'referenceLevel', 'walkSpeed', 'timeScale'];
+const ACOUSTIC_SETTINGS = ['propagationModel', 'falloffOffset', 'airBand', 'headShadowDb', 'referenceLevel'];
+// what else the fitness heatmap reads
+const FIELD_SETTINGS = ACOUSTIC_SETTINGS.concat(['loudnessWeight', 'balanceWeight', 'quietTimeWeight', 'loudTimeWeight', 'quietThreshold', 'loudThreshold', 'fitnessSamples']);
+
+function settingValue(key) {
+  if (key === 'worldWidth') return WORLD.width;
+  if (key === 'worldDepth') return WORLD.depth;
+  return PARAMS[key];
+}
+
+function renderSettingsPanel() {
+  const presets = document.getElementById('presetSelect');
+  Object.keys(BinauralEvolution.PRESETS).forEach(id => presets.add(new Option(BinauralEvolution.PRESETS[id].label, id)));
+  const groups = document.getElementById('paramGroups');
+  groups.innerHTML = '';
+  const byGroup = {};
+  Object.keys(SETTING_SPECS).forEach(key => {
+    const name = SETTING_SPECS[key].group;
+    (byGroup[name] = byGroup[name] || []).push(key);
+  });
+  Object.keys(byGroup).forEach(name => {
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'settings__group';
+    fieldset.appendChild(document.createElement('legend')).textContent = name;
+    byGroup[name].forEach(key => fieldset.appendChild(settingField(key)));
+    groups.appendChild(fieldset);
+  });
+  syncSettingsPanel();
+}
+
+function settingField(key) {
+  const spec = SETTING_SPECS[key];
+  const label = document.createElement('label');
+  label.className = 'settings__field' + (spec.live || VISUAL_SETTINGS.includes(key) ? ' settings__field--live' : '');
+  label.appendChild(document.createElement('span')).textContent = spec.label;
+  let input;
+  if (spec.options) {
+    input = document.createElement('select');
+    spec.options().forEach(value => input.add(new Option(value, value)));
+  } else {
+    input = document.createElement('input');
+    input.type = spec.boolean ? 'checkbox' : 'number';
+    if (!spec.boolean) Object.assign(input, { min: spec.min, max: spec.max, step: spec.step });
+  }
+  if (!spec.boolean) input.className = 'field';
+  if (spec.min != null) input.title = `${spec.min} – ${spec.max}`;
+  input.dataset.param = key;
+  input.addEventListener('change', () => {
+    const error = setSetting(key, spec.boolean ? input.checked : input.value);
+    input.classList.toggle('is-invalid', !!error);
+    if (error) showSettingError(error);
+    else document.getElementById('presetSelect').value = '';
+  });
+  label.appendChild(input);
+  return label;
+}
+
+function syncSettingsPanel() {
+  document.querySelectorAll('#paramGroups [data-param]').forEach(input => {
+    const value = settingValue(input.dataset.param);
+    if (input.type === 'checkbox') input.checked = !!value;
+    else input.value = String(value);
+    input.classList.remove('is-invalid');
+  });
+  // strategies without NSGA-II can't be picked while Pareto mode is on
+  const pareto = PARAMS.objectiveMode === 'pareto';
+  Array.from(document.querySelectorAll('#paramGroups [data-param="strategy"] option')).forEach(option => {
+    const strategy = BinauralEvolution.STRATEGIES[option.value];
+    option.disabled = pareto && !strategy.pareto;
+    option.title = option.disabled ? 'Pareto mode runs on the GA' : '';
+  });
+}
+
+// Pareto mode falls back to the GA from a strategy that can't rank fronts; returns a note when it did
+function fitStrategyToObjectives() {
+  const strategy = BinauralEvolution.STRATEGIES[PARAMS.strategy];
+  if (PARAMS.objectiveMode !== 'pareto' || !strategy || strategy.pareto) return null;
+  PARAMS.strategy = 'ga';
+  return `Pareto mode runs on the GA: switched from ${strategy.label}`;
+}
+
+function showSettingError(error) {
+  document.getElementById('paramStatus').textContent = error || '';
+}
+
+// Validates and applies one setting (noting when the strategy had to follow it); returns an error
+// message or null
+function setSetting(key, raw) {
+  const { value, error } = BinauralEvolution.validateParam(key, raw, SETTING_SPECS);
+  if (error) return error;
+  if (key === 'worldWidth') resizeWorld(value, WORLD.depth);
+  else if (key === 'worldDepth') resizeWorld(WORLD.width, value);
+  else PARAMS[key] = value;
+  const note = fitStrategyToObjectives();
+  applySettings(note ? [key, 'strategy'] : [key]);
+  showSettingError(note);
+  return null;
+}
+
+// Pushes changed settings to everything that shows them; live params reach a running evolution
+function applySettings(keys) {
+  const live = {};
+  keys.forEach(key => { if (SETTING_SPECS[key].live) live[key] = PARAMS[key]; });
+  if (running && Object.keys(live).length) runner.post({ type: 'params', params: live });
+  if (keys.some(key => FIELD_SETTINGS.includes(key))) updateFieldUniforms();
+  // the clock's speed needs no redraw, which would also stop a walk in progress
+  if (keys.some(key => VISUAL_SETTINGS.includes(key) && key !== 'timeScale')) redrawBest();
+  renderModelControls();
+  syncWalkSpeed();
+  renderObjectivePanel();
+  syncSettingsPanel();
+}
+
+// Rebuilds the ground to the new size; A, B and sources keep their positions
+function resizeWorld(width, depth) {
+  if (width === WORLD.width && depth === WORLD.depth) return;
+  WORLD.width = width;
+  WORLD.depth = depth;
+  scene.remove(fieldMesh);
+  fieldMesh.geometry.dispose();
+  fieldMesh.material.dispose();
+  fieldMesh = createFieldMesh(WORLD, 180, 140);
+  scene.add(fieldMesh);
+  updateFieldUniforms();
+}
+
+// Presets start from the defaults so they give the same run whatever was set before
+function applyPreset(id) {
+  const preset = BinauralEvolution.PRESETS[id];
+  if (!preset) return;
+  const keys = Object.keys(BinauralEvolution.PARAM_SPECS);
+  keys.forEach(key => { PARAMS[key] = PARAM_DEFAULTS[key]; });
+  Object.assign(PARAMS, preset.params);
+  showSettingError(null);
+  applySettings(keys);
+  document.getElementById('presetSelect').value = id;
+}
+
+function resetSettings() {
+  Object.assign(PARAMS, PARAM_DEFAULTS);
+  resizeWorld(WORLD_DEFAULT_SIZE.width, WORLD_DEFAULT_SIZE.depth);
+  showSettingError(null);
+  applySettings(Object.keys(SETTING_SPECS));
+  document.getElementById('presetSelect').value = '';
 }
 
 // ---------- Main Animation Loop ----------
@@ -538,37 +2661,170 @@ function animate() {
 
   // ring breathing
   const t = performance.now() * 0.001;
-  [...ringsL, ...ringsR].forEach((r, i) => {
+  sourceViews.flatMap(v => v.rings).forEach((r, i) => {
     const s = 1 + 0.15*Math.sin(t*1.8 + i*0.8);
     r.scale.setScalar(s);
     r.material.opacity = 0.36 + 0.28*Math.sin(t*2.0 + i*0.6 + (r.position.x>0?1:0));
   });
 
-  if (fieldMesh && fieldMesh.userData.uniforms) {
-    fieldMesh.userData.uniforms.uTime.value = t;
-  }
+  const dt = lastFrame ? Math.min(0.1, t - lastFrame) : 0;
+  lastFrame = t;
+  const changing = isTimeVarying(WORLD);
+  if (!(walkPaused && bestPathHead.visible)) timelineT += dt * PARAMS.timeScale;
+  const worldNow = changing ? worldAt(WORLD, timelineT) : WORLD;
+  if (changing) syncSourceTimeline(worldNow);
 
-  // move head along animPath when playing
+  // move head along animPath when playing: it walks at walkSpeed on the timeline clock after its
+  // departure wait, so sources and agents are met exactly as fitness scored it
   if (bestPathHead.visible && animPath.length>1) {
-    animT = Math.min(1, animT + 0.005);
-    const f = animT * (animPath.length - 1);
-    const i = Math.floor(f);
-    const a = animPath[i], b = animPath[Math.min(animPath.length-1, i+1)];
-    const p = new THREE.Vector3().lerpVectors(a, b, f - i);
+    if (agentViews.length) walkAgents(timelineT);
+    animT = walkFraction(timelineT);
+    const { p, i } = walkPoint(animT);
     bestPathHead.position.copy(p);
 
     // color shift according to balance at p
-    const Il = intensityAtPoint(p, WORLD.speakerL);
-    const Ir = intensityAtPoint(p, WORLD.speakerR);
-    const sum = Math.max(Il + Ir, 1e-5);
-    const blueness = clamp(Il / sum, 0, 1);
-    const redness = clamp(Ir / sum, 0, 1);
-    const c = new THREE.Color(0.06*blueness + 0.86*redness, 0.18*blueness + 0.27*redness, 0.53*blueness + 0.27*redness);
-    bestPathHead.material.color.copy(c);
+    const heading = headingAlong(animPath, i);
+    blendSourceColor(p, bestPathHead.material.color, heading, worldNow);
+    updateEarReadout(p, heading, worldNow);
+    updateEarLevels(p, heading, worldNow);
+
+    // the listener walks with the head; the voices fall silent once B is reached
+    if (audio.playing) {
+      if (animT >= 1) audio.stop();
+      else audio.update(p, heading, worldNow);
+    }
   }
+  // a recording covers one walk; it ends at B or when a new best replaces the path
+  if (recorder && recorder.state === 'recording' && (animT >= 1 || !bestPathHead.visible)) recorder.stop();
+
+  updateWalkBar();
+  if (cameraMode !== 'orbit') rideCamera(dt);
+  else controls.update();
+  if (viewMode === '2d') updateTopDownFrame();
+  else renderer.render(scene, camera);
+}
 
-  controls.update();
-  renderer.render(scene, camera);
+// Point at fraction u of a drawn path (equal arc-length spacing, so u is also the share of the length)
+function walkPoint(u, path = animPath) {
+  const f = u * (path.length - 1);
+  const i = Math.floor(f);
+  const a = path[i], b = path[Math.min(path.length-1, i+1)];
+  return { p: new THREE.Vector3().lerpVectors(a, b, f - i), i };
+}
+
+// ---------- Walk Playback ----------
+// The walk clock is timelineT: the shown best leaves A after animDelay and walks at walkSpeed, sped
+// up by timeScale, so the speed field (m/s) is walkSpeed × timeScale. Pause holds the clock; step
+// and the scrubber move it.
+const WALK_STEP_SECONDS = 0.5; // walk clock per "Step"
+const EYE_HEIGHT = 1.1; // first-person camera above the ground
+const FOLLOW_BACK = 7, FOLLOW_UP = 4, FOLLOW_AHEAD = 5; // follow camera behind and above the head, looking ahead
+const CAMERA_EASE = 4; // 1/s; how fast the riding camera turns into a new heading
+
+// Seconds from the start of the clock until the shown best reaches B
+function walkDuration() {
+  return animDelay + animLength / PARAMS.walkSpeed;
+}
+
+// Fraction of animPath walked at clock time t
+function walkFraction(t) {
+  return Math.min(1, Math.max(0, t - animDelay) * PARAMS.walkSpeed / Math.max(animLength, 1e-6));
+}
+
+function setWalkPaused(paused) {
+  walkPaused = paused;
+}
+
+// Pause/resume; after the walk ended it plays again from A
+function toggleWalk() {
+  if (animPath.length < 2) return;
+  if (!bestPathHead.visible || (!walkPaused && animT >= 1)) { playBestPath(); return; }
+  setWalkPaused(!walkPaused);
+  if (!walkPaused && !audio.playing) audio.start(WORLD);
+}
+
+// Moves the clock to t (held); shows the head there if the walk wasn't playing
+function seekWalk(t) {
+  if (animPath.length < 2) return;
+  if (!bestPathHead.visible) {
+    bestPathHead.visible = true;
+    setWalkPaused(true);
+  }
+  timelineT = Math.max(0, Math.min(walkDuration(), t));
+}
+
+function stepWalk(direction) {
+  setWalkPaused(true);
+  seekWalk(timelineT + direction * WALK_STEP_SECONDS);
+}
+
+function updateWalkBar() {
+  const ready = animPath.length > 1;
+  const duration = ready ? walkDuration() : 0;
+  const t = bestPathHead.visible ? Math.min(timelineT, duration) : 0;
+  const scrubber = document.getElementById('walkScrubber');
+  scrubber.disabled = !ready;
+  if (document.activeElement !== scrubber) scrubber.value = String(duration ? Math.round(t / duration * 1000) : 0);
+  document.getElementById('walkTimeLabel').textContent = ready ? `${t.toFixed(1)} / ${duration.toFixed(1)} s` : '—';
+  document.getElementById('walkPauseBtn').textContent = bestPathHead.visible && !walkPaused && animT < 1 ? 'Pause' : 'Play';
+}
+
+// Speed field in m/s; stored as timeScale so timelines keep pace with the walker
+function syncWalkSpeed() {
+  document.getElementById('walkSpeedInput').value = (PARAMS.walkSpeed * PARAMS.timeScale).toFixed(1);
+}
+
+function setWalkSpeed(input) {
+  const speed = Number(input.value);
+  const error = input.value === '' || !Number.isFinite(speed) ? 'Speed must be a number' : setSetting('timeScale', String(Math.round(speed / PARAMS.walkSpeed * 100) / 100));
+  showSettingError(error);
+  syncWalkSpeed();
+}
+
+function setCameraMode(mode) {
+  if (mode === cameraMode) return;
+  if (cameraMode === 'orbit') orbitView = { position: camera.position.clone(), target: controls.target ? controls.target.clone() : null };
+  cameraMode = mode;
+  controls.enabled = mode === 'orbit';
+  bestPathHead.material.visible = mode !== 'first'; // the camera is inside it
+  if (mode === 'orbit' && orbitView) {
+    camera.position.copy(orbitView.position);
+    if (orbitView.target) controls.target.copy(orbitView.target);
+    camera.lookAt(orbitView.target || new THREE.Vector3());
+  }
+  rideCamera(0);
+}
+
+// Follow / first-person camera on the walking head (or at A, facing the path, before it leaves)
+function rideCamera(dt) {
+  if (cameraMode === 'orbit' || animPath.length < 2) return;
+  const { p, i } = walkPoint(bestPathHead.visible ? animT : 0);
+  const h = headingAlong(animPath, i);
+  cameraHeading.lerp(new THREE.Vector3(h.x, 0, h.z), dt ? 1 - Math.exp(-dt * CAMERA_EASE) : 1).normalize();
+  const d = cameraHeading;
+  if (cameraMode === 'first') {
+    camera.position.set(p.x, EYE_HEIGHT, p.z);
+    camera.lookAt(p.x + d.x * 10, EYE_HEIGHT * 0.6, p.z + d.z * 10);
+  } else {
+    camera.position.set(p.x - d.x * FOLLOW_BACK, FOLLOW_UP, p.z - d.z * FOLLOW_BACK);
+    camera.lookAt(p.x + d.x * FOLLOW_AHEAD, 0, p.z + d.z * FOLLOW_AHEAD);
+  }
+}
+
+// Sprites, rings and labels follow the sources' timelines; the shader gets the same clock.
+// Sources that are switched off fade out.
+function syncSourceTimeline(worldNow) {
+  fieldMesh.userData.uniforms.uTime.value = timelineT;
+  sourceViews.forEach((v, i) => {
+    const now = worldNow.sources[i];
+    if (!now) return;
+    const on = now.power > 0;
+    v.sprite.position.x = now.position.x; v.sprite.position.z = now.position.z;
+    v.sprite.material.opacity = on ? 1 : 0.3;
+    v.rings.forEach(r => { r.position.x = now.position.x; r.position.z = now.position.z; if (!on) r.material.opacity *= 0.15; });
+    v.label.position.set(now.position.x, 0, now.position.z).add(SOURCE_LABEL_OFFSET);
+  });
+  document.getElementById('timeLabel').textContent = `${timelineT.toFixed(1)} s` + (bestPathHead.visible && timelineT < animDelay ? ' (waiting)' : '');
 }
 
 // ---------- Bootstrap ----------
@@ -603,35 +2859,47 @@ function enableBasicDragControls(cam, dom) {
 
 // --- Speaker jitter to vary the field on reseed ---
 function jitterSpeakers(amount = 2.5) {
-  // keep around original bases
-  const baseL = WORLD.baseSpeakerL || WORLD.speakerL.clone();
-  const baseR = WORLD.baseSpeakerR || WORLD.speakerR.clone();
-  const j = () => (rand()*2 - 1) * amount;
-  WORLD.speakerL.set(baseL.x + j(), 0, baseL.z + j());
-  WORLD.speakerR.set(baseR.x + j(), 0, baseR.z + j());
+  // rounded to cm so share links stay short
+  const j = () => Math.round((rand()*2 - 1) * amount * 100) / 100;
+  WORLD.sources.forEach(src => src.position.set(src.base.x + j(), 0, src.base.z + j()));
   // keep them separate (min distance)
   const minDist = 6.0;
-  if (WORLD.speakerL.distanceTo(WORLD.speakerR) < minDist) {
-    // push R away from L along x
-    if (WORLD.speakerR.x <= WORLD.speakerL.x) WORLD.speakerR.x = WORLD.speakerL.x + minDist;
-    else WORLD.speakerR.x = WORLD.speakerL.x - minDist;
-  }
-  // reflect in scene objects
-  speakerL.position.copy(WORLD.speakerL);
-  speakerR.position.copy(WORLD.speakerR);
-  ringsL.forEach(r=>{ r.position.x = WORLD.speakerL.x; r.position.z = WORLD.speakerL.z; });
-  ringsR.forEach(r=>{ r.position.x = WORLD.speakerR.x; r.position.z = WORLD.speakerR.z; });
-  if (fieldMesh && fieldMesh.userData && fieldMesh.userData.uniforms) {
-    // uniforms reference the same vectors, so set() above already updates; ensure render picks it up
-    fieldMesh.userData.uniforms.uSpeakerL.value = WORLD.speakerL;
-    fieldMesh.userData.uniforms.uSpeakerR.value = WORLD.speakerR;
-  }
+  WORLD.sources.forEach((a, i) => {
+    WORLD.sources.slice(i + 1).forEach(b => {
+      if (a.position.distanceTo(b.position) >= minDist) return;
+      // push the later source away along x
+      if (b.position.x <= a.position.x) b.position.x = a.position.x - minDist;
+      else b.position.x = a.position.x + minDist;
+    });
+  });
+  syncSceneToWorld();
   frameImportant();
 }
 
+// Reflect WORLD positions (A, B, sources) in scene objects and shader uniforms
+function syncSceneToWorld() {
+  if (sourceViews.length !== WORLD.sources.length || sourceViews.some((v, i) => v.source !== WORLD.sources[i])) {
+    rebuildSourceViews();
+  }
+  sourceViews.forEach(({ source, sprite, rings, label }) => {
+    sprite.position.copy(source.position);
+    sprite.material.opacity = 1;
+    rings.forEach(r=>{ r.position.x = source.position.x; r.position.z = source.position.z; });
+    label.position.copy(source.position).add(SOURCE_LABEL_OFFSET);
+  });
+  startMesh.position.copy(WORLD.A);
+  labelA.position.copy(WORLD.A).add(LABEL_OFFSET);
+  goalMesh.position.copy(WORLD.B);
+  labelB.position.copy(WORLD.B).add(LABEL_OFFSET);
+  subjectMesh.position.copy(WORLD.A);
+  if (agentGroup) syncAgentViews();
+  refreshTopDown();
+  if (fieldMesh && fieldMesh.userData && fieldMesh.userData.uniforms) updateFieldUniforms();
+}
+
 // Frame camera to include A/B and speakers
 function frameImportant(pad = 1.25) {
-  const pts = [WORLD.A, WORLD.B, WORLD.speakerL, WORLD.speakerR];
+  const pts = [WORLD.A, WORLD.B, ...WORLD.sources.map(src => src.position), ...WORLD.agents.flatMap(a => [a.A, a.B])];
   const box = new THREE.Box3();
   pts.forEach(p=> box.expandByPoint(p));
   const center = new THREE.Vector3(); box.getCenter(center);
@@ -1,145 +1,333 @@
-// Simple 2D path visualization using SVG
+// 2D view of a live evolution: the same world (metres), fitness and optimizer as the 3D page,
+// drawn top-down by topdown.js
 (() => {
-  const svg = document.getElementById('svg');
-  const NS = 'http://www.w3.org/2000/svg';
-  const W = 1200, H = 720;
-
-  // World points
-  const A = { x: 120, y: 560 };
-  const B = { x: 1040, y: 160 };
-  const L0 = { x: 320, y: 240 }; // base left
-  const R0 = { x: 880, y: 520 }; // base right
-  let L = {...L0}, R = {...R0};
-
-  function rnd(n=1){ return (Math.random()*n); }
-  function lerp(a,b,t){ return a + (b-a)*t; }
-  function dist(a,b){ const dx=a.x-b.x, dy=a.y-b.y; return Math.hypot(dx,dy); }
-
-  function intensity(p, s){ const d = dist(p,s)+8; return 1/(d*d); }
-  function scorePath(pts){
-    let acc = 0, len=0;
-    for (let i=0;i<pts.length;i++){
-      const p = pts[i];
-      const Il = intensity(p,L), Ir = intensity(p,R);
-      const loud = Math.max(Il, Ir);
-      acc += loud;
-      if (i>0) len += dist(pts[i-1], p);
-    }
-    return acc - 0.0009*len;
+  const { DEFAULT_PARAMS, TARGET_ANY, seedRandom, pathPoints, evaluateFitness, findSource, agentsOf, agentWorld, walkTrack, trackPosition } = BinauralEvolution;
+  const GEN_DELAY_MS = 120; // pacing between generations, so the evolution can be watched
+  const POP_PATH_POINTS = 48;
+  const WALK_LOOP_MS = 4800; // the longest walk of the team plays in this long, then loops
+  const JITTER = 0.8; // m speakers move from their base positions on reseed
+  const AGENT_COLORS = [0xf472b6, 0xfacc15, 0x38bdf8, 0x4ade80, 0xfb923c, 0xc084fc, 0x2dd4bf, 0xf87171];
+  const LEGACY_PX_PER_M = 30; // links from before this page used 1200×720 SVG pixels
+  const LEGACY_SIZE = { width: 1200, depth: 720 };
+
+  // Same layout as the 3D page, plus a wall and a block
+  const WORLD = {
+    width: 40,
+    depth: 28,
+    A: { x: -16, y: 0, z: 10 },
+    B: { x: 16, y: 0, z: -8 },
+    sources: [
+      { id: 'left', label: 'L', color: 0x3b82f6, power: 1, position: { x: -10, y: 0, z: -6 } },
+      { id: 'right', label: 'R', color: 0xef4444, power: 1, position: { x: 12, y: 0, z: 6 } },
+    ],
+    obstacles: [
+      { type: 'rect', x: 0, z: 2.3, w: 1.1, d: 8.7, transmission: 0.1 },
+      { type: 'polygon', transmission: 0.25, points: [{ x: 5.3, y: 0, z: -4.7 }, { x: 8.7, y: 0, z: -3.7 }, { x: 7.7, y: 0, z: -0.7 }, { x: 4.7, y: 0, z: -1.7 }] },
+    ],
+    agents: [],
+  };
+  let bases = WORLD.sources.map(src => Object.assign({}, src.position)); // jitter varies around these
+  const PARAMS = Object.assign({}, DEFAULT_PARAMS);
+  let target = TARGET_ANY;
+  let seed = (Math.random()*1e9) >>> 0;
+
+  let lastBest = null;
+  let lastTeam = null;
+  let runId = 0;
+  let walkToken = 0; // bumps to stop the running walk loop
+  let fieldMode = ''; // heatmap background (field.js MODES), '' for none
+  let backdrop = null; // drawing of an imported floor plan ({ href, x, z, width, depth }), the base layer
+
+  const view = BinauralTopDown.createTopDownView(document.getElementById('svg'), { onDrag, onDrop, onClick, onHover: showReadout });
+  const controller = BinauralEvolution.createRunController(onMessage);
+  const planImport = BinauralPlanImport.createPlanImport(document.getElementById('planImport'), { onApply: applyFloorPlan });
+
+  // ---------- Evolution ----------
+  function run(){
+    stopWalk();
+    lastBest = null;
+    lastTeam = null;
+    view.setPopulation([]);
+    view.setTeam([]);
+    view.setBest(null);
+    view.setWorld(WORLD);
+    view.setBackdrop(backdrop);
+    drawField();
+    controller.handle({
+      type: 'start', runId: ++runId, world: WORLD, params: PARAMS, target, seed,
+      mode: 'paced', delay: GEN_DELAY_MS, population: true,
+    });
   }
 
-  function bezierPoints(ctrl, n=160){
-    const p = [A, ...ctrl, B];
-    const out = [];
-    function catmull(i,t){
-      const p0 = p[Math.max(0,i-1)], p1=p[i], p2=p[i+1], p3=p[Math.min(p.length-1,i+2)];
-      const t2=t*t, t3=t2*t;
-      function cmp(a,b,c,d){ return 0.5*((2*b) + (-a + c)*t + (2*a-5*b+4*c-d)*t2 + (-a+3*b-3*c+d)*t3); }
-      return { x: cmp(p0.x,p1.x,p2.x,p3.x), y: cmp(p0.y,p1.y,p2.y,p3.y) };
+  function onMessage(msg){
+    if (msg.runId !== runId) return;
+    if (msg.type === 'error') { setStatus('runStatus', msg.message, true); return; }
+    if (msg.type !== 'generation') return;
+    if (msg.population) view.setPopulation(msg.population.map(g => pathPoints(WORLD, g, POP_PATH_POINTS)));
+    if (msg.improved) {
+      lastBest = msg.best;
+      lastTeam = msg.team || null;
+      showBest();
     }
-    for(let i=0;i<p.length-1;i++){
-      for(let j=0;j<n/(p.length-1);j++) out.push(catmull(i,j/Math.max(1,(n/(p.length-1)-1))));
+    setStatus('runStatus', `Generation ${msg.gen} / ${PARAMS.generations} · best ${msg.stats.best.toFixed(2)}` + targetText());
+    if (msg.done) {
+      view.setPopulation([]);
+      walk();
     }
-    return out;
-  }
-
-  function makeCandidate(seed){
-    const rng = mulberry32(seed);
-    const ctrl = [];
-    const K = 4;
-    for (let i=0;i<K;i++){
-      ctrl.push({
-        x: lerp(A.x,B.x,(i+1)/(K+1)) + (rng()*2-1)*180,
-        y: lerp(A.y,B.y,(i+1)/(K+1)) + (rng()*2-1)*140,
-      });
-    }
-    const pts = bezierPoints(ctrl, 180);
-    return { ctrl, pts, score: scorePath(pts) };
   }
 
-  function mulberry32(a) {
-    return function() {
-      var t = a += 0x6D2B79F5;
-      t = Math.imul(t ^ t >>> 15, t | 1);
-      t ^= t + Math.imul(t ^ t >>> 7, t | 61);
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    }
+  function targetText(){
+    const src = findSource(WORLD, target);
+    return ` · target ${src ? src.label : 'either'}`;
   }
 
-  function create(){ while(svg.firstChild) svg.removeChild(svg.firstChild);
-    // Field background
-    const rect = document.createElementNS(NS,'rect'); rect.setAttribute('x',0); rect.setAttribute('y',0); rect.setAttribute('width',W); rect.setAttribute('height',H); rect.setAttribute('fill','url(#bg)'); svg.appendChild(rect);
-
-    // defs for background gradient
-    const defs = document.createElementNS(NS,'defs');
-    const grad = document.createElementNS(NS,'linearGradient'); grad.setAttribute('id','bg'); grad.setAttribute('x1','0%'); grad.setAttribute('y1','100%'); grad.setAttribute('x2','100%'); grad.setAttribute('y2','0%');
-    const s1 = document.createElementNS(NS,'stop'); s1.setAttribute('offset','0%'); s1.setAttribute('stop-color','#0f1220');
-    const s2 = document.createElementNS(NS,'stop'); s2.setAttribute('offset','100%'); s2.setAttribute('stop-color','#0a0c14');
-    grad.appendChild(s1); grad.appendChild(s2); defs.appendChild(grad);
-    svg.appendChild(defs);
-
-    // speakers and markers
-    circle(L.x, L.y, 10, '#3b82f6', 0.9);
-    circle(R.x, R.y, 10, '#ef4444', 0.9);
-    circle(A.x, A.y, 8, '#ffffff', 0.9);
-    circle(B.x, B.y, 8, '#22c55e', 0.9);
-
-    const seeds = Array.from({length: 18}, (_,i)=> (Math.random()*1e9)|0);
-    const candidates = seeds.map(makeCandidate).sort((a,b)=> b.score - a.score);
-    const best = candidates[0];
-
-    // draw others
-    for (let i=1;i<candidates.length;i++) drawPath(candidates[i].pts, 'rgba(139,92,246,0.25)', 3);
-    // draw best
-    const bestPath = drawPath(best.pts, '#8b5cf6', 4.5);
-    animateDot(best.pts, '#e6e9ef', ()=> animateDot(best.pts, '#e6e9ef'));
-
-    // title overlay
-    label('A', A.x+10, A.y-10);
-    label('B', B.x+10, B.y-10);
-  }
-
-  function circle(x,y,r,fill='white',op=1){ const c=document.createElementNS(NS,'circle'); c.setAttribute('cx',x); c.setAttribute('cy',y); c.setAttribute('r',r); c.setAttribute('fill',fill); c.setAttribute('opacity',op); svg.appendChild(c); return c; }
-  function label(text,x,y){ const t=document.createElementNS(NS,'text'); t.setAttribute('x',x); t.setAttribute('y',y); t.setAttribute('fill','#aab1c5'); t.setAttribute('font-family','Inter, system-ui'); t.setAttribute('font-size','12'); t.textContent=text; svg.appendChild(t); return t; }
-  function drawPath(pts, color, w){
-    const p = document.createElementNS(NS,'path');
-    let d = `M ${pts[0].x} ${pts[0].y}`;
-    for (let i=1;i<pts.length;i++) d += ` L ${pts[i].x} ${pts[i].y}`;
-    p.setAttribute('d', d);
-    p.setAttribute('fill','none');
-    p.setAttribute('stroke', color);
-    p.setAttribute('stroke-width', String(w));
-    p.setAttribute('stroke-linecap', 'round');
-    p.setAttribute('stroke-linejoin', 'round');
-    svg.appendChild(p);
-    return p;
-  }
-
-  function animateDot(pts, color='#fff', onEnd){
-    const dot = circle(pts[0].x, pts[0].y, 6, color, 1);
-    let i = 0; const N = pts.length; const dur = 3200; const step = Math.max(1, Math.floor(N/(dur/16)));
-    function tick(){ i += step; if (i>=N) { svg.removeChild(dot); onEnd && onEnd(); return; }
-      dot.setAttribute('cx', pts[i].x); dot.setAttribute('cy', pts[i].y);
+  function showBest(){
+    view.setBest(lastBest && pathPoints(WORLD, lastBest, PARAMS.stepsPerPath));
+    const agents = agentsOf(WORLD, target);
+    view.setTeam(lastTeam ? lastTeam.slice(1).map((g, k) => ({
+      pts: pathPoints(agentWorld(WORLD, agents[k + 1]), g, PARAMS.stepsPerPath), color: agents[k + 1].color,
+    })) : []);
+  }
+
+  // Every walker on one clock: each waits at its A for its delay and is gone once it reaches B
+  function walk(){
+    if (!lastBest) return;
+    const token = ++walkToken;
+    const agents = agentsOf(WORLD, target);
+    const team = lastTeam || [lastBest];
+    const tracks = team.map((g, k) => walkTrack(agentWorld(WORLD, agents[k]), PARAMS, g));
+    const colors = ['#e6e9ef'].concat(agents.slice(1).map(a => a.color));
+    const end = Math.max(...tracks.map(tr => tr.times[tr.times.length - 1]));
+    let t0 = performance.now();
+    function tick(now){
+      if (token !== walkToken) return;
+      let t = (now - t0) / WALK_LOOP_MS * end;
+      if (t > end) { t0 = now; t = 0; }
+      view.setTime(t);
+      view.setHeads(tracks.map((tr, k) => ({ p: trackPosition(tr, t), color: colors[k], r: k ? 0.17 : 0.2 })));
       requestAnimationFrame(tick);
     }
     requestAnimationFrame(tick);
   }
 
-  function jitterSpeakers(amount=24){
-    const j = () => (Math.random()*2 - 1) * amount;
-    L = { x: L0.x + j(), y: L0.y + j() };
-    R = { x: R0.x + j(), y: R0.y + j() };
-    // keep them separate
-    const minD = 120;
-    if (dist(L,R) < minD) R.x = L.x + minD;
+  function stopWalk(){
+    walkToken++;
+    view.setHeads([]);
+    view.setTime(0);
+  }
+
+  // ---------- Dragging ----------
+  // A, B, speakers and agent ends follow the pointer; on drop the same seed runs again in the new layout
+  function pointOf(h){
+    if (h.kind === 'A') return WORLD.A;
+    if (h.kind === 'B') return WORLD.B;
+    if (h.kind === 'source') return WORLD.sources[h.index].position;
+    return WORLD.agents[h.index][h.kind === 'agentA' ? 'A' : 'B'];
+  }
+  function onDrag(h, p){
+    const point = pointOf(h);
+    point.x = p.x; point.z = p.z;
+    if (lastBest) showBest();
+  }
+  function onDrop(h){
+    const point = pointOf(h);
+    point.x = Math.round(point.x * 100) / 100; point.z = Math.round(point.z * 100) / 100; // cm, like the 3D page
+    if (h.kind === 'source') bases[h.index] = Object.assign({}, point);
+    writeHash(); run();
+  }
+  // clicking a speaker targets it (again: back to either)
+  function onClick(h){
+    if (h.kind !== 'source') return;
+    const id = WORLD.sources[h.index].id;
+    target = target === id ? TARGET_ANY : id;
+    writeHash(); run();
+  }
+
+  function jitterSpeakers(){
+    const rng = seedRandom(seed ^ 0x9e3779b9); // separate stream from the run
+    const j = () => Math.round((rng()*2 - 1) * JITTER * 100) / 100;
+    WORLD.sources.forEach((src, i) => { src.position = { x: bases[i].x + j(), y: 0, z: bases[i].z + j() }; });
+  }
+
+  // ---------- Field Overlay ----------
+  // The 3D page's ground heatmaps, rasterized behind the paths; redrawn whenever a run starts
+  function drawField(){
+    const legend = document.getElementById('fieldLegend');
+    if (!fieldMode) { view.setField(null); legend.innerHTML = ''; return; }
+    const grid = BinauralField.sampleField(WORLD, PARAMS, target, fieldMode);
+    const scale = BinauralField.fieldScale(grid);
+    view.setField(BinauralField.rasterize(grid, scale));
+    legend.innerHTML = BinauralField.legendHtml(fieldMode, scale);
+  }
+  function showReadout(p){
+    const el = document.getElementById('fieldReadout');
+    if (!p || !fieldMode) { el.textContent = ''; return; }
+    const v = BinauralField.fieldValue(WORLD, PARAMS, target, fieldMode, p);
+    el.textContent = `x ${p.x.toFixed(1)}, z ${p.z.toFixed(1)} m · ${BinauralField.getMode(fieldMode).format(v)}`;
+  }
+
+  // ---------- Agents ----------
+  // Enters on the side opposite its goal, like the 3D page's agents
+  function addAgent(){
+    if (WORLD.agents.length >= BinauralEvolution.MAX_AGENTS) return;
+    let n = WORLD.agents.length + 2;
+    while (WORLD.agents.some(a => a.id === 'a' + n)) n++;
+    const side = Math.random() < 0.5 ? -1 : 1;
+    const z = () => Math.round((Math.random() - 0.5) * (WORLD.depth - 8) * 100) / 100;
+    WORLD.agents.push({
+      id: 'a' + n, label: String(n), color: AGENT_COLORS.find(c => !WORLD.agents.some(a => a.color === c)) || AGENT_COLORS[0],
+      A: { x: -side * (WORLD.width / 2 - 4), y: 0, z: z() }, B: { x: side * (WORLD.width / 2 - 4), y: 0, z: z() }, target: TARGET_ANY,
+    });
+    writeHash(); run();
+  }
+  function clearAgents(){ WORLD.agents = []; writeHash(); run(); }
+  function readAgents(list){
+    return list.slice(0, BinauralEvolution.MAX_AGENTS).map((a, i) => ({
+      id: a.id, label: String(i + 2), color: a.color != null ? a.color : AGENT_COLORS[i % AGENT_COLORS.length],
+      A: a.A, B: a.B, target: a.target === TARGET_ANY || findSource(WORLD, a.target) ? a.target : TARGET_ANY,
+    }));
+  }
+
+  // ---------- Scene Files ----------
+  // The same files as the 3D page, in the same units; a saved result is shown instead of re-running
+  function saveScene(){
+    const scene = BinauralScene.toScene({ name: `2D paths ${seed}`, world: WORLD, params: PARAMS, seed, target, best: lastBest, team: lastTeam });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([BinauralScene.stringifyScene(scene)], { type: 'application/json' }));
+    a.download = `binaural-scene-${seed}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    setStatus('sceneStatus', '');
+  }
+  function applyScene(data){
+    const { world: w } = data;
+    Object.assign(WORLD, { width: w.width, depth: w.depth, A: w.A, B: w.B, sources: w.sources, obstacles: w.obstacles });
+    WORLD.agents = readAgents(w.agents || []);
+    bases = WORLD.sources.map(src => Object.assign({}, src.position));
+    backdrop = null;
+    Object.assign(PARAMS, DEFAULT_PARAMS, data.params);
+    target = findSource(WORLD, data.target) ? data.target : TARGET_ANY;
+    if (data.seed != null) seed = data.seed;
+    writeHash();
+    if (data.best) {
+      runId++; // drops messages from a run still going
+      stopWalk();
+      view.setWorld(WORLD);
+      view.setBackdrop(backdrop);
+      drawField();
+      view.setPopulation([]);
+      lastBest = data.best;
+      evaluateFitness(WORLD, PARAMS, target, lastBest);
+      lastTeam = data.team || null;
+      showBest();
+      walk();
+      setStatus('runStatus', `Saved result · best ${lastBest.fitness.toFixed(2)}` + targetText());
+    } else {
+      run();
+    }
+    setStatus('sceneStatus', `Loaded ${data.name || 'scene'}`);
+  }
+  function loadSceneFile(file){
+    if (!file) return;
+    file.text()
+      .then(text => applyScene(BinauralScene.parseScene(text)))
+      .catch(err => setStatus('sceneStatus', err.message, true));
+  }
+  function setStatus(id, text, isError=false){
+    const el = document.getElementById(id);
+    el.textContent = text;
+    el.classList.toggle('status--error', isError);
+  }
+
+  // ---------- Floor Plans ----------
+  // An imported plan (planimport.js) becomes the bounds and obstacles, with its drawing as the base
+  // layer; A, B, speakers and agent ends are pulled inside the new bounds
+  function openFloorPlan(file){
+    planImport.open(file)
+      .then(() => setStatus('sceneStatus', ''))
+      .catch(err => setStatus('sceneStatus', err.message, true));
+  }
+  function applyFloorPlan(plan, source){
+    Object.assign(WORLD, { width: plan.width, depth: plan.depth, obstacles: plan.obstacles });
+    backdrop = source.href ? Object.assign({ href: source.href }, plan.frame) : null;
+    const hw = Math.max(0, WORLD.width / 2 - 0.5), hd = Math.max(0, WORLD.depth / 2 - 0.5);
+    const inside = (p) => { p.x = Math.max(-hw, Math.min(hw, p.x)); p.z = Math.max(-hd, Math.min(hd, p.z)); };
+    [WORLD.A, WORLD.B].concat(WORLD.sources.map(src => src.position), bases, WORLD.agents.flatMap(a => [a.A, a.B])).forEach(inside);
+    writeHash(); run();
+    setStatus('sceneStatus', `Floor plan ${source.name}: ${WORLD.width} × ${WORLD.depth} m, ${WORLD.obstacles.length} obstacles`);
+  }
+
+  // ---------- Share Links ----------
+  // The same hash as the 3D page; links from the old pixel-space page (no size) are converted
+  function writeHash(){
+    const hash = BinauralEvolution.encodeState({ seed, target, world: WORLD, params: PARAMS }, DEFAULT_PARAMS);
+    history.replaceState(null, '', '#' + hash);
+  }
+  function readHash(){
+    const state = BinauralEvolution.decodeState(location.hash, DEFAULT_PARAMS);
+    if (state.seed == null) return false;
+    seed = state.seed;
+    const legacy = !state.size;
+    const cm = (v) => Math.round(v * 100) / 100;
+    const m = (p) => (legacy ? { x: cm((p.x - LEGACY_SIZE.width / 2) / LEGACY_PX_PER_M), y: 0, z: cm((p.z - LEGACY_SIZE.depth / 2) / LEGACY_PX_PER_M) } : { x: p.x, y: 0, z: p.z });
+    const len = (v) => (legacy ? cm(v / LEGACY_PX_PER_M) : v);
+    if (state.size) Object.assign(WORLD, state.size);
+    if (state.sources) {
+      WORLD.sources = state.sources.map(src => Object.assign({}, src, { position: m(src.position) }));
+      bases = WORLD.sources.map(src => Object.assign({}, src.position));
+    }
+    const pts = state.points;
+    if (pts.A) WORLD.A = m(pts.A);
+    if (pts.B) WORLD.B = m(pts.B);
+    if (pts.speakerL && findSource(WORLD, 'left')) findSource(WORLD, 'left').position = m(pts.speakerL);
+    if (pts.speakerR && findSource(WORLD, 'right')) findSource(WORLD, 'right').position = m(pts.speakerR);
+    WORLD.obstacles = (state.obstacles || []).map(ob => (ob.type === 'rect' // links always list every obstacle
+      ? Object.assign({}, ob, m(ob), { w: len(ob.w), d: len(ob.d) })
+      : Object.assign({}, ob, { points: ob.points.map(m) })));
+    backdrop = null;
+    WORLD.agents = readAgents((state.agents || []).map(a => Object.assign({}, a, { A: m(a.A), B: m(a.B) }))); // and agent
+    Object.assign(PARAMS, DEFAULT_PARAMS, BinauralEvolution.validateParams(state.params).params);
+    target = state.target && (state.target === TARGET_ANY || findSource(WORLD, state.target)) ? state.target : TARGET_ANY;
+    return true;
+  }
+
+  function copyLink(){
+    const btn = document.getElementById('btnCopy');
+    const url = location.href;
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(url).then(()=>{ btn.textContent = 'Link copied'; setTimeout(()=> btn.textContent = 'Copy Link', 1500); }, ()=> window.prompt('Copy this link:', url));
+    } else window.prompt('Copy this link:', url);
   }
 
-  function reseed(){ jitterSpeakers(24); create(); }
-  function play(){ create(); }
+  function reseed(){ seed = (Math.random()*1e9) >>> 0; jitterSpeakers(); writeHash(); run(); }
+  function play(){ writeHash(); run(); }
 
   document.getElementById('btnPlay').addEventListener('click', play);
   document.getElementById('btnReseed').addEventListener('click', reseed);
+  document.getElementById('btnCopy').addEventListener('click', copyLink);
+  document.getElementById('btnSave').addEventListener('click', saveScene);
+  document.getElementById('btnLoad').addEventListener('click', ()=> document.getElementById('sceneInput').click());
+  document.getElementById('sceneInput').addEventListener('change', (e)=>{ loadSceneFile(e.target.files && e.target.files[0]); e.target.value = ''; });
+  document.getElementById('btnPlan').addEventListener('click', ()=> document.getElementById('planInput').click());
+  document.getElementById('planInput').addEventListener('change', (e)=>{ openFloorPlan(e.target.files && e.target.files[0]); e.target.value = ''; });
+  document.getElementById('btnAgent').addEventListener('click', addAgent);
+  document.getElementById('btnNoAgents').addEventListener('click', clearAgents);
+  const fieldSelect = document.getElementById('fieldMode');
+  Object.values(BinauralField.MODES).forEach(m => fieldSelect.add(new Option(m.label, m.id)));
+  fieldSelect.addEventListener('change', (e)=>{ fieldMode = e.target.value; drawField(); });
+  window.addEventListener('dragover', (e)=>{ if (e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('Files')) e.preventDefault(); });
+  window.addEventListener('drop', (e)=>{
+    if (!e.dataTransfer || !e.dataTransfer.files.length) return;
+    e.preventDefault();
+    const file = e.dataTransfer.files[0];
+    const kind = BinauralFloorPlan.planKind(file.name, file.type);
+    if (kind && kind !== 'json') openFloorPlan(file); // JSON files are scenes
+    else loadSceneFile(file);
+  });
+  window.addEventListener('hashchange', ()=>{ if (readHash()) run(); });
 
   // initial
-  create();
+  readHash();
+  writeHash();
+  run();
 })();
@@ -0,0 +1,188 @@
+/*
+  Binaural Pathfinding — Floor Plan Import
+  - The import dialog both pages share: open an SVG, JSON or PNG plan (floorplan.js), calibrate its
+    scale and origin against a preview, and hand the calibrated world to the page.
+  - Scale is set directly (m per plan unit) or from the plan's real width; the origin is typed in
+    plan units or picked by clicking the preview. A PNG is decoded through a canvas and re-read when
+    its darkness threshold or cell size changes.
+
+  Browser only; expects floorplan.js to be loaded first.
+*/
+(function (root) {
+  'use strict';
+
+  const FP = root.BinauralFloorPlan;
+  const round = (v, digits = 4) => Number(v.toPrecision(digits));
+
+  // Decoded RGBA pixels of an image URL
+  function decodeImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+        resolve(ctx.getImageData(0, 0, canvas.width, canvas.height));
+      };
+      img.onerror = () => reject(new Error('Could not decode the image'));
+      img.src = url;
+    });
+  }
+
+  // options: { onApply(world, source) } where world is planWorld()'s { width, depth, obstacles, frame }
+  // and source is { name, kind, href } (href: the original drawing for a backdrop, null for JSON)
+  function createPlanImport(container, options = {}) {
+    container.classList.add('planimport');
+    container.innerHTML = `
+      <div class="planimport__head"><strong data-out="name"></strong> <span data-out="info"></span></div>
+      <div class="planimport__preview" data-out="preview" title="Click to put the origin there"></div>
+      <div class="planimport__row">
+        <label class="toggle">Scale <input data-key="scale" type="number" class="field field--narrow" min="0" step="any" /> m / unit</label>
+        <label class="toggle">Width <input data-key="width" type="number" class="field field--narrow" min="0" step="any" /> m</label>
+      </div>
+      <div class="planimport__row">
+        <label class="toggle">Origin x <input data-key="originX" type="number" class="field field--narrow" step="any" /></label>
+        <label class="toggle">y <input data-key="originY" type="number" class="field field--narrow" step="any" /></label>
+        <button data-action="centre" class="btn btn--small" title="Put the middle of the plan on the origin">Centre</button>
+      </div>
+      <div class="planimport__row" data-occupancy>
+        <label class="toggle" title="Pixels darker than this (0 black … 1 white) are blocked">Dark below <input data-key="threshold" type="number" class="field field--narrow" min="0" max="1" step="0.05" /></label>
+        <label class="toggle">Cell <input data-key="cell" type="number" class="field field--narrow" min="1" step="1" /> px</label>
+      </div>
+      <div class="planimport__row">
+        <label class="toggle">Walls let through <input data-key="transmission" type="number" class="field field--narrow" min="0" max="100" step="1" /> %</label>
+      </div>
+      <p class="planimport__result status" data-out="result"></p>
+      <div class="planimport__row">
+        <button data-action="apply" class="btn btn--small primary">Use as World</button>
+        <button data-action="cancel" class="btn btn--small">Cancel</button>
+      </div>`;
+    const $ = (sel) => container.querySelector(sel);
+    const input = (key) => $(`[data-key="${key}"]`);
+    let plan = null, cal = null, source = null, image = null, world = null;
+    let occupancy = { threshold: 0.5, cell: null };
+    container.hidden = true;
+
+    // ---------- Opening ----------
+    function open(file) {
+      if (!file) return Promise.resolve();
+      const kind = FP.planKind(file.name, file.type);
+      if (!kind) return Promise.reject(new Error(`${file.name}: floor plans are .svg, .json or .png files`));
+      const href = kind === 'json' ? null : URL.createObjectURL(file);
+      const read = kind === 'occupancy'
+        ? decodeImage(href).then(pixels => { image = pixels; occupancy = { threshold: 0.5, cell: null }; return FP.parseOccupancy(pixels, occupancy); })
+        : file.text().then(text => (kind === 'svg' ? FP.parseSvg(text) : FP.parseJsonPlan(text)));
+      return read.then(next => {
+        plan = next;
+        if (kind === 'occupancy') occupancy.cell = plan.cell;
+        else image = null;
+        source = { name: file.name, kind, href };
+        cal = FP.defaultCalibration(plan);
+        container.hidden = false;
+        $('[data-out="name"]').textContent = file.name;
+        $('[data-out="info"]').textContent = describePlan();
+        $('[data-occupancy]').hidden = kind !== 'occupancy';
+        writeInputs();
+        update();
+      });
+    }
+
+    function describePlan() {
+      const b = plan.bounds;
+      const size = `${round(b.width)} × ${round(b.height)} units`;
+      if (plan.kind === 'occupancy') return `${size} · ${plan.solids.length} blocked areas`;
+      return `${size} · ${plan.walls.length} walls, ${plan.solids.length} solids` + (plan.scale ? ` · ${round(plan.scale)} m / unit from the file` : '');
+    }
+
+    function close() {
+      container.hidden = true;
+      plan = null;
+      image = null;
+    }
+
+    // ---------- Calibration ----------
+    function writeInputs(except = null) {
+      const values = {
+        scale: round(cal.scale, 6), width: round(plan.bounds.width * cal.scale), originX: round(cal.originX, 6), originY: round(cal.originY, 6),
+        transmission: Math.round(cal.transmission * 100), threshold: occupancy.threshold, cell: occupancy.cell,
+      };
+      Object.keys(values).forEach(key => { if (key !== except && values[key] != null) input(key).value = values[key]; });
+    }
+
+    function onInput(key, raw) {
+      const v = Number(raw);
+      if (raw === '' || !Number.isFinite(v)) return;
+      if (key === 'width') { if (v > 0 && plan.bounds.width > 0) cal.scale = v / plan.bounds.width; }
+      else if (key === 'transmission') cal.transmission = v / 100;
+      else if (key === 'threshold' || key === 'cell') {
+        occupancy[key] = v;
+        try {
+          plan = FP.parseOccupancy(image, occupancy);
+          $('[data-out="info"]').textContent = describePlan();
+        } catch (err) {
+          showResult(err.message, true);
+          return;
+        }
+      } else cal[key] = v;
+      writeInputs(key);
+      update();
+    }
+
+    // Origin at a point of the preview (world metres around the current origin)
+    function pickOrigin(ev) {
+      const svg = $('[data-out="preview"] svg');
+      if (!svg || !world) return;
+      const p = svg.createSVGPoint();
+      p.x = ev.clientX; p.y = ev.clientY;
+      const at = p.matrixTransform(svg.getScreenCTM().inverse());
+      cal.originX = round(cal.originX + at.x / cal.scale, 6);
+      cal.originY = round(cal.originY + at.y / cal.scale, 6);
+      writeInputs();
+      update();
+    }
+
+    function update() {
+      try {
+        world = FP.planWorld(plan, cal);
+        $('[data-out="preview"]').innerHTML = FP.previewSvg(plan, cal, { href: source.href });
+        const walls = world.obstacles.filter(ob => ob.type === 'wall').length;
+        showResult(`World ${world.width} × ${world.depth} m · ${walls} walls, ${world.obstacles.length - walls} solid obstacles`);
+      } catch (err) {
+        world = null;
+        showResult(err.message, true);
+      }
+    }
+
+    function showResult(text, isError = false) {
+      const el = $('[data-out="result"]');
+      el.textContent = text;
+      el.classList.toggle('status--error', isError);
+      $('[data-action="apply"]').disabled = isError;
+    }
+
+    function apply() {
+      if (!world) return;
+      const result = world, from = source;
+      close();
+      if (options.onApply) options.onApply(result, from);
+    }
+
+    container.querySelectorAll('[data-key]').forEach(el => el.addEventListener('input', () => onInput(el.dataset.key, el.value)));
+    $('[data-action="centre"]').addEventListener('click', () => {
+      const c = FP.defaultCalibration(plan);
+      cal.originX = c.originX;
+      cal.originY = c.originY;
+      writeInputs();
+      update();
+    });
+    $('[data-action="apply"]').addEventListener('click', apply);
+    $('[data-action="cancel"]').addEventListener('click', close);
+    $('[data-out="preview"]').addEventListener('click', pickOrigin);
+
+    return { open, close };
+  }
+
+  root.BinauralPlanImport = { createPlanImport };
+})(window);
@@ -0,0 +1,386 @@
+/*
+  Binaural Pathfinding — Classical Planners
+  - Baselines for the evolutionary search: A* and Dijkstra on a grid, and RRT* in the plane.
+  - The world is rasterized into a cost grid from the same per-point acoustics evaluateFitness
+    sums (pointContribution in evolution.js), so "cheap" means "scores well".
+  - A plan is turned into control points (its corners) and scored with evaluateFitness, so it
+    compares directly with the GA best and can seed its population; the polyline is scored too.
+
+  Usage (browser):  <script src="./planner.js"></script> after evolution.js -> window.BinauralPlanner
+  Usage (Node):     const { planPath } = require('./planner.js');
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./evolution.js'), require('./acoustics.js'));
+  else root.BinauralPlanner = factory(root.BinauralEvolution, root.BinauralAcoustics);
+})(typeof self !== 'undefined' ? self : this, function (evo, acoustics) {
+  'use strict';
+
+  const vec = (x, z) => ({ x, y: 0, z });
+  const dist = (a, b) => Math.hypot(a.x - b.x, a.z - b.z);
+  const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
+  const PLANNERS = {
+    astar: { id: 'astar', label: 'A*' },
+    dijkstra: { id: 'dijkstra', label: 'Dijkstra' },
+    rrtstar: { id: 'rrtstar', label: 'RRT*' },
+  };
+
+  const DEFAULT_OPTIONS = {
+    method: 'astar',
+    cell: 1, // grid spacing (world units)
+    iterations: 1500, // RRT* samples
+    goalBias: 0.1, // RRT*: chance a sample is B itself
+    step: 0, // RRT*: longest new edge; 0 = 3 cells
+    seed: 1, // RRT* RNG
+    via: 6, // hot spots tried as waypoints (0 = direct A→B only)
+  };
+
+  // ---------- Cost Grid ----------
+  // World bounds: the page's width/depth (centred on the origin), else the points plus a margin
+  function boundsOf(world, margin = 4) {
+    if (world.width && world.depth) return { minX: -world.width / 2, maxX: world.width / 2, minZ: -world.depth / 2, maxZ: world.depth / 2 };
+    const pts = [world.A, world.B].concat(evo.sourcesOf(world).map(src => src.position));
+    (world.obstacles || []).forEach(ob => pts.push(...evo.obstaclePolygon(ob)));
+    return {
+      minX: Math.min(...pts.map(p => p.x)) - margin, maxX: Math.max(...pts.map(p => p.x)) + margin,
+      minZ: Math.min(...pts.map(p => p.z)) - margin, maxZ: Math.max(...pts.map(p => p.z)) + margin,
+    };
+  }
+
+  // Cost per world unit walked through each cell: the length penalty plus the reward missed against
+  // the best cell, scaled so a path as long as A→B costs about what it loses in fitness. Cells inside
+  // obstacles are Infinity. Time-varying sources are rasterized as they are at t = 0.
+  function costGrid(world, params = evo.DEFAULT_PARAMS, target = evo.TARGET_ANY, cell = DEFAULT_OPTIONS.cell) {
+    const still = evo.isTimeVarying(world) ? evo.worldAt(world, 0) : world;
+    const edges = evo.obstacleEdges(world);
+    const b = boundsOf(world);
+    const nx = Math.max(1, Math.ceil((b.maxX - b.minX) / cell));
+    const nz = Math.max(1, Math.ceil((b.maxZ - b.minZ) / cell));
+    const reward = new Float64Array(nx * nz);
+    const blocked = new Uint8Array(nx * nz);
+    let best = -Infinity;
+    for (let j = 0; j < nz; j++) {
+      for (let i = 0; i < nx; i++) {
+        const k = j * nx + i;
+        const p = vec(b.minX + (i + 0.5) * cell, b.minZ + (j + 0.5) * cell);
+        blocked[k] = evo.pointInObstacle(world, p) ? 1 : 0;
+        reward[k] = evo.pointContribution(still, p, target, params, edges);
+        if (!blocked[k]) best = Math.max(best, reward[k]);
+      }
+    }
+    const base = Math.max((params.lengthPenalty || 0) / params.lengthNorm, 1e-6);
+    const scale = (params.fitnessSamples + 1) / Math.max(dist(world.A, world.B), 1e-6);
+    const cost = new Float64Array(nx * nz);
+    for (let k = 0; k < cost.length; k++) cost[k] = blocked[k] ? Infinity : base + Math.max(0, best - reward[k]) * scale;
+    return { nx, nz, cell, bounds: b, cost, reward, base, edges };
+  }
+
+  function cellOf(grid, p) {
+    const i = Math.min(grid.nx - 1, Math.max(0, Math.floor((p.x - grid.bounds.minX) / grid.cell)));
+    const j = Math.min(grid.nz - 1, Math.max(0, Math.floor((p.z - grid.bounds.minZ) / grid.cell)));
+    return j * grid.nx + i;
+  }
+
+  function cellCenter(grid, k) {
+    const i = k % grid.nx, j = Math.floor(k / grid.nx);
+    return vec(grid.bounds.minX + (i + 0.5) * grid.cell, grid.bounds.minZ + (j + 0.5) * grid.cell);
+  }
+
+  // Either way round: a step through a wall's corner only counts as crossing in one direction
+  function crossesWall(grid, p, q) {
+    return evo.pathCollisions(grid.edges, [p, q]) > 0 || evo.pathCollisions(grid.edges, [q, p]) > 0;
+  }
+
+  // Cost of walking p→q: its length times the mean cell cost along it
+  function segmentCost(grid, p, q) {
+    const len = dist(p, q);
+    const n = Math.max(1, Math.ceil(len / (grid.cell / 2)));
+    let sum = 0;
+    for (let s = 0; s <= n; s++) {
+      const t = s / n;
+      sum += grid.cost[cellOf(grid, vec(p.x + (q.x - p.x) * t, p.z + (q.z - p.z) * t))];
+    }
+    return len * sum / (n + 1);
+  }
+
+  // ---------- A* / Dijkstra ----------
+  // Binary min-heap of [priority, cell]
+  function createHeap() {
+    const items = [];
+    return {
+      get size() { return items.length; },
+      push(priority, value) {
+        items.push([priority, value]);
+        for (let i = items.length - 1; i > 0;) {
+          const up = (i - 1) >> 1;
+          if (items[up][0] <= items[i][0]) break;
+          [items[up], items[i]] = [items[i], items[up]];
+          i = up;
+        }
+      },
+      pop() {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+          items[0] = last;
+          for (let i = 0; ;) {
+            const l = 2 * i + 1, r = l + 1;
+            let m = i;
+            if (l < items.length && items[l][0] < items[m][0]) m = l;
+            if (r < items.length && items[r][0] < items[m][0]) m = r;
+            if (m === i) break;
+            [items[m], items[i]] = [items[i], items[m]];
+            i = m;
+          }
+        }
+        return top;
+      },
+    };
+  }
+
+  const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+
+  // 8-connected search from `from`'s cell; steps may not cut through walls. With `to` and
+  // `heuristic` it is A* towards `to` (straight-line distance times the grid's base cost, which never
+  // overestimates) and stops there; without them Dijkstra settles every reachable cell. Blocked
+  // cells are only entered as the last step, so A or B may sit inside an obstacle.
+  // Returns { expanded, pathTo(point) -> polyline from `from` or null }.
+  function searchGrid(grid, from, to = null, heuristic = false) {
+    const start = cellOf(grid, from), goal = to ? cellOf(grid, to) : -1;
+    const g = new Float64Array(grid.cost.length).fill(Infinity);
+    const parent = new Int32Array(grid.cost.length).fill(-1);
+    const closed = new Uint8Array(grid.cost.length);
+    const h = (k) => (to && heuristic ? dist(cellCenter(grid, k), to) * grid.base : 0);
+    const open = createHeap();
+    g[start] = 0;
+    open.push(h(start), start);
+    let expanded = 0;
+    while (open.size) {
+      const k = open.pop()[1];
+      if (closed[k]) continue;
+      closed[k] = 1;
+      expanded++;
+      if (k === goal) break;
+      if (grid.cost[k] === Infinity && k !== start) continue;
+      const i = k % grid.nx, j = Math.floor(k / grid.nx);
+      const p = cellCenter(grid, k);
+      NEIGHBOURS.forEach(([di, dj]) => {
+        const ni = i + di, nj = j + dj;
+        if (ni < 0 || nj < 0 || ni >= grid.nx || nj >= grid.nz) return;
+        const n = nj * grid.nx + ni;
+        if (closed[n]) return;
+        const q = cellCenter(grid, n);
+        if (crossesWall(grid, p, q)) return;
+        const a = grid.cost[k] === Infinity ? grid.base : grid.cost[k];
+        const b = grid.cost[n] === Infinity ? grid.base : grid.cost[n];
+        const cost = dist(p, q) * (a + b) / 2;
+        if (g[k] + cost < g[n]) {
+          g[n] = g[k] + cost;
+          parent[n] = k;
+          open.push(g[n] + h(n), n);
+        }
+      });
+    }
+    return {
+      expanded,
+      pathTo(point) {
+        const end = cellOf(grid, point);
+        if (g[end] === Infinity) return null;
+        const cells = [];
+        for (let k = parent[end]; k !== -1 && k !== start; k = parent[k]) cells.unshift(cellCenter(grid, k));
+        return [vec(from.x, from.z)].concat(cells, [vec(point.x, point.z)]);
+      },
+    };
+  }
+
+  // ---------- RRT* ----------
+  // Grows a tree from `from` with steps of at most `step`, sampling `to` with probability goalBias,
+  // choosing each new node's cheapest parent among its neighbours and rewiring them through it.
+  // Costs use the same grid; edges may not cross walls. Rewiring doesn't push new costs down to
+  // descendants, so planPath re-costs the final path. Returns { expanded, pathTo(point) }.
+  function rrtStar(grid, from, to, options = {}) {
+    const o = Object.assign({}, DEFAULT_OPTIONS, options);
+    const rand = evo.seedRandom(o.seed);
+    const b = grid.bounds;
+    const step = o.step > 0 ? o.step : grid.cell * 3;
+    const radius = step * 2;
+    const nodes = [{ p: vec(from.x, from.z), parent: -1, cost: 0 }];
+    const free = (p, q) => !crossesWall(grid, p, q) && grid.cost[cellOf(grid, q)] !== Infinity;
+
+    for (let it = 0; it < o.iterations; it++) {
+      const sample = rand() < o.goalBias ? to : vec(b.minX + rand() * (b.maxX - b.minX), b.minZ + rand() * (b.maxZ - b.minZ));
+      let nearest = 0, nearestD = Infinity;
+      nodes.forEach((n, i) => { const d = dist(n.p, sample); if (d < nearestD) { nearest = i; nearestD = d; } });
+      if (nearestD < 1e-9) continue;
+      const anchor = nodes[nearest].p;
+      const t = Math.min(1, step / nearestD);
+      const p = vec(anchor.x + (sample.x - anchor.x) * t, anchor.z + (sample.z - anchor.z) * t);
+      if (!free(anchor, p)) continue;
+
+      const near = [];
+      nodes.forEach((n, i) => { if (dist(n.p, p) <= radius) near.push(i); });
+      let parent = nearest, cost = nodes[nearest].cost + segmentCost(grid, anchor, p);
+      near.forEach(i => {
+        const c = nodes[i].cost + segmentCost(grid, nodes[i].p, p);
+        if (c < cost && free(nodes[i].p, p)) { parent = i; cost = c; }
+      });
+      const id = nodes.push({ p, parent, cost }) - 1;
+      near.forEach(i => {
+        const c = cost + segmentCost(grid, p, nodes[i].p);
+        if (c < nodes[i].cost && free(p, nodes[i].p)) { nodes[i].parent = id; nodes[i].cost = c; }
+      });
+    }
+    return {
+      expanded: nodes.length,
+      // through the cheapest node within one step that sees the point
+      pathTo(point) {
+        let last = -1, best = Infinity;
+        nodes.forEach((n, i) => {
+          if (dist(n.p, point) > step || crossesWall(grid, n.p, point)) return;
+          const c = n.cost + segmentCost(grid, n.p, point);
+          if (c < best) { last = i; best = c; }
+        });
+        if (last < 0) return null;
+        const path = [vec(point.x, point.z)];
+        for (let i = last; i !== -1; i = nodes[i].parent) path.unshift(nodes[i].p);
+        return path;
+      },
+    };
+  }
+
+  // ---------- Scoring ----------
+  // n control points spaced evenly along the polyline (by arc length)
+  function ctrlAlong(path, n) {
+    const cum = [0];
+    for (let i = 1; i < path.length; i++) cum.push(cum[i - 1] + dist(path[i - 1], path[i]));
+    const total = cum[cum.length - 1];
+    const ctrl = [];
+    let k = 1;
+    for (let s = 1; s <= n; s++) {
+      const target = total * s / (n + 1);
+      while (k < path.length - 1 && cum[k] < target) k++;
+      const span = cum[k] - cum[k - 1];
+      const t = span > 0 ? (target - cum[k - 1]) / span : 0;
+      ctrl.push(vec(path[k - 1].x + (path[k].x - path[k - 1].x) * t, path[k - 1].z + (path[k].z - path[k - 1].z) * t));
+    }
+    return ctrl;
+  }
+
+  // n control points on the polyline's corners, most important first (top-down Douglas–Peucker:
+  // split the span whose chord cuts a wall, else the one whose farthest vertex strays most, at that
+  // vertex). A polyline with fewer corners is topped up with the midpoints of its longest spans.
+  function ctrlCorners(grid, path, n) {
+    const kept = [0, path.length - 1];
+    const farthest = (a, b) => {
+      let k = -1, d = 0;
+      const dx = path[b].x - path[a].x, dz = path[b].z - path[a].z, len = Math.hypot(dx, dz);
+      for (let i = a + 1; i < b; i++) {
+        const off = len > 1e-9 ? Math.abs(dx * (path[i].z - path[a].z) - dz * (path[i].x - path[a].x)) / len : dist(path[i], path[a]);
+        if (k < 0 || off > d) { k = i; d = off; }
+      }
+      return { k, d: k >= 0 && crossesWall(grid, path[a], path[b]) ? Infinity : d };
+    };
+    while (kept.length - 2 < n) {
+      let split = null;
+      for (let s = 1; s < kept.length; s++) {
+        const f = farthest(kept[s - 1], kept[s]);
+        if (f.k >= 0 && f.d > 1e-6 && (!split || f.d > split.d)) split = f;
+      }
+      if (!split) break;
+      kept.push(split.k);
+      kept.sort((a, b) => a - b);
+    }
+    const pts = kept.map(i => vec(path[i].x, path[i].z));
+    while (pts.length - 2 < n) {
+      let s = 1;
+      for (let i = 2; i < pts.length; i++) if (dist(pts[i - 1], pts[i]) > dist(pts[s - 1], pts[s])) s = i;
+      pts.splice(s, 0, vec((pts[s - 1].x + pts[s].x) / 2, (pts[s - 1].z + pts[s].z) / 2));
+    }
+    return pts.slice(1, -1);
+  }
+
+  // Fewer wall hits first (a genome cutting a wall its plan went around isn't that plan), then fitness
+  const better = (a, b) => !b || a.collisions < b.collisions || (a.collisions === b.collisions && a.fitness > b.fitness);
+
+  // The plan as a genome of params.encoding's size (the best count when it allows several), from its
+  // corners or spaced evenly along it, whichever is better when scored with evaluateFitness;
+  // createEvolution re-encodes it when it is used as a seed
+  function toGenome(world, params, target, path, grid = costGrid(world, params, target)) {
+    const size = evo.getEncoding(params.encoding).size(params);
+    let best = null;
+    for (let n = size.min; n <= size.max; n++) {
+      [ctrlCorners(grid, path, n), ctrlAlong(path, n)].forEach(ctrl => {
+        const genome = { ctrl, fitness: -Infinity };
+        if (params.maxWait > 0) genome.delay = 0;
+        evo.evaluateFitness(world, params, target, genome);
+        if (better(genome, best)) best = genome;
+      });
+    }
+    return best;
+  }
+
+  // The `count` most rewarding free cells, at least `spacing` apart
+  function hotspots(grid, count, spacing) {
+    const order = Array.from(grid.cost.keys()).filter(k => grid.cost[k] !== Infinity).sort((a, b) => grid.reward[b] - grid.reward[a]);
+    const out = [];
+    for (let i = 0; i < order.length && out.length < count; i++) {
+      const p = cellCenter(grid, order[i]);
+      if (out.every(q => dist(p, q) >= spacing)) out.push(p);
+    }
+    return out;
+  }
+
+  // ---------- Planning ----------
+  // Fitness averages the samples along a path, so the loudest routes detour past a source, which a
+  // cheapest-path search never does by itself. Besides the direct A→B plan, planPath therefore also
+  // plans through each of `via` hot spots (A→spot→B) and keeps whichever scores best.
+  // Returns { method, path (polyline A→B or null), via (the hot spot used, or null), cost (on the
+  // grid), score (the polyline's own { fitness, collisions, objectives }, or null), expanded (cells
+  // settled or tree nodes, summed), ms, genome (its control points, scored, or null) }.
+  function planPath(world, params = evo.DEFAULT_PARAMS, target = evo.TARGET_ANY, options = {}) {
+    const o = Object.assign({}, DEFAULT_OPTIONS, options);
+    if (!PLANNERS[o.method]) throw new Error(`Unknown planner "${o.method}"`);
+    const p = Object.assign({}, evo.DEFAULT_PARAMS, params);
+    const started = now();
+    const grid = costGrid(world, p, target, o.cell);
+    const A = world.A, B = world.B;
+    let expanded = 0;
+    const grow = (root, toward) => {
+      const tree = o.method === 'rrtstar' ? rrtStar(grid, root, toward, o) : o.method === 'astar' ? searchGrid(grid, root, toward, true) : searchGrid(grid, root);
+      expanded += tree.expanded;
+      return tree;
+    };
+    // A* plans each leg on its own; Dijkstra and RRT* reuse one tree from A and one from B
+    const trees = {};
+    const leg = (root, point) => {
+      if (o.method === 'astar') return grow(root, point).pathTo(point);
+      const key = root === A ? 'A' : 'B';
+      trees[key] = trees[key] || grow(root, root === A ? B : A);
+      return trees[key].pathTo(point);
+    };
+
+    const candidates = [{ via: null, path: leg(A, B) }];
+    hotspots(grid, o.via, Math.max(3 * o.cell, dist(A, B) / 8)).forEach(spot => {
+      const head = leg(A, spot), tail = leg(B, spot);
+      if (head && tail) candidates.push({ via: spot, path: head.concat(tail.reverse().slice(1)) });
+    });
+    let best = null;
+    candidates.forEach(c => {
+      if (!c.path) return;
+      const genome = toGenome(world, p, target, c.path, grid);
+      if (better(genome, best && best.genome)) best = Object.assign({ genome }, c);
+    });
+    let cost = Infinity;
+    if (best) {
+      cost = 0;
+      for (let i = 1; i < best.path.length; i++) cost += segmentCost(grid, best.path[i - 1], best.path[i]);
+    }
+    const score = best ? evo.scorePath(world, p, target, evo.resample(best.path, p.fitnessSamples)) : null;
+    return {
+      method: o.method, path: best ? best.path : null, via: best ? best.via : null, cost, score,
+      expanded, ms: now() - started, genome: best ? best.genome : null,
+    };
+  }
+
+  return { PLANNERS, DEFAULT_OPTIONS, boundsOf, costGrid, searchGrid, rrtStar, ctrlAlong, ctrlCorners, toGenome, planPath };
+});
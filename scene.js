@@ -0,0 +1,261 @@
+/*
+  Binaural Pathfinding — Scene Files
+  - Versioned JSON for a whole scenario: world bounds, A/B, sources, obstacles, extra agents,
+    params, seed and target, optionally with the run's best genome(s) and per-generation history.
+  - Coordinates are world units (metres) centred on the origin, as in the 3D view; the 2D page
+    scales them into its SVG. Source timelines (moving / scheduled sources) are kept as-is.
+  - parseScene() validates everything and reports every problem it finds, with its path.
+
+  Usage (browser):  <script src="./scene.js"></script> after evolution.js -> window.BinauralScene
+  Usage (Node):     const { parseScene } = require('./scene.js');
+*/
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./evolution.js'));
+  else root.BinauralScene = factory(root.BinauralEvolution);
+})(typeof self !== 'undefined' ? self : this, function (evo) {
+  'use strict';
+
+  const SCENE_FORMAT = 'binaural-scene';
+  const SCENE_VERSION = 1;
+
+  const point = (p) => ({ x: p.x, z: p.z });
+  const hexColor = (c) => '#' + (c >>> 0).toString(16).padStart(6, '0');
+
+  // ---------- Save ----------
+  // `world` uses the core's shapes (sources with position/power/color, obstacles as rect/polygon/wall).
+  // Only params with a spec are written; `best`, `team` (one genome per agent, main first) and
+  // `history` are optional.
+  function toScene({ name, world, params, seed, target, best, team, history }) {
+    const scene = {
+      format: SCENE_FORMAT,
+      version: SCENE_VERSION,
+      name: name || 'Untitled scene',
+      world: {
+        width: world.width,
+        depth: world.depth,
+        A: point(world.A),
+        B: point(world.B),
+        sources: evo.sourcesOf(world).map(src => Object.assign({
+          id: src.id, label: src.label || src.id, color: hexColor(src.color), power: src.power, position: point(src.position),
+        }, evo.hasTimeline(src) ? { timeline: timelineOf(src.timeline) } : {})),
+        obstacles: (world.obstacles || []).map(ob => (ob.type === 'rect'
+          ? { type: 'rect', x: ob.x, z: ob.z, w: ob.w, d: ob.d, transmission: transmissionOf(ob) }
+          : { type: ob.type, points: ob.points.map(point), transmission: transmissionOf(ob) })),
+      },
+      params: {},
+      seed: seed != null ? seed >>> 0 : null,
+      target: target || evo.TARGET_ANY,
+    };
+    if (world.agents && world.agents.length) {
+      scene.world.agents = world.agents.map(a => Object.assign(
+        { id: a.id, A: point(a.A), B: point(a.B), target: a.target || evo.TARGET_ANY },
+        a.color != null ? { color: hexColor(a.color) } : {}));
+    }
+    Object.keys(evo.PARAM_SPECS).forEach(key => {
+      if (params && params[key] != null) scene.params[key] = params[key];
+    });
+    if (best || (history && history.length)) {
+      scene.result = {};
+      if (best) scene.result.best = { ctrl: best.ctrl.map(point), fitness: best.fitness };
+      if (best && team && team.length > 1) scene.result.team = team.slice(1).map(g => ({ ctrl: g.ctrl.map(point), fitness: g.fitness }));
+      if (history && history.length) scene.result.history = history;
+    }
+    return scene;
+  }
+
+  function timelineOf(tl) {
+    return {
+      cycle: tl.cycle || 0,
+      keys: (tl.keys || []).map(k => ({ t: k.t, dx: k.dx, dz: k.dz })),
+      on: (tl.on || []).map(([start, end]) => [start, end]),
+    };
+  }
+
+  function transmissionOf(ob) {
+    return ob.transmission != null ? ob.transmission : evo.DEFAULT_TRANSMISSION;
+  }
+
+  function stringifyScene(scene) {
+    return JSON.stringify(scene, null, 2) + '\n';
+  }
+
+  // ---------- Load ----------
+  // Accepts JSON text or an already parsed object. Returns
+  // { name, world: { width, depth, A, B, sources, obstacles, agents? }, params, seed, target, best, team, history }
+  // with points as { x, y: 0, z } and colors as numbers. Throws an Error whose `errors` lists every problem.
+  function parseScene(input) {
+    let data = input;
+    if (typeof input === 'string') {
+      try {
+        data = JSON.parse(input);
+      } catch (err) {
+        throw sceneError([`not valid JSON (${err.message})`]);
+      }
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw sceneError(['expected a JSON object']);
+    if (data.format !== SCENE_FORMAT) throw sceneError([`not a scene file (expected "format": "${SCENE_FORMAT}")`]);
+    if (!Number.isInteger(data.version) || data.version < 1) throw sceneError(['"version" must be a positive whole number']);
+    if (data.version > SCENE_VERSION) {
+      throw sceneError([`scene version ${data.version} is newer than this app supports (${SCENE_VERSION})`]);
+    }
+
+    const errors = [];
+    const check = (ok, path, message) => { if (!ok) errors.push(`${path} ${message}`); return ok; };
+    const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+    const readPoint = (p, path) => {
+      if (!check(p && isNum(p.x) && isNum(p.z), path, 'must be a point like { "x": 0, "z": 0 }')) return null;
+      return { x: p.x, y: 0, z: p.z };
+    };
+    // { cycle, keys: [{ t, dx, dz }] in time order, on: [[start, end]] }; see Timelines in evolution.js
+    const readTimeline = (tl, path) => {
+      if (!check(tl && typeof tl === 'object' && !Array.isArray(tl), path, 'must be an object')) return undefined;
+      const cycle = tl.cycle == null ? 0 : tl.cycle;
+      check(isNum(cycle) && cycle >= 0, `${path}.cycle`, 'must be a number of seconds ≥ 0');
+      const keys = tl.keys == null ? [] : tl.keys;
+      const on = tl.on == null ? [] : tl.on;
+      if (check(Array.isArray(keys) && keys.length <= evo.MAX_TIMELINE_KEYS, `${path}.keys`, `must be a list of at most ${evo.MAX_TIMELINE_KEYS} keys`)) {
+        keys.forEach((k, i) => {
+          const ok = k && isNum(k.t) && k.t >= 0 && isNum(k.dx) && isNum(k.dz);
+          if (check(ok, `${path}.keys[${i}]`, 'must be like { "t": 0, "dx": 0, "dz": 0 } with t ≥ 0') && i > 0 && isNum(keys[i - 1].t)) {
+            check(k.t >= keys[i - 1].t, `${path}.keys[${i}].t`, 'must not be earlier than the key before');
+          }
+        });
+      }
+      if (check(Array.isArray(on) && on.length <= evo.MAX_TIMELINE_ON, `${path}.on`, `must be a list of at most ${evo.MAX_TIMELINE_ON} [start, end] intervals`)) {
+        on.forEach((w, i) => check(Array.isArray(w) && w.length === 2 && isNum(w[0]) && isNum(w[1]) && w[0] < w[1], `${path}.on[${i}]`, 'must be [start, end] with start < end'));
+      }
+      return Array.isArray(keys) && Array.isArray(on) ? { cycle, keys: keys.map(k => Object.assign({}, k)), on: on.map(w => (Array.isArray(w) ? w.slice() : w)) } : undefined;
+    };
+
+    const w = data.world;
+    const world = { sources: [], obstacles: [] };
+    if (check(w && typeof w === 'object', 'world', 'is missing')) {
+      check(isNum(w.width) && w.width > 0, 'world.width', 'must be a positive number');
+      check(isNum(w.depth) && w.depth > 0, 'world.depth', 'must be a positive number');
+      world.width = w.width;
+      world.depth = w.depth;
+      world.A = readPoint(w.A, 'world.A');
+      world.B = readPoint(w.B, 'world.B');
+      if (check(Array.isArray(w.sources) && w.sources.length > 0, 'world.sources', 'must be a non-empty list')) {
+        const ids = new Set();
+        w.sources.forEach((src, i) => {
+          const path = `world.sources[${i}]`;
+          if (!check(src && typeof src === 'object', path, 'must be an object')) return;
+          const idOk = check(typeof src.id === 'string' && src.id.trim() !== '' && !/[,;]/.test(src.id), `${path}.id`, 'must be a non-empty string without "," or ";"');
+          if (idOk) check(!ids.has(src.id) && src.id !== evo.TARGET_ANY, `${path}.id`, `"${src.id}" is already used or reserved`);
+          ids.add(src.id);
+          check(isNum(src.power) && src.power > 0, `${path}.power`, 'must be a positive number');
+          const color = parseColor(src.color);
+          check(color != null, `${path}.color`, 'must be "#rrggbb" or a number');
+          const position = readPoint(src.position, `${path}.position`);
+          const out = { id: src.id, label: typeof src.label === 'string' && src.label ? src.label : src.id, color, power: src.power, position };
+          if (src.timeline != null) out.timeline = readTimeline(src.timeline, `${path}.timeline`);
+          world.sources.push(out);
+        });
+      }
+      if (w.obstacles != null && check(Array.isArray(w.obstacles), 'world.obstacles', 'must be a list')) {
+        w.obstacles.forEach((ob, i) => {
+          const path = `world.obstacles[${i}]`;
+          if (!check(ob && typeof ob === 'object', path, 'must be an object')) return;
+          const t = ob.transmission != null ? ob.transmission : evo.DEFAULT_TRANSMISSION;
+          check(isNum(t) && t >= 0 && t <= 1, `${path}.transmission`, 'must be between 0 and 1');
+          if (ob.type === 'rect') {
+            ['x', 'z'].forEach(k => check(isNum(ob[k]), `${path}.${k}`, 'must be a number'));
+            ['w', 'd'].forEach(k => check(isNum(ob[k]) && ob[k] > 0, `${path}.${k}`, 'must be a positive number'));
+            world.obstacles.push({ type: 'rect', x: ob.x, z: ob.z, w: ob.w, d: ob.d, transmission: t });
+          } else if (ob.type === 'polygon') {
+            if (!check(Array.isArray(ob.points) && ob.points.length >= 3, `${path}.points`, 'must list at least 3 points')) return;
+            const points = ob.points.map((p, k) => readPoint(p, `${path}.points[${k}]`));
+            world.obstacles.push({ type: 'polygon', points, transmission: t });
+          } else if (ob.type === 'wall') {
+            if (!check(Array.isArray(ob.points) && ob.points.length >= 2, `${path}.points`, 'must list at least 2 points')) return;
+            const points = ob.points.map((p, k) => readPoint(p, `${path}.points[${k}]`));
+            world.obstacles.push({ type: 'wall', points, transmission: t });
+          } else {
+            check(false, `${path}.type`, 'must be "rect", "polygon" or "wall"');
+          }
+        });
+      }
+      if (w.agents != null && check(Array.isArray(w.agents) && w.agents.length <= evo.MAX_AGENTS, 'world.agents', `must be a list of at most ${evo.MAX_AGENTS} agents`)) {
+        const ids = new Set([evo.AGENT_MAIN]);
+        world.agents = [];
+        w.agents.forEach((a, i) => {
+          const path = `world.agents[${i}]`;
+          if (!check(a && typeof a === 'object', path, 'must be an object')) return;
+          const idOk = check(typeof a.id === 'string' && a.id.trim() !== '' && !/[,;]/.test(a.id), `${path}.id`, 'must be a non-empty string without "," or ";"');
+          if (idOk) check(!ids.has(a.id), `${path}.id`, `"${a.id}" is already used or reserved`);
+          ids.add(a.id);
+          const out = { id: a.id, A: readPoint(a.A, `${path}.A`), B: readPoint(a.B, `${path}.B`), target: a.target == null ? evo.TARGET_ANY : a.target };
+          check(out.target === evo.TARGET_ANY || world.sources.some(src => src.id === out.target), `${path}.target`, `must be "${evo.TARGET_ANY}" or a source id`);
+          if (a.color != null) {
+            out.color = parseColor(a.color);
+            check(out.color != null, `${path}.color`, 'must be "#rrggbb" or a number');
+          }
+          world.agents.push(out);
+        });
+      }
+    }
+
+    const params = {};
+    if (data.params != null && check(typeof data.params === 'object' && !Array.isArray(data.params), 'params', 'must be an object')) {
+      Object.keys(data.params).forEach(key => {
+        if (!evo.PARAM_SPECS[key]) { errors.push(`params.${key} is not a known parameter`); return; }
+        const r = evo.validateParam(key, data.params[key]);
+        if (r.error) errors.push(`params.${key}: ${r.error}`);
+        else params[key] = r.value;
+      });
+    }
+
+    let seed = null;
+    if (data.seed != null && check(Number.isInteger(data.seed) && data.seed >= 0, 'seed', 'must be a whole number ≥ 0')) seed = data.seed >>> 0;
+    const target = data.target == null ? evo.TARGET_ANY : data.target;
+    check(target === evo.TARGET_ANY || world.sources.some(src => src.id === target), 'target', `must be "${evo.TARGET_ANY}" or a source id`);
+
+    let best = null, team = null, history = [];
+    const result = data.result;
+    if (result != null && check(typeof result === 'object', 'result', 'must be an object')) {
+      if (result.best != null && check(Array.isArray(result.best.ctrl) && result.best.ctrl.length > 0, 'result.best.ctrl', 'must be a non-empty list of points')) {
+        best = {
+          ctrl: result.best.ctrl.map((p, i) => readPoint(p, `result.best.ctrl[${i}]`)),
+          fitness: isNum(result.best.fitness) ? result.best.fitness : -Infinity,
+        };
+      }
+      if (best && result.team != null) {
+        const count = (world.agents || []).length;
+        if (check(Array.isArray(result.team) && result.team.length === count, 'result.team', `must list one path per agent (${count})`)) {
+          const rest = result.team.map((g, i) => {
+            if (!check(g && Array.isArray(g.ctrl) && g.ctrl.length > 0, `result.team[${i}].ctrl`, 'must be a non-empty list of points')) return null;
+            return { ctrl: g.ctrl.map((p, k) => readPoint(p, `result.team[${i}].ctrl[${k}]`)), fitness: isNum(g.fitness) ? g.fitness : -Infinity };
+          });
+          team = [best].concat(rest);
+        }
+      }
+      if (result.history != null && check(Array.isArray(result.history), 'result.history', 'must be a list')) {
+        result.history.forEach((row, i) => {
+          const ok = row && Number.isInteger(row.gen) && ['best', 'mean', 'worst'].every(k => isNum(row[k]));
+          if (check(ok, `result.history[${i}]`, 'needs a whole-number gen and numeric best, mean and worst')) history.push(row);
+        });
+      }
+    }
+
+    if (errors.length) throw sceneError(errors);
+    return { name: typeof data.name === 'string' ? data.name : '', world, params, seed, target, best, team, history };
+  }
+
+  function parseColor(c) {
+    if (typeof c === 'number' && Number.isInteger(c) && c >= 0 && c <= 0xffffff) return c;
+    if (typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c)) return parseInt(c.slice(1), 16);
+    return null;
+  }
+
+  const MAX_LISTED_ERRORS = 8;
+  function sceneError(errors) {
+    const listed = errors.slice(0, MAX_LISTED_ERRORS);
+    if (errors.length > listed.length) listed.push(`…and ${errors.length - listed.length} more`);
+    const err = new Error('Invalid scene file: ' + listed.join('; '));
+    err.errors = errors;
+    return err;
+  }
+
+  return { SCENE_FORMAT, SCENE_VERSION, toScene, stringifyScene, parseScene };
+});
@@ -0,0 +1,274 @@
+/*
+  Binaural Pathfinding — Top-Down View
+  - Draws a world (metres, the same objects evolution.js scores) into an SVG whose viewBox is the
+    world itself, so no pixel space exists: A/B, sources, obstacles, agents, the best path, the
+    population, a planner path, walking heads, a heatmap background (field.js) and, under it all,
+    an imported floor plan's drawing (planimport.js).
+  - A, B, sources, agent ends, the control points of a path being edited and (if the page asks)
+    obstacles can be dragged; the page decides what a drag changes.
+  - Used by index.html (2D/3D toggle of the same run) and paths.html.
+
+  Browser only; expects evolution.js to be loaded first.
+*/
+(function (root) {
+  'use strict';
+
+  const { sourcesOf, obstaclePolygon, isTimeVarying, worldAt } = root.BinauralEvolution;
+  const NS = 'http://www.w3.org/2000/svg';
+  const BEST_COLOR = '#8b5cf6';
+  const PLANNER_COLOR = '#22d3ee';
+  const EDIT_COLOR = '#e6e9ef';
+  const LOCKED_COLOR = '#f59e0b';
+  const LABEL_SIZE = 0.45; // m
+  const hex = (c) => (typeof c === 'string' ? c : '#' + (c >>> 0).toString(16).padStart(6, '0'));
+
+  function el(tag, attrs, parent) {
+    const node = document.createElementNS(NS, tag);
+    Object.keys(attrs).forEach(k => node.setAttribute(k, attrs[k]));
+    if (parent) parent.appendChild(node);
+    return node;
+  }
+
+  function pathData(pts) {
+    return pts.map((p, i) => `${i ? 'L' : 'M'} ${p.x.toFixed(3)} ${p.z.toFixed(3)}`).join(' ');
+  }
+
+  // Lines keep their on-screen width whatever the SVG's size
+  function line(parent, pts, stroke, width, extra = {}) {
+    return el('path', Object.assign({
+      d: pathData(pts), fill: 'none', stroke, 'stroke-width': width, 'stroke-linecap': 'round', 'stroke-linejoin': 'round',
+      'vector-effect': 'non-scaling-stroke',
+    }, extra), parent);
+  }
+
+  // options: { onDrag(handle, point), onDrop(handle), onClick(handle), onHover(point | null),
+  // onGroundClick(point), editObstacles } where handle is { kind: 'A' | 'B' | 'source' | 'agentA' |
+  // 'agentB' | 'ctrl', index } or, with editObstacles, { kind: 'obstacle', index, from, resize } (the
+  // pressed point and whether Shift was held), and point is { x, z } in metres
+  function createTopDownView(svg, options = {}) {
+    const layers = {};
+    ['ground', 'plan', 'field', 'obstacles', 'population', 'planner', 'team', 'best', 'markers', 'edit', 'heads', 'labels'].forEach(id => {
+      layers[id] = el('g', { 'data-layer': id }, svg);
+    });
+    let world = null;
+    let sourceNodes = []; // { disc, label } per source, moved by timelines
+    let obstacleNodes = [];
+    let drag = null;
+
+    function clear(layer) { while (layer.firstChild) layer.removeChild(layer.firstChild); }
+
+    function label(text, p, color = '#aab1c5') {
+      const t = el('text', { x: p.x + 0.35, y: p.z - 0.35, fill: color, 'font-family': 'Inter, system-ui', 'font-size': LABEL_SIZE }, layers.labels);
+      t.textContent = text;
+      return t;
+    }
+
+    function handle(p, r, fill, h, layer = layers.markers) {
+      const disc = el('circle', { cx: p.x, cy: p.z, r, fill, opacity: 0.9, class: 'topdown__handle' }, layer);
+      disc.style.cursor = 'grab';
+      disc.addEventListener('pointerdown', (ev) => startDrag(ev, disc, h, (p) => {
+        disc.setAttribute('cx', p.x);
+        disc.setAttribute('cy', p.z);
+      }));
+      return disc;
+    }
+
+    function obstacleNode(ob, index) {
+      const node = ob.type === 'wall' ? line(layers.obstacles, ob.points, '#cbd5e1', 3, { 'stroke-opacity': 0.85 })
+        : el('polygon', {
+          fill: '#64748b', opacity: 0.55, stroke: '#94a3b8', 'stroke-width': 1.5, 'vector-effect': 'non-scaling-stroke',
+        }, layers.obstacles);
+      shapeObstacle(node, ob);
+      if (options.editObstacles) {
+        node.style.cursor = 'grab';
+        node.addEventListener('pointerdown', (ev) => {
+          if (world) startDrag(ev, node, { kind: 'obstacle', index, from: toWorld(ev), resize: ev.shiftKey });
+        });
+      }
+      return node;
+    }
+
+    function shapeObstacle(node, ob) {
+      if (ob.type === 'wall') node.setAttribute('d', pathData(ob.points));
+      else node.setAttribute('points', obstaclePolygon(ob).map(p => `${p.x},${p.z}`).join(' '));
+    }
+
+    // Reshapes obstacle `index` in place (during a drag, when the page redraws nothing else)
+    function setObstacle(index, ob) {
+      if (obstacleNodes[index]) shapeObstacle(obstacleNodes[index], ob);
+    }
+
+    // Everything that doesn't change during a run: bounds, obstacles, sources, A/B and agent ends
+    function setWorld(next) {
+      world = next;
+      const w = world.width, d = world.depth;
+      svg.setAttribute('viewBox', `${-w / 2} ${-d / 2} ${w} ${d}`);
+      ['ground', 'obstacles', 'markers', 'labels'].forEach(id => clear(layers[id]));
+      el('rect', { x: -w / 2, y: -d / 2, width: w, height: d, fill: 'url(#topdownGround)' }, layers.ground);
+      const defs = el('defs', {}, layers.ground);
+      const grad = el('linearGradient', { id: 'topdownGround', x1: '0%', y1: '100%', x2: '100%', y2: '0%' }, defs);
+      el('stop', { offset: '0%', 'stop-color': '#0f1220' }, grad);
+      el('stop', { offset: '100%', 'stop-color': '#0a0c14' }, grad);
+      obstacleNodes = (world.obstacles || []).map(obstacleNode);
+      (world.agents || []).forEach((a, i) => {
+        const color = hex(a.color != null ? a.color : '#f472b6');
+        handle(a.A, 0.24, color, { kind: 'agentA', index: i });
+        handle(a.B, 0.17, color, { kind: 'agentB', index: i });
+        label('A' + (a.label || i + 2), a.A, color);
+        label('B' + (a.label || i + 2), a.B, color);
+      });
+      sourceNodes = sourcesOf(world).map((src, i) => ({
+        disc: handle(src.position, 0.33, hex(src.color), { kind: 'source', index: i }),
+        label: label(src.label || src.id, src.position),
+      }));
+      handle(world.A, 0.27, '#ffffff', { kind: 'A' });
+      handle(world.B, 0.27, '#22c55e', { kind: 'B' });
+      label('A', world.A);
+      label('B', world.B);
+    }
+
+    // Sources as they are at `t` seconds on their timelines (switched-off ones fade)
+    function setTime(t) {
+      if (!world || !isTimeVarying(world)) return;
+      const now = worldAt(world, t);
+      sourcesOf(now).forEach((src, i) => {
+        const node = sourceNodes[i];
+        if (!node) return;
+        node.disc.setAttribute('cx', src.position.x);
+        node.disc.setAttribute('cy', src.position.z);
+        node.disc.setAttribute('opacity', src.power > 0 ? 0.9 : 0.3);
+        node.label.setAttribute('x', src.position.x + 0.35);
+        node.label.setAttribute('y', src.position.z - 0.35);
+      });
+    }
+
+    // Heatmap background from BinauralField.rasterize (one pixel per cell across the world), or null
+    function setField(image) {
+      clear(layers.field);
+      if (!image || !world) return;
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width;
+      canvas.height = image.height;
+      const ctx = canvas.getContext('2d');
+      const pixels = ctx.createImageData(image.width, image.height);
+      pixels.data.set(image.data);
+      ctx.putImageData(pixels, 0, 0);
+      el('image', {
+        href: canvas.toDataURL(), x: -world.width / 2, y: -world.depth / 2, width: world.width, height: world.depth,
+        preserveAspectRatio: 'none',
+      }, layers.field);
+    }
+
+    // The drawing an imported floor plan came from ({ href, x, z, width, depth } in metres), or null
+    function setBackdrop(backdrop) {
+      clear(layers.plan);
+      if (!backdrop) return;
+      el('image', {
+        href: backdrop.href, x: backdrop.x, y: backdrop.z, width: backdrop.width, height: backdrop.depth,
+        preserveAspectRatio: 'none', opacity: 0.35,
+      }, layers.plan);
+    }
+
+    // ---------- Paths ----------
+    function setBest(pts) {
+      clear(layers.best);
+      if (pts && pts.length > 1) line(layers.best, pts, BEST_COLOR, 4.5);
+    }
+
+    // `paths` are point lists, best first; later ones fade
+    function setPopulation(paths) {
+      clear(layers.population);
+      const n = paths.length;
+      paths.forEach((pts, rank) => {
+        const t = n > 1 ? rank / (n - 1) : 0;
+        line(layers.population, pts, BEST_COLOR, 2.5, { 'stroke-opacity': (0.45 - 0.37 * t).toFixed(3) });
+      });
+    }
+
+    // [{ pts, color }] for the other agents of a team
+    function setTeam(members) {
+      clear(layers.team);
+      members.forEach(m => { if (m.pts && m.pts.length > 1) line(layers.team, m.pts, hex(m.color), 3.5); });
+    }
+
+    function setPlanner(pts) {
+      clear(layers.planner);
+      if (pts && pts.length > 1) line(layers.planner, pts, PLANNER_COLOR, 2.5, { 'stroke-dasharray': '8 6' });
+    }
+
+    // Control points of the path being edited ([] for none); indices in `locked` are drawn amber
+    function setEditHandles(ctrl, locked = new Set()) {
+      clear(layers.edit);
+      ctrl.forEach((p, i) => {
+        const disc = handle(p, 0.22, locked.has(i) ? LOCKED_COLOR : EDIT_COLOR, { kind: 'ctrl', index: i }, layers.edit);
+        disc.setAttribute('stroke', BEST_COLOR);
+        disc.setAttribute('stroke-width', 2);
+        disc.setAttribute('vector-effect', 'non-scaling-stroke');
+      });
+    }
+
+    // [{ p, color, r? }]; a null p hides that head
+    function setHeads(heads) {
+      while (layers.heads.childNodes.length > heads.length) layers.heads.removeChild(layers.heads.lastChild);
+      heads.forEach((h, i) => {
+        const dot = layers.heads.childNodes[i] || el('circle', { r: 0.2 }, layers.heads);
+        dot.setAttribute('r', h.r || 0.2);
+        dot.setAttribute('fill', hex(h.color));
+        dot.setAttribute('opacity', h.p ? 1 : 0);
+        if (h.p) { dot.setAttribute('cx', h.p.x); dot.setAttribute('cy', h.p.z); }
+      });
+    }
+
+    // ---------- Dragging ----------
+    function toWorld(ev) {
+      const pt = svg.createSVGPoint();
+      pt.x = ev.clientX; pt.y = ev.clientY;
+      const p = pt.matrixTransform(svg.getScreenCTM().inverse());
+      const hw = world.width / 2, hd = world.depth / 2;
+      return { x: Math.max(-hw, Math.min(hw, p.x)), z: Math.max(-hd, Math.min(hd, p.y)) };
+    }
+
+    // `place` moves the pressed node itself; without it the page reshapes it from onDrag
+    function startDrag(ev, node, h, place = null) {
+      if (ev.button !== 0) return;
+      ev.preventDefault();
+      node.setPointerCapture(ev.pointerId);
+      drag = { node, handle: h, moved: false };
+      node.style.cursor = 'grabbing';
+      const move = (e) => {
+        const p = toWorld(e);
+        if (place) place(p);
+        drag.moved = true;
+        if (options.onDrag) options.onDrag(h, p);
+      };
+      const up = () => {
+        node.removeEventListener('pointermove', move);
+        node.removeEventListener('pointerup', up);
+        node.style.cursor = 'grab';
+        const moved = drag.moved;
+        drag = null;
+        if (moved) { if (options.onDrop) options.onDrop(h); }
+        else if (options.onClick) options.onClick(h);
+      };
+      node.addEventListener('pointermove', move);
+      node.addEventListener('pointerup', up);
+    }
+
+    // Clicks on the ground itself (not on a handle or an obstacle)
+    svg.addEventListener('click', (ev) => {
+      if (!world || !options.onGroundClick) return;
+      if (ev.target.closest('.topdown__handle') || ev.target.parentNode === layers.obstacles) return;
+      options.onGroundClick(toWorld(ev));
+    });
+    svg.addEventListener('pointermove', (ev) => { if (world && !drag && options.onHover) options.onHover(toWorld(ev)); });
+    svg.addEventListener('pointerleave', () => { if (options.onHover) options.onHover(null); });
+
+    return {
+      svg, layers,
+      setWorld, setObstacle, setTime, setField, setBackdrop, setBest, setPopulation, setTeam, setPlanner, setHeads, setEditHandles,
+      get dragging() { return drag != null; },
+    };
+  }
+
+  root.BinauralTopDown = { createTopDownView };
+})(window);